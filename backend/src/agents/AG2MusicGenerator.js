@@ -1,64 +1,143 @@
-const OpenAI = require('openai');
-const config = require('../config/environment');
 const logger = require('../utils/logger');
-
+const config = require('../config/environment');
+const LLMProviders = require('../llm/LLMProviders');
+const AgentSchemas = require('./AgentSchemas');
+const TheoryCritic = require('./TheoryCritic');
+
+// Each agent runs on the provider and model config.llm.agents assigns it. `trace` collects what
+// happened along the way: trace.models, which model answered each agent (see
+// LLMProviders.completeJson), trace.repairs, which fields of its reply had to be repaired, and
+// trace.critiques, what the TheoryCritic sent back or corrected.
 class AG2MusicGenerator {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey,
-    });
+    this.critic = new TheoryCritic();
   }
 
-  async generateMusic(musicalAnalysis, transcription) {
-    try {
-      logger.info('Starting multi-agent music generation:', {
-        tempo: musicalAnalysis.tempo,
-        key: musicalAnalysis.key,
-        mood: musicalAnalysis.mood,
-        textLength: transcription.text.length
+  async generateMusic(musicalAnalysis, transcription, trace = {}) {
+    return this.generateWithLiveUpdates(musicalAnalysis, transcription, null, trace);
+  }
+
+  // Asks the agent for JSON until the reply passes its schema, sending the validation errors
+  // back up to config.llm.maxReprompts times. Whatever is still invalid after that falls back
+  // field by field (all of it if the provider failed outright), recorded in trace.repairs.
+  // A valid reply then goes through the TheoryCritic: its critique is sent back up to
+  // config.llm.maxCritiques times, everything else it finds is corrected in place. Both end
+  // up in trace.critiques.
+  async runAgent(agent, { system, prompt, temperature, fallback, context = {} }, trace = {}) {
+    const models = trace.models || (trace.models = {});
+    const repairs = trace.repairs || (trace.repairs = {});
+    if (!trace.critiques) trace.critiques = {};
+    const messages = [
+      { role: 'system', content: system },
+      { role: 'user', content: prompt }
+    ];
+    const attempts = 1 + Math.max(0, config.llm.maxReprompts);
+    const critiqueRounds = Math.max(0, config.llm.maxCritiques);
+    const critiqued = [];
+    let reply = null;
+    let attempt = 0;
+    let calls = 0;
+
+    while (attempt < attempts) {
+      attempt++;
+      calls++;
+      let problems;
+      let content;
+      try {
+        reply = await LLMProviders.completeJson(agent, { messages, temperature }, trace);
+        const result = AgentSchemas.validate(agent, reply);
+        if (result.problems.length === 0) {
+          const review = this.critic.review(agent, result.value, context);
+          if (review.critique.length > 0 && critiqued.length < critiqueRounds) {
+            critiqued.push(review.critique);
+            logger.warn(`${agent} reply critiqued:`, {
+              critique: review.critique.map(item => item.message)
+            });
+            messages.push(
+              { role: 'assistant', content: JSON.stringify(reply) },
+              { role: 'user', content: TheoryCritic.feedback(review.critique) }
+            );
+            attempt = 0;
+            continue;
+          }
+          if (calls > 1) models[agent].attempts = calls;
+          return this.applyReview(agent, review, critiqued, trace);
+        }
+        problems = result.problems;
+        content = JSON.stringify(reply);
+      } catch (error) {
+        if (error.name !== 'InvalidJsonError') {
+          logger.warn(`${agent} failed, falling back:`, error.message);
+          break;
+        }
+        problems = [{ field: '(reply)', message: error.message }];
+        content = error.content;
+      }
+
+      logger.warn(`${agent} reply failed validation:`, {
+        attempt,
+        problems: problems.map(problem => problem.message)
       });
+      messages.push(
+        { role: 'assistant', content: content || '' },
+        { role: 'user', content: AgentSchemas.feedback(problems) }
+      );
+    }
 
-      // Step 1: Enhanced Musical Analysis (Music Analyst Agent)
-      const enhancedAnalysis = await this.runMusicAnalyst(musicalAnalysis, transcription);
-      
-      // Step 2: Chord Progression Generation (Chord Composer Agent)
-      const chordProgression = await this.runChordComposer(enhancedAnalysis);
-      
-      // Step 3: Genre Adaptation (Genre Specialist Agent)
-      const genreAdaptation = await this.runGenreSpecialist(chordProgression, enhancedAnalysis);
-      
-      // Step 4: Final Arrangement (Arrangement Director Agent)
-      const finalArrangement = await this.runArrangementDirector(genreAdaptation, enhancedAnalysis);
-      
-      const result = {
-        analysis: enhancedAnalysis,
-        chords: chordProgression,
-        genre: genreAdaptation,
-        arrangement: finalArrangement,
-        generatedAt: new Date().toISOString(),
-        processingTime: Date.now()
-      };
-      
-      logger.info('Multi-agent music generation completed successfully');
-      
-      return result;
-      
-    } catch (error) {
-      logger.error('Multi-agent music generation failed:', error);
-      
-      // Return fallback music data
-      return this.getFallbackMusicData(musicalAnalysis, transcription);
+    if (models[agent]) models[agent].attempts = calls;
+    const { value, fields } = AgentSchemas.repair(agent, reply, fallback);
+    if (fields.length > 0) {
+      repairs[agent] = fields;
+      logger.warn(`${agent} fields repaired from defaults:`, { fields });
+    }
+    return this.applyReview(agent, this.critic.review(agent, value, context), critiqued, trace);
+  }
+
+  // The reviewed reply, with what the critic sent back and what it corrected in trace.critiques.
+  // The agent's last call in trace.transcript gets the value the pipeline goes on with.
+  applyReview(agent, review, critiqued, trace) {
+    const lastCall = (trace.transcript || []).filter(call => call.agent === agent).pop();
+    if (lastCall) lastCall.parsed = review.value;
+
+    const notes = [
+      ...critiqued.flatMap((round, index) => round.map(item => ({ ...item, action: 'critiqued', round: index + 1 }))),
+      ...review.critique.map(item => ({ ...item, action: 'corrected' })),
+      ...review.corrections.map(item => ({ ...item, action: 'corrected' }))
+    ];
+    if (notes.length > 0) {
+      trace.critiques[agent] = notes;
+      logger.info(`${agent} reviewed by the theory critic:`, {
+        critiqued: critiqued.flat().length,
+        corrected: review.critique.length + review.corrections.length
+      });
     }
+    return review.value;
   }
 
-  async runMusicAnalyst(musicalAnalysis, transcription) {
+  async runMusicAnalyst(musicalAnalysis, transcription, trace = {}) {
+    // The key candidates and beat grid go in as the short summaries below: the beat grid's
+    // beat times alone would run to hundreds of lines of prompt
+    const { keyCandidates, beatGrid, ...initialAnalysis } = musicalAnalysis;
+    const keyEvidence = keyCandidates?.length
+      ? `Key candidates measured from the hummed melody (Krumhansl-Schmuckler correlation, best first):
+${keyCandidates.map((c, i) => `${i + 1}. ${c.key} (${c.mode}) - score ${c.score}`).join('\n')}
+Keep the top candidate unless the other evidence clearly favours one of the alternatives.
+`
+      : '';
+    const tempoEvidence = musicalAnalysis.tempoSource === 'audio'
+      ? `Tempo measured from the recording's note onsets: ${beatGrid.bpm} BPM (confidence ${musicalAnalysis.tempoConfidence}).
+Keep this tempo so the backing lines up with the original recording.
+`
+      : '';
+
     const prompt = `You are the MusicAnalyst - a professional music analyst with 20+ years of experience.
 
 Your task: Enhance the initial musical analysis with deeper insights.
 
 Initial Analysis:
-${JSON.stringify(musicalAnalysis, null, 2)}
+${JSON.stringify(initialAnalysis, null, 2)}
 
+${keyEvidence}${tempoEvidence}
 Transcription Data:
 - Text: "${transcription.text}"
 - Duration: ${transcription.duration} seconds
@@ -71,7 +150,7 @@ As the MusicAnalyst, provide enhanced analysis focusing on:
 3. Detailed mood and energy analysis
 4. Song structure recommendations
 5. Rhythmic patterns identified from speech rhythm
-6. Melodic hints from vocal inflection patterns
+6. Melodic hints from the measured pitch contour (melodicContour), when present
 
 Respond with enhanced JSON analysis that other agents can use:
 
@@ -88,36 +167,24 @@ Respond with enhanced JSON analysis that other agents can use:
   "reasoning": "Analysis of vocal timing suggests..."
 }`;
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: config.openai.model,
-        messages: [{ 
-          role: 'system', 
-          content: 'You are a professional music analyst. Always respond with valid JSON only.' 
-        }, { 
-          role: 'user', 
-          content: prompt 
-        }],
-        response_format: { type: "json_object" },
-        temperature: 0.7
-      });
-
-      const analysis = JSON.parse(response.choices[0].message.content);
-      logger.info('MusicAnalyst completed analysis');
-      return analysis;
-    } catch (error) {
-      logger.warn('MusicAnalyst failed, using enhanced defaults:', error.message);
-      return {
+    const analysis = await this.runAgent('musicAnalyst', {
+      system: 'You are a professional music analyst. Always respond with valid JSON only.',
+      prompt,
+      temperature: 0.7,
+      fallback: {
         ...musicalAnalysis,
         scale: 'major',
         rhythmicPattern: 'steady four-four',
         melodicHints: 'vocal melody detected',
         confidence: 0.6
-      };
-    }
+      },
+      context: { measured: musicalAnalysis }
+    }, trace);
+    logger.info('MusicAnalyst completed analysis');
+    return analysis;
   }
 
-  async runChordComposer(analysis) {
+  async runChordComposer(analysis, trace = {}) {
     const prompt = `You are the ChordComposer - a harmony expert with deep music theory knowledge.
 
 Your task: Create compelling chord progressions based on this musical analysis.
@@ -138,6 +205,7 @@ Ensure progressions are:
 - Appropriate for the detected mood and genre
 - Optimized for the estimated tempo
 - Easy to loop and extend
+- Written as standard lead-sheet chord symbols (e.g. Fmaj7, Bb/D, G7sus4, F#m7b5)
 
 Respond with detailed chord progression data:
 
@@ -158,26 +226,11 @@ Respond with detailed chord progression data:
   "reasoning": "C-Am-F-G provides strong harmonic foundation..."
 }`;
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: config.openai.model,
-        messages: [{ 
-          role: 'system', 
-          content: 'You are a chord progression composer. Always respond with valid JSON only.' 
-        }, { 
-          role: 'user', 
-          content: prompt 
-        }],
-        response_format: { type: "json_object" },
-        temperature: 0.6
-      });
-
-      const chords = JSON.parse(response.choices[0].message.content);
-      logger.info('ChordComposer completed progression');
-      return chords;
-    } catch (error) {
-      logger.warn('ChordComposer failed, using default progression:', error.message);
-      return {
+    const chords = await this.runAgent('chordComposer', {
+      system: 'You are a chord progression composer. Always respond with valid JSON only.',
+      prompt,
+      temperature: 0.6,
+      fallback: {
         primaryProgression: ['C', 'Am', 'F', 'G'],
         chordNotes: {
           'C': ['C4', 'E4', 'G4'],
@@ -186,11 +239,14 @@ Respond with detailed chord progression data:
           'G': ['G3', 'B3', 'D4']
         },
         timing: 'whole notes'
-      };
-    }
+      },
+      context: { analysis }
+    }, trace);
+    logger.info('ChordComposer completed progression');
+    return chords;
   }
 
-  async runGenreSpecialist(chordProgression, analysis) {
+  async runGenreSpecialist(chordProgression, analysis, trace = {}) {
     const primaryGenre = analysis.genres && analysis.genres[0] ? analysis.genres[0] : 'pop';
     
     const prompt = `You are the GenreSpecialist - a multi-genre music expert.
@@ -241,26 +297,11 @@ Respond with comprehensive genre adaptation:
   }
 }`;
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: config.openai.model,
-        messages: [{ 
-          role: 'system', 
-          content: 'You are a multi-genre music specialist. Always respond with valid JSON only.' 
-        }, { 
-          role: 'user', 
-          content: prompt 
-        }],
-        response_format: { type: "json_object" },
-        temperature: 0.7
-      });
-
-      const genre = JSON.parse(response.choices[0].message.content);
-      logger.info('GenreSpecialist completed adaptation');
-      return genre;
-    } catch (error) {
-      logger.warn('GenreSpecialist failed, using default adaptation:', error.message);
-      return {
+    const genre = await this.runAgent('genreSpecialist', {
+      system: 'You are a multi-genre music specialist. Always respond with valid JSON only.',
+      prompt,
+      temperature: 0.7,
+      fallback: {
         primaryGenre: primaryGenre,
         instrumentation: {
           drums: 'acoustic drum kit',
@@ -269,11 +310,14 @@ Respond with comprehensive genre adaptation:
           melody: 'synth lead'
         },
         rhythmPattern: 'steady four-four'
-      };
-    }
+      },
+      context: { analysis }
+    }, trace);
+    logger.info('GenreSpecialist completed adaptation');
+    return genre;
   }
 
-  async runArrangementDirector(genreAdaptation, analysis) {
+  async runArrangementDirector(genreAdaptation, analysis, trace = {}) {
     const prompt = `You are the ArrangementDirector - a music producer with extensive recording experience.
 
 Your task: Finalize production decisions for a professional track.
@@ -286,8 +330,8 @@ ${JSON.stringify(analysis, null, 2)}
 
 As the ArrangementDirector, make final production decisions:
 1. Select specific instruments and sounds for each stem
-2. Define arrangement structure (intro, verse, chorus, outro)
-3. Set mix levels and balance between elements
+2. Define arrangement structure (intro, verse, chorus, bridge, outro) with bar counts and which stems play in each section
+3. Set mix levels (0-1 gain) and stereo panning (-1 left to 1 right) for each stem
 4. Choose production effects and processing
 5. Optimize for DAW compatibility and user editing
 6. Ensure professional quality and musical coherence
@@ -305,11 +349,12 @@ Respond with complete production blueprint:
   },
   "arrangement": {
     "structure": ["intro", "verse", "chorus", "verse", "chorus", "outro"],
-    "totalBars": 32,
+    "totalBars": 40,
     "sections": {
       "intro": "4 bars, piano only",
       "verse": "8 bars, bass and drums enter",
-      "chorus": "8 bars, full arrangement"
+      "chorus": "8 bars, full arrangement",
+      "outro": "4 bars, melody drops out"
     }
   },
   "mixLevels": {
@@ -318,6 +363,12 @@ Respond with complete production blueprint:
     "chords": 0.65,
     "melody": 0.90
   },
+  "panning": {
+    "drums": 0,
+    "bass": 0,
+    "chords": -0.2,
+    "melody": 0.15
+  },
   "production": {
     "effects": ["room reverb", "bus compression", "subtle EQ"],
     "tempo": 120,
@@ -332,26 +383,11 @@ Respond with complete production blueprint:
   }
 }`;
 
-    try {
-      const response = await this.openai.chat.completions.create({
-        model: config.openai.model,
-        messages: [{ 
-          role: 'system', 
-          content: 'You are a music arrangement director. Always respond with valid JSON only.' 
-        }, { 
-          role: 'user', 
-          content: prompt 
-        }],
-        response_format: { type: "json_object" },
-        temperature: 0.5
-      });
-
-      const arrangement = JSON.parse(response.choices[0].message.content);
-      logger.info('ArrangementDirector completed final arrangement');
-      return arrangement;
-    } catch (error) {
-      logger.warn('ArrangementDirector failed, using default arrangement:', error.message);
-      return {
+    const arrangement = await this.runAgent('arrangementDirector', {
+      system: 'You are a music arrangement director. Always respond with valid JSON only.',
+      prompt,
+      temperature: 0.5,
+      fallback: {
         finalInstrumentation: {
           drums: 'acoustic kit',
           bass: 'electric bass',
@@ -363,9 +399,18 @@ Respond with complete production blueprint:
           bass: 0.7,
           chords: 0.6,
           melody: 0.9
+        },
+        panning: {
+          drums: 0,
+          bass: 0,
+          chords: -0.2,
+          melody: 0.15
         }
-      };
-    }
+      },
+      context: { analysis }
+    }, trace);
+    logger.info('ArrangementDirector completed final arrangement');
+    return arrangement;
   }
 
   getFallbackMusicData(musicalAnalysis, transcription) {
@@ -397,72 +442,97 @@ Respond with complete production blueprint:
       },
       arrangement: {
         structure: ['intro', 'verse', 'chorus', 'outro'],
-        mixLevels: { drums: 0.8, bass: 0.7, chords: 0.6, melody: 0.9 }
+        mixLevels: { drums: 0.8, bass: 0.7, chords: 0.6, melody: 0.9 },
+        panning: { drums: 0, bass: 0, chords: -0.2, melody: 0.15 }
       },
       lyrics: transcription.text,
       generatedAt: new Date().toISOString()
     };
   }
 
-  // Simulate multi-agent conversation for demo purposes
-  async simulateAgentConversation(analysisType, data) {
-    const conversations = {
-      analyst: [
-        "🎵 MusicAnalyst: Analyzing vocal patterns and timing...",
-        `🎵 MusicAnalyst: Detected ${data.tempo || 120} BPM with ${data.key || 'C'} tonality`,
-        `🎵 MusicAnalyst: Mood classification: ${(data.mood || ['neutral']).join(', ')}`,
-        "🎵 MusicAnalyst: Passing analysis to ChordComposer..."
-      ],
-      composer: [
-        "🎹 ChordComposer: Receiving musical analysis...",
-        `🎹 ChordComposer: Creating progression in ${data.key || 'C'} major`,
-        "🎹 ChordComposer: Selected I-vi-IV-V progression for strong harmonic foundation",
-        "🎹 ChordComposer: Sending chord data to GenreSpecialist..."
-      ],
-      specialist: [
-        `🎸 GenreSpecialist: Adapting for ${data.genres?.[0] || 'pop'} genre...`,
-        "🎸 GenreSpecialist: Selected acoustic kit drums with tight snare",
-        "🎸 GenreSpecialist: Electric bass with clean tone",
-        "🎸 GenreSpecialist: Forwarding to ArrangementDirector..."
-      ],
-      director: [
-        "🎚️ ArrangementDirector: Finalizing production decisions...",
-        "🎚️ ArrangementDirector: Set mix levels - drums 85%, bass 75%, piano 65%",
-        "🎚️ ArrangementDirector: Adding subtle reverb and compression",
-        "🎚️ ArrangementDirector: Production complete - files ready for DAW import!"
-      ]
-    };
+  // One-line account of what an agent decided, for the dashboard's live timeline
+  summarizeAgent(agent, result, trace = {}) {
+    let summary;
+    switch (agent) {
+      case 'musicAnalyst':
+        summary = `${result.tempo} BPM in ${result.key}, ${[].concat(result.mood || []).slice(0, 2).join(' and ') || 'no clear mood'}`;
+        break;
+      case 'chordComposer':
+        summary = (result.primaryProgression || []).join(' - ');
+        break;
+      case 'genreSpecialist':
+        summary = `${result.primaryGenre}: ${Object.values(result.instrumentation || {}).slice(0, 3).join(', ')}`;
+        break;
+      case 'arrangementDirector': {
+        const plan = result.arrangement || {};
+        const structure = Array.isArray(plan.structure) ? plan.structure.join(', ') : plan.structure;
+        summary = [structure, plan.totalBars ? `${plan.totalBars} bars` : null].filter(Boolean).join(' - ') || 'mix and panning set';
+        break;
+      }
+      default:
+        summary = null;
+    }
 
-    return conversations[analysisType] || ["🤖 Agent: Processing..."];
+    const fixes = (trace.repairs?.[agent]?.length || 0) + (trace.critiques?.[agent] || []).filter(note => note.action === 'corrected').length;
+    return fixes > 0 ? `${summary} (${fixes} ${fixes === 1 ? 'fix' : 'fixes'} applied)` : summary;
   }
 
-  // For demo purposes - show the "agent thinking" process
-  async generateWithLiveUpdates(musicalAnalysis, transcription, onUpdate) {
+  // generateMusic, reporting each agent to onUpdate as { stage: agent, status, summary }:
+  // 'started', then 'completed' with a summary of its decision. A pipeline that falls back
+  // reports the agent it stopped at as 'failed'.
+  async generateWithLiveUpdates(musicalAnalysis, transcription, onUpdate, trace = {}) {
+    const report = onUpdate || (() => {});
+    let stage = null;
+    const run = async (agent, step) => {
+      stage = agent;
+      report({ stage: agent, status: 'started' });
+      const result = await step();
+      report({ stage: agent, status: 'completed', summary: this.summarizeAgent(agent, result, trace) });
+      return result;
+    };
+
     try {
-      if (onUpdate) onUpdate("🎵 MusicAnalyst: Starting analysis...");
-      const enhancedAnalysis = await this.runMusicAnalyst(musicalAnalysis, transcription);
-      
-      if (onUpdate) onUpdate("🎹 ChordComposer: Creating chord progressions...");
-      const chordProgression = await this.runChordComposer(enhancedAnalysis);
-      
-      if (onUpdate) onUpdate("🎸 GenreSpecialist: Adapting for genre...");
-      const genreAdaptation = await this.runGenreSpecialist(chordProgression, enhancedAnalysis);
-      
-      if (onUpdate) onUpdate("🎚️ ArrangementDirector: Finalizing arrangement...");
-      const finalArrangement = await this.runArrangementDirector(genreAdaptation, enhancedAnalysis);
-      
-      if (onUpdate) onUpdate("✅ Multi-agent processing complete!");
-
-      return {
+      logger.info('Starting multi-agent music generation:', {
+        tempo: musicalAnalysis.tempo,
+        key: musicalAnalysis.key,
+        mood: musicalAnalysis.mood,
+        textLength: transcription.text.length
+      });
+
+      // Step 1: Enhanced Musical Analysis (Music Analyst Agent)
+      const enhancedAnalysis = await run('musicAnalyst', () => this.runMusicAnalyst(musicalAnalysis, transcription, trace));
+
+      // Step 2: Chord Progression Generation (Chord Composer Agent)
+      const chordProgression = await run('chordComposer', () => this.runChordComposer(enhancedAnalysis, trace));
+
+      // Step 3: Genre Adaptation (Genre Specialist Agent)
+      const genreAdaptation = await run('genreSpecialist', () => this.runGenreSpecialist(chordProgression, enhancedAnalysis, trace));
+
+      // Step 4: Final Arrangement (Arrangement Director Agent)
+      const finalArrangement = await run('arrangementDirector', () => this.runArrangementDirector(genreAdaptation, enhancedAnalysis, trace));
+
+      const result = {
         analysis: enhancedAnalysis,
         chords: chordProgression,
         genre: genreAdaptation,
         arrangement: finalArrangement,
-        generatedAt: new Date().toISOString()
+        models: trace.models || {},
+        repairs: trace.repairs || {},
+        critiques: trace.critiques || {},
+        generatedAt: new Date().toISOString(),
+        processingTime: Date.now()
       };
+
+      logger.info('Multi-agent music generation completed successfully');
+
+      return result;
+
     } catch (error) {
-      if (onUpdate) onUpdate("⚠️ Using fallback generation...");
-      return this.getFallbackMusicData(musicalAnalysis, transcription);
+      logger.error('Multi-agent music generation failed:', error);
+      if (stage) report({ stage, status: 'failed', summary: 'Using fallback generation' });
+
+      // Return fallback music data
+      return { ...this.getFallbackMusicData(musicalAnalysis, transcription), models: trace.models || {}, repairs: trace.repairs || {}, critiques: trace.critiques || {} };
     }
   }
 }
@@ -0,0 +1,166 @@
+const Joi = require('joi');
+const ChordSymbol = require('../music/ChordSymbol');
+const MusicTheory = require('../music/MusicTheory');
+
+// What each agent must return. Extra fields are allowed (the prompts invite them); the ones the
+// pipeline reads are checked for type and range. Values are converted where the intent is
+// clear: "120" becomes 120, "A minor" becomes "Am".
+const chord = Joi.string().trim()
+  .custom((value, helpers) => (ChordSymbol.parse(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{{#label}} is not a chord symbol like C, F#m7 or Bb/D' });
+
+const key = Joi.string().trim()
+  .custom((value, helpers) => MusicTheory.formatKey(value) || helpers.error('any.invalid'))
+  .messages({ 'any.invalid': '{{#label}} is not a key like C, F#m or D dorian' });
+
+const noteName = Joi.string().trim().pattern(/^[A-G][#b]?-?\d$/)
+  .messages({ 'string.pattern.base': '{{#label}} is not a note name like C4 or F#3' });
+
+const tempo = Joi.number().min(40).max(240);
+const text = (max = 500) => Joi.string().allow('').max(max);
+const progression = Joi.array().items(chord).min(1).max(16);
+const labels = Joi.array().items(Joi.string().max(40)).min(1).max(12).single();
+
+// Gain 0-1 (a little headroom allowed) or a percentage, as Mixer.sanitizeLevel reads them
+const level = Joi.alternatives().try(
+  Joi.number().min(0).max(1.5),
+  Joi.string().trim().pattern(/^\d+(\.\d+)?\s*%$/)
+).messages({ 'alternatives.match': '{{#label}} must be a gain from 0 to 1 or a percentage' });
+const pan = Joi.number().min(-1).max(1);
+
+const SCHEMAS = {
+  musicAnalyst: Joi.object({
+    tempo: tempo.required(),
+    key: key.required(),
+    scale: text(40),
+    mood: labels.required(),
+    genres: labels,
+    energy: Joi.number().min(0).max(10),
+    structure: Joi.alternatives().try(text(200), Joi.array().items(Joi.string().max(40)).max(24)),
+    rhythmicPattern: text(),
+    melodicHints: text(),
+    confidence: Joi.number().min(0).max(1),
+    reasoning: text(4000)
+  }).unknown(true),
+
+  chordComposer: Joi.object({
+    primaryProgression: progression.required(),
+    verseProgression: progression,
+    chorusProgression: progression,
+    bridgeProgression: progression,
+    chordNotes: Joi.object().pattern(Joi.string(), Joi.array().items(noteName).min(1).max(8)),
+    romanNumerals: Joi.array().items(Joi.string().max(16)).max(16),
+    timing: text(200),
+    voiceLeading: text(),
+    complexity: text(40),
+    reasoning: text(4000)
+  }).unknown(true),
+
+  genreSpecialist: Joi.object({
+    primaryGenre: Joi.string().trim().min(1).max(40).required(),
+    instrumentation: Joi.object().pattern(Joi.string(), text(200)).required(),
+    rhythmPattern: text(200),
+    production: Joi.object({
+      effects: Joi.array().items(Joi.string().max(100)).max(20),
+      mixing: text(200),
+      tempo
+    }).unknown(true),
+    alternativeGenres: Joi.object().pattern(Joi.string(), Joi.object().unknown(true)),
+    arrangement: Joi.object().pattern(Joi.string(), Joi.alternatives().try(text(), Joi.object().unknown(true)))
+  }).unknown(true),
+
+  arrangementDirector: Joi.object({
+    finalInstrumentation: Joi.object().pattern(Joi.string(), text(200)),
+    arrangement: Joi.object({
+      structure: Joi.alternatives().try(Joi.array().items(Joi.string().max(40)).min(1).max(24), text(200)),
+      totalBars: Joi.number().integer().min(4).max(256),
+      sections: Joi.object().pattern(Joi.string(), Joi.alternatives().try(text(), Joi.object().unknown(true)))
+    }).unknown(true),
+    mixLevels: Joi.object().pattern(Joi.string(), level).required(),
+    panning: Joi.object().pattern(Joi.string(), pan).required(),
+    production: Joi.object({ tempo, key }).unknown(true),
+    fileSpecs: Joi.object().unknown(true)
+  }).unknown(true)
+};
+
+class AgentSchemas {
+  static has(agent) {
+    return Boolean(SCHEMAS[agent]);
+  }
+
+  // Returns { value (converted), problems: [{ path, field, message }] }
+  static validate(agent, reply) {
+    const { value, error } = SCHEMAS[agent].validate(reply, { abortEarly: false, convert: true });
+    return {
+      value,
+      problems: (error?.details || []).map(detail => ({
+        path: detail.path,
+        field: detail.path.join('.') || '(reply)',
+        message: detail.message
+      }))
+    };
+  }
+
+  // Follow-up message asking the model to fix its reply
+  static feedback(problems) {
+    return [
+      'Your reply did not match the required format:',
+      ...problems.map(problem => `- ${problem.message}`),
+      'Reply again with the complete, corrected JSON object only.'
+    ].join('\n');
+  }
+
+  // Replaces each invalid field with the fallback's value, or drops it when the fallback has
+  // none. Arrays are replaced whole: one bad chord can't be swapped for whatever chord the
+  // fallback has in that position. Returns { value, fields } with the repaired field paths.
+  static repair(agent, reply, fallback) {
+    if (!reply || typeof reply !== 'object' || Array.isArray(reply)) {
+      return { value: fallback, fields: Object.keys(fallback) };
+    }
+
+    const { value, problems } = this.validate(agent, reply);
+    if (problems.length === 0) {
+      return { value, fields: [] };
+    }
+
+    const repaired = structuredClone(reply);
+    const fields = new Set();
+    for (const { path } of problems) {
+      const cut = path.findIndex(segment => typeof segment === 'number');
+      const fieldPath = cut === -1 ? path : path.slice(0, cut);
+      const replacement = getPath(fallback, fieldPath);
+      if (replacement !== undefined) {
+        setPath(repaired, fieldPath, structuredClone(replacement));
+      } else {
+        deletePath(repaired, fieldPath);
+      }
+      fields.add(fieldPath.join('.'));
+    }
+
+    // A required field the fallback can't supply leaves nothing to salvage
+    const result = this.validate(agent, repaired);
+    if (result.problems.length > 0) {
+      return { value: fallback, fields: Object.keys(fallback) };
+    }
+    return { value: result.value, fields: [...fields] };
+  }
+}
+
+function getPath(object, path) {
+  return path.reduce((node, segment) => (node && typeof node === 'object' ? node[segment] : undefined), object);
+}
+
+function setPath(object, path, value) {
+  const parent = path.slice(0, -1).reduce((node, segment) => {
+    if (!node[segment] || typeof node[segment] !== 'object') node[segment] = {};
+    return node[segment];
+  }, object);
+  parent[path[path.length - 1]] = value;
+}
+
+function deletePath(object, path) {
+  const parent = getPath(object, path.slice(0, -1));
+  if (parent && typeof parent === 'object') delete parent[path[path.length - 1]];
+}
+
+module.exports = AgentSchemas;
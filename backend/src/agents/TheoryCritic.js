@@ -0,0 +1,272 @@
+const MusicTheory = require('../music/MusicTheory');
+const ChordSymbol = require('../music/ChordSymbol');
+const Arranger = require('../music/Arranger');
+
+const PROGRESSIONS = ['primaryProgression', 'verseProgression', 'chorusProgression', 'bridgeProgression'];
+
+// Scales on the key's tonic that chords may be borrowed from (modal interchange)
+const BORROWED_SCALES = ['major', 'minor', 'dorian', 'phrygian', 'lydian', 'mixolydian', 'harmonicMinor', 'melodicMinor'];
+
+// Relative tempo difference still treated as the same tempo
+const TEMPO_TOLERANCE = 0.04;
+
+// Stem gain the mix can use: quieter is inaudible against the rest, louder clips the bus
+const MIN_LEVEL = 0.05;
+const MAX_LEVEL = 1;
+
+const MIN_SECTION_BARS = 2;
+const MAX_SECTION_BARS = 32;
+
+// Music-theory checks between agent stages. review() returns the reply with every problem
+// fixed, plus what was changed: `corrections` are unambiguous fixes (a tempo that contradicts
+// the analysis, an out-of-range level), `critique` lists the musical choices the agent should
+// make again itself (chords outside the key, sections that aren't whole phrases). Their fixes
+// are applied to `value` too, for when the agent isn't asked again.
+class TheoryCritic {
+  // context: { measured } for the musicAnalyst (the values taken from the audio), { analysis }
+  // for the agents after it
+  review(agent, reply, context = {}) {
+    const review = { value: structuredClone(reply), corrections: [], critique: [] };
+
+    switch (agent) {
+      case 'musicAnalyst':
+        this.reviewAnalysis(review, context.measured);
+        break;
+      case 'chordComposer':
+        this.reviewChords(review, context.analysis);
+        break;
+      case 'genreSpecialist':
+        this.reviewProduction(review, context.analysis, { key: false });
+        break;
+      case 'arrangementDirector':
+        this.reviewProduction(review, context.analysis, { key: true });
+        this.reviewMixLevels(review);
+        this.reviewSections(review);
+        break;
+      default:
+        break;
+    }
+
+    return review;
+  }
+
+  // Follow-up message sending the critique back to the agent
+  static feedback(critique) {
+    return [
+      'Your reply is valid, but it does not fit the rest of the song:',
+      ...critique.map(item => `- ${item.message}`),
+      'Reply again with the complete, corrected JSON object only.'
+    ].join('\n');
+  }
+
+  // The analyst may pick another of the measured key candidates, but not a key or tempo the
+  // recording doesn't support
+  reviewAnalysis(review, measured) {
+    if (!measured) return;
+    const value = review.value;
+
+    if (measured.keySource === 'audio' && measured.key) {
+      const allowed = [measured.key, ...(measured.keyCandidates || []).map(candidate => candidate.key)]
+        .map(key => MusicTheory.formatKey(key));
+      if (!allowed.includes(MusicTheory.formatKey(value.key))) {
+        correct(review, 'key', 'key', value.key, measured.key,
+          `key ${value.key} is not among the keys measured from the recording (${allowed.join(', ')})`);
+      }
+    }
+
+    if (measured.tempoSource === 'audio' && measured.tempo && !sameTempo(value.tempo, measured.tempo)) {
+      correct(review, 'tempo', 'tempo', value.tempo, measured.tempo,
+        `tempo ${value.tempo} BPM contradicts the ${measured.tempo} BPM measured from the recording`);
+    }
+  }
+
+  reviewChords(review, analysis) {
+    const key = MusicTheory.parseKey(analysis?.key);
+    if (!key || !MusicTheory.diatonicChords(key)) return;
+    const value = review.value;
+    const keyName = MusicTheory.formatKey(key);
+    const preferFlats = (MusicTheory.keySignature(key)?.sharps || 0) < 0;
+    const fields = PROGRESSIONS.filter(field => Array.isArray(value[field]));
+
+    // Mostly non-diatonic chords that would all be diatonic a few semitones away: the
+    // progressions were written in another key
+    const chords = fields.flatMap(field => value[field]).map(symbol => ChordSymbol.parse(symbol)).filter(Boolean);
+    const fitting = (semitones) => chords
+      .filter(chord => this.classify(ChordSymbol.transpose(chord, semitones), key) === 'diatonic').length;
+    const inKey = fitting(0);
+    if (inKey < chords.length / 2) {
+      let best = 0;
+      for (let semitones = 1; semitones < 12; semitones++) {
+        if (fitting(semitones) > fitting(best)) best = semitones;
+      }
+      if (fitting(best) === chords.length) {
+        const writtenIn = MusicTheory.formatKey({
+          ...key,
+          tonic: MusicTheory.tonicName(key.tonicPitchClass - best, key.mode),
+          tonicPitchClass: (key.tonicPitchClass - best + 12) % 12
+        });
+        for (const field of fields) {
+          value[field] = value[field].map(symbol => {
+            const chord = ChordSymbol.parse(symbol);
+            return chord ? ChordSymbol.transpose(chord, best, { preferFlats }).symbol : symbol;
+          });
+        }
+        review.critique.push({
+          rule: 'key',
+          field: fields.join(', '),
+          message: `the progressions are written in ${writtenIn}, but the song is in ${keyName}; transpose them to ${keyName}`
+        });
+      }
+    }
+
+    // Then chord by chord: a wrong quality on a scale degree is fixed here, a root outside the
+    // key goes back to the composer
+    const diatonic = MusicTheory.diatonicChords(key).map(symbol => ChordSymbol.parse(symbol));
+    for (const field of fields) {
+      value[field] = value[field].map((symbol, index) => {
+        const chord = ChordSymbol.parse(symbol);
+        if (!chord || this.classify(chord, key) !== 'outside') return symbol;
+
+        const sameRoot = diatonic.find(candidate => candidate.rootPitchClass === chord.rootPitchClass);
+        if (sameRoot) {
+          review.corrections.push({
+            rule: 'diatonic',
+            field: `${field}[${index}]`,
+            from: symbol,
+            to: sameRoot.symbol,
+            message: `${symbol} is outside ${keyName}; ${sameRoot.symbol} is the chord on that degree`
+          });
+          return sameRoot.symbol;
+        }
+
+        const nearest = nearestChord(chord, diatonic.filter(candidate => !candidate.intervals.includes(6)));
+        review.critique.push({
+          rule: 'diatonic',
+          field: `${field}[${index}]`,
+          from: symbol,
+          to: nearest.symbol,
+          message: `${symbol} in ${field} has a root outside ${keyName} and is neither borrowed from a parallel mode nor a secondary dominant; replace it with a chord that fits ${keyName}`
+        });
+        return nearest.symbol;
+      });
+    }
+  }
+
+  // 'diatonic', 'borrowed' (every note in a mode on the same tonic), 'secondary' (a dominant
+  // resolving to a diatonic chord) or 'outside'
+  classify(chord, key) {
+    const notes = ChordSymbol.pitchClasses(chord);
+    const fits = (scale) => Boolean(scale) && notes.every(pitchClass => scale.includes(pitchClass));
+
+    if (fits(MusicTheory.scale(key))) return 'diatonic';
+    if (BORROWED_SCALES.some(scale => fits(MusicTheory.scale(key, scale)))) return 'borrowed';
+
+    const dominant = chord.intervals.includes(4) && chord.intervals.includes(7) && !chord.intervals.includes(11);
+    const target = (chord.rootPitchClass + 5) % 12;
+    const resolvesToDiatonic = (MusicTheory.diatonicChords(key) || [])
+      .map(symbol => ChordSymbol.parse(symbol))
+      .some(candidate => candidate.rootPitchClass === target && !candidate.intervals.includes(6));
+    if (dominant && resolvesToDiatonic) return 'secondary';
+
+    return 'outside';
+  }
+
+  // The later agents restate tempo and key under production; the analysis decides
+  reviewProduction(review, analysis, { key }) {
+    const production = review.value.production;
+    if (!analysis || !production || typeof production !== 'object') return;
+
+    if (production.tempo !== undefined && analysis.tempo && !sameTempo(production.tempo, analysis.tempo)) {
+      correct(review, 'tempo', 'production.tempo', production.tempo, analysis.tempo,
+        `production tempo ${production.tempo} BPM contradicts the analysed ${analysis.tempo} BPM`);
+    }
+
+    const analysedKey = MusicTheory.formatKey(analysis.key);
+    if (key && production.key !== undefined && analysedKey && MusicTheory.formatKey(production.key) !== analysedKey) {
+      correct(review, 'key', 'production.key', production.key, analysedKey,
+        `production key ${production.key} contradicts the analysed key ${analysedKey}`);
+    }
+  }
+
+  reviewMixLevels(review) {
+    const levels = review.value.mixLevels || {};
+    for (const [stem, level] of Object.entries(levels)) {
+      const gain = typeof level === 'string' ? parseFloat(level) / 100 : level;
+      if (!Number.isFinite(gain)) continue;
+
+      const clamped = Math.min(MAX_LEVEL, Math.max(MIN_LEVEL, gain));
+      if (clamped !== gain) {
+        correct(review, 'mixLevel', `mixLevels.${stem}`, level, clamped,
+          `${stem} level ${level} is outside ${MIN_LEVEL}-${MAX_LEVEL}`);
+      }
+    }
+  }
+
+  // Sections should be whole phrases (an even number of bars) and totalBars their sum
+  reviewSections(review) {
+    const plan = review.value.arrangement;
+    if (!plan || typeof plan !== 'object') return;
+
+    const arranger = new Arranger();
+    const descriptions = plan.sections || {};
+    const checked = new Set();
+    for (const label of arranger.parseStructure(plan.structure)) {
+      const type = Arranger.sectionType(label);
+      const name = [label, type, label.toLowerCase()].find(candidate => descriptions[candidate] !== undefined);
+      if (!name || checked.has(name)) continue;
+      checked.add(name);
+
+      const description = descriptions[name];
+      const text = typeof description === 'string' ? description : '';
+      const match = /(\d+)\s*(?:bars?|measures?)/i.exec(text);
+      const bars = match ? Number(match[1]) : Number(description?.bars);
+      if (!Number.isFinite(bars) || bars === 0) continue;
+
+      if (bars % 2 !== 0 || bars < MIN_SECTION_BARS || bars > MAX_SECTION_BARS) {
+        const phrase = Math.min(MAX_SECTION_BARS, Math.max(MIN_SECTION_BARS, 2 * Math.round(bars / 2)));
+        descriptions[name] = typeof description === 'string'
+          ? description.replace(match[0], `${phrase} bars`)
+          : { ...description, bars: phrase };
+        review.critique.push({
+          rule: 'sectionBars',
+          field: `arrangement.sections.${name}`,
+          from: bars,
+          to: phrase,
+          message: `the ${name} is ${bars} bars; give each section a whole number of phrases between ${MIN_SECTION_BARS} and ${MAX_SECTION_BARS} bars (4, 8 or 16 usually)`
+        });
+      }
+    }
+
+    if (plan.totalBars !== undefined) {
+      const total = arranger.layoutSections({ arrangement: plan }).reduce((sum, section) => sum + section.bars, 0);
+      if (plan.totalBars !== total) {
+        correct(review, 'totalBars', 'arrangement.totalBars', plan.totalBars, total,
+          `totalBars ${plan.totalBars} doesn't match the ${total} bars of the sections`);
+      }
+    }
+  }
+}
+
+function correct(review, rule, field, from, to, message) {
+  review.corrections.push({ rule, field, from, to, message });
+  const path = field.split('.');
+  const parent = path.slice(0, -1).reduce((node, segment) => node[segment], review.value);
+  parent[path[path.length - 1]] = to;
+}
+
+// Equal within the tolerance; double or half time counts as the same tempo
+function sameTempo(tempo, reference) {
+  return [reference, reference * 2, reference / 2]
+    .some(candidate => Math.abs(tempo - candidate) <= candidate * TEMPO_TOLERANCE);
+}
+
+// Diatonic chord whose root is the fewest semitones away, the lower one on a tie
+function nearestChord(chord, candidates) {
+  const distance = (candidate) => {
+    const up = (candidate.rootPitchClass - chord.rootPitchClass + 12) % 12;
+    return Math.min(up, 12 - up) + (up > 6 ? 0 : 0.5);
+  };
+  return candidates.reduce((best, candidate) => (distance(candidate) < distance(best) ? candidate : best));
+}
+
+module.exports = TheoryCritic;
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every agent replays fixtures written by the tests below
+const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-fixtures-'));
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_FIXTURES_DIR = fixturesDir;
+process.env.LLM_MAX_REPROMPTS = '2';
+process.env.LLM_MAX_CRITIQUES = '1';
+
+const AG2MusicGenerator = require('../AG2MusicGenerator');
+const AgentSchemas = require('../AgentSchemas');
+const FixtureStore = require('../../llm/FixtureStore');
+
+const system = 'Always respond with valid JSON only.';
+const prompt = 'Write a chord progression.';
+const firstMessages = [
+  { role: 'system', content: system },
+  { role: 'user', content: prompt }
+];
+const fallback = {
+  primaryProgression: ['C', 'Am', 'F', 'G'],
+  verseProgression: ['Am', 'F', 'C', 'G'],
+  timing: 'whole notes'
+};
+
+// The reply to the agent's first request, and the one every later request (the re-prompts) gets
+function writeFixtures(agent, { first, later }) {
+  const write = (file, response) => fs.writeFileSync(
+    path.join(fixturesDir, file),
+    JSON.stringify({ agent, model: 'test-model', response })
+  );
+  if (first !== undefined) write(`${agent}.${FixtureStore.chatKey(firstMessages)}.json`, first);
+  if (later !== undefined) write(`${agent}.json`, later);
+}
+
+describe('AG2MusicGenerator.runAgent', () => {
+  const generator = new AG2MusicGenerator();
+  const run = (agent, trace, options = {}) => generator.runAgent(agent, {
+    system,
+    prompt,
+    temperature: 0.5,
+    fallback,
+    context: { analysis: { key: 'C', tempo: 120 } },
+    ...options
+  }, trace);
+
+  beforeEach(() => {
+    for (const file of fs.readdirSync(fixturesDir)) fs.unlinkSync(path.join(fixturesDir, file));
+  });
+
+  afterAll(() => {
+    fs.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  it('returns a valid reply from the first call', async () => {
+    writeFixtures('chordComposer', { first: { primaryProgression: ['C', 'F', 'G', 'C'] } });
+    const trace = {};
+
+    await expect(run('chordComposer', trace)).resolves.toEqual({ primaryProgression: ['C', 'F', 'G', 'C'] });
+    expect(trace.transcript).toHaveLength(1);
+    expect(trace.models.chordComposer).toEqual({ provider: 'mock', model: `fixture:chordComposer.${FixtureStore.chatKey(firstMessages)}.json` });
+    expect(trace.repairs).toEqual({});
+  });
+
+  it('re-prompts with the validation errors after a schema error', async () => {
+    const invalid = { primaryProgression: ['C', 'H7', 'G', 'C'] };
+    writeFixtures('chordComposer', { first: invalid, later: { primaryProgression: ['C', 'Em', 'G', 'C'] } });
+    const trace = {};
+
+    await expect(run('chordComposer', trace)).resolves.toEqual({ primaryProgression: ['C', 'Em', 'G', 'C'] });
+
+    const [first, second] = trace.transcript;
+    expect(trace.transcript).toHaveLength(2);
+    expect([first.attempt, second.attempt]).toEqual([1, 2]);
+    expect(second.prompt).toEqual([
+      ...firstMessages,
+      { role: 'assistant', content: JSON.stringify(invalid) },
+      { role: 'user', content: AgentSchemas.feedback(AgentSchemas.validate('chordComposer', invalid).problems) }
+    ]);
+    expect(second.prompt[3].content).toContain('"primaryProgression[1]" is not a chord symbol');
+    expect(trace.models.chordComposer.attempts).toBe(2);
+    expect(trace.repairs).toEqual({});
+  });
+
+  it('re-prompts after a reply that is not JSON', async () => {
+    writeFixtures('chordComposer', { first: 'Sure! Here are some chords: C G Am F', later: { primaryProgression: ['C', 'G', 'Am', 'F'] } });
+    const trace = {};
+
+    await expect(run('chordComposer', trace)).resolves.toEqual({ primaryProgression: ['C', 'G', 'Am', 'F'] });
+    expect(trace.transcript[0].error).toMatch(/not valid JSON/);
+    expect(trace.transcript[1].prompt[2]).toEqual({ role: 'assistant', content: 'Sure! Here are some chords: C G Am F' });
+  });
+
+  it('replaces a progression with an invalid chord once the re-prompts run out', async () => {
+    const invalid = { primaryProgression: ['G', 'D', 'Em', 'C'], verseProgression: ['Em', 'H7', 'G', 'D'] };
+    writeFixtures('chordComposer', { first: invalid, later: invalid });
+    const trace = {};
+
+    // Without an analysis the critic leaves the progressions' key alone
+    const value = await run('chordComposer', trace, { context: {} });
+
+    expect(value).toEqual({ primaryProgression: ['G', 'D', 'Em', 'C'], verseProgression: ['Am', 'F', 'C', 'G'] });
+    expect(trace.transcript.map(call => call.attempt)).toEqual([1, 2, 3]);
+    expect(trace.models.chordComposer.attempts).toBe(3);
+    expect(trace.repairs).toEqual({ chordComposer: ['verseProgression'] });
+    // The last call in the transcript carries what the pipeline went on with
+    expect(trace.transcript[2].parsed).toEqual(value);
+  });
+
+  it('falls back to the default for a missing required field', async () => {
+    const reply = { verseProgression: ['Am', 'Dm', 'G', 'C'], timing: 'half notes' };
+    writeFixtures('chordComposer', { first: reply, later: reply });
+    const trace = {};
+
+    await expect(run('chordComposer', trace)).resolves.toEqual({
+      primaryProgression: ['C', 'Am', 'F', 'G'],
+      verseProgression: ['Am', 'Dm', 'G', 'C'],
+      timing: 'half notes'
+    });
+    expect(trace.repairs).toEqual({ chordComposer: ['primaryProgression'] });
+  });
+
+  it('falls back entirely when the provider has no answer', async () => {
+    const trace = {};
+
+    await expect(run('chordComposer', trace)).resolves.toEqual(fallback);
+    expect(trace.transcript).toHaveLength(1);
+    expect(trace.transcript[0]).toMatchObject({ fallback: true, provider: 'mock', error: expect.stringMatching(/No LLM fixture/) });
+    expect(trace.models.chordComposer).toMatchObject({ provider: 'mock', fallback: true });
+    expect(trace.repairs).toEqual({ chordComposer: ['primaryProgression', 'verseProgression', 'timing'] });
+  });
+
+  it('sends the critique back once, then records it', async () => {
+    writeFixtures('chordComposer', {
+      first: { primaryProgression: ['D', 'G', 'A', 'Bm'] },
+      later: { primaryProgression: ['C', 'F', 'G', 'Am'] }
+    });
+    const trace = {};
+
+    await expect(run('chordComposer', trace)).resolves.toEqual({ primaryProgression: ['C', 'F', 'G', 'Am'] });
+    expect(trace.transcript).toHaveLength(2);
+    expect(trace.transcript[1].prompt[3].content).toContain('the progressions are written in D, but the song is in C');
+    expect(trace.critiques.chordComposer).toEqual([
+      expect.objectContaining({ rule: 'key', action: 'critiqued', round: 1 })
+    ]);
+  });
+
+  it('keeps the default re-prompt and critique counts when the environment values are not numbers', async () => {
+    const invalid = { primaryProgression: ['C', 'H7', 'G', 'C'] };
+    writeFixtures('chordComposer', { first: invalid, later: invalid });
+    const trace = {};
+
+    let Generator;
+    Object.assign(process.env, { LLM_MAX_REPROMPTS: 'two', LLM_MAX_CRITIQUES: '' });
+    try {
+      jest.isolateModules(() => {
+        Generator = require('../AG2MusicGenerator');
+      });
+    } finally {
+      Object.assign(process.env, { LLM_MAX_REPROMPTS: '2', LLM_MAX_CRITIQUES: '1' });
+    }
+
+    await new Generator().runAgent('chordComposer', { system, prompt, temperature: 0.5, fallback, context: {} }, trace);
+    expect(trace.transcript.map(call => call.attempt)).toEqual([1, 2, 3]);
+    expect(trace.transcript.every(call => !call.fallback)).toBe(true);
+  });
+});
+
+describe('AG2MusicGenerator.runMusicAnalyst', () => {
+  it('summarizes the beat grid and key candidates instead of listing them', async () => {
+    const generator = new AG2MusicGenerator();
+    const runAgent = jest.spyOn(generator, 'runAgent').mockResolvedValue({ key: 'A', tempo: 96 });
+    const beatTimes = Array.from({ length: 200 }, (_, i) => Math.round(i * 0.625 * 1000) / 1000);
+
+    await generator.runMusicAnalyst({
+      key: 'A',
+      tempo: 96,
+      tempoSource: 'audio',
+      tempoConfidence: 0.82,
+      beatGrid: { bpm: 96, downbeatOffset: 0.4, beatTimes },
+      keyCandidates: [{ key: 'A', mode: 'major', score: 0.91 }, { key: 'F#m', mode: 'minor', score: 0.74 }]
+    }, { text: 'la la', duration: 4, segments: [], confidence: 0.9 });
+
+    const { prompt } = runAgent.mock.calls[0][1];
+    expect(prompt).toContain('1. A (major) - score 0.91\n2. F#m (minor) - score 0.74');
+    expect(prompt).toContain('96 BPM (confidence 0.82)');
+    expect(prompt).not.toContain('beatTimes');
+    expect(prompt).not.toContain('keyCandidates');
+  });
+});
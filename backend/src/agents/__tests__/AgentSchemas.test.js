@@ -0,0 +1,87 @@
+const AgentSchemas = require('../AgentSchemas');
+
+const chordFallback = {
+  primaryProgression: ['C', 'Am', 'F', 'G'],
+  verseProgression: ['Am', 'F', 'C', 'G'],
+  timing: 'whole notes'
+};
+
+describe('AgentSchemas.validate', () => {
+  it('converts values whose intent is clear', () => {
+    const { value, problems } = AgentSchemas.validate('musicAnalyst', { tempo: '120', key: 'A minor', mood: 'calm' });
+    expect(problems).toEqual([]);
+    expect(value).toMatchObject({ tempo: 120, key: 'Am', mood: ['calm'] });
+  });
+
+  it('reports each invalid field with its path', () => {
+    const { problems } = AgentSchemas.validate('chordComposer', {
+      primaryProgression: ['C', 'H7'],
+      verseProgression: 'Am F C G'
+    });
+    expect(problems.map(problem => problem.field)).toEqual(['primaryProgression.1', 'verseProgression']);
+    expect(problems[0].message).toBe('"primaryProgression[1]" is not a chord symbol like C, F#m7 or Bb/D');
+  });
+});
+
+describe('AgentSchemas.repair', () => {
+  it('replaces a progression holding an invalid chord with the fallback progression', () => {
+    const { value, fields } = AgentSchemas.repair('chordComposer', {
+      primaryProgression: ['G', 'D', 'Em', 'C'],
+      verseProgression: ['Em', 'H7', 'G', 'D'],
+      timing: 'half notes'
+    }, chordFallback);
+
+    expect(fields).toEqual(['verseProgression']);
+    expect(value).toEqual({
+      primaryProgression: ['G', 'D', 'Em', 'C'],
+      verseProgression: ['Am', 'F', 'C', 'G'],
+      timing: 'half notes'
+    });
+  });
+
+  it('drops an invalid optional field the fallback has no value for', () => {
+    const { value, fields } = AgentSchemas.repair('chordComposer', {
+      primaryProgression: ['G', 'D', 'Em', 'C'],
+      bridgeProgression: ['X']
+    }, chordFallback);
+
+    expect(fields).toEqual(['bridgeProgression']);
+    expect(value).toEqual({ primaryProgression: ['G', 'D', 'Em', 'C'] });
+  });
+
+  it('fills a missing required field from the fallback', () => {
+    const { value, fields } = AgentSchemas.repair('musicAnalyst', { tempo: 96, key: 'D' }, { tempo: 120, key: 'C', mood: ['uplifting'] });
+
+    expect(fields).toEqual(['mood']);
+    expect(value).toEqual({ tempo: 96, key: 'D', mood: ['uplifting'] });
+  });
+
+  it('repairs nested fields', () => {
+    const { value, fields } = AgentSchemas.repair('arrangementDirector', {
+      mixLevels: { melody: 0.8, drums: 'loud' },
+      panning: { melody: 0 }
+    }, { mixLevels: { melody: 0.8, drums: 0.7 }, panning: { melody: 0 } });
+
+    expect(fields).toEqual(['mixLevels.drums']);
+    expect(value.mixLevels).toEqual({ melody: 0.8, drums: 0.7 });
+  });
+
+  it('falls back entirely when a required field cannot be repaired', () => {
+    const fallback = { tempo: 120, key: 'C' };
+    expect(AgentSchemas.repair('musicAnalyst', { tempo: 96 }, fallback)).toEqual({ value: fallback, fields: ['tempo', 'key'] });
+  });
+
+  it('falls back entirely when there is no reply', () => {
+    expect(AgentSchemas.repair('chordComposer', null, chordFallback)).toEqual({
+      value: chordFallback,
+      fields: ['primaryProgression', 'verseProgression', 'timing']
+    });
+  });
+
+  it('leaves a valid reply alone', () => {
+    expect(AgentSchemas.repair('chordComposer', { primaryProgression: ['C', 'G'] }, chordFallback)).toEqual({
+      value: { primaryProgression: ['C', 'G'] },
+      fields: []
+    });
+  });
+});
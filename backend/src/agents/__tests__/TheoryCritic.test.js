@@ -0,0 +1,175 @@
+const TheoryCritic = require('../TheoryCritic');
+
+const critic = new TheoryCritic();
+const rules = (items) => items.map(item => item.rule);
+
+describe('TheoryCritic chordComposer review', () => {
+  it.each([
+    {
+      name: 'a progression written in the wrong key',
+      key: 'C',
+      progression: ['D', 'G', 'A', 'Bm'],
+      expected: ['C', 'F', 'G', 'Am'],
+      corrections: [],
+      critique: ['key']
+    },
+    {
+      name: 'a progression written in the wrong key, flat key',
+      key: 'Bb',
+      progression: ['G', 'C', 'D', 'Em'],
+      expected: ['Bb', 'Eb', 'F', 'Gm'],
+      corrections: [],
+      critique: ['key']
+    },
+    {
+      name: 'a borrowed bVII in major',
+      key: 'C',
+      progression: ['C', 'Bb', 'F', 'C'],
+      expected: ['C', 'Bb', 'F', 'C'],
+      corrections: [],
+      critique: []
+    },
+    {
+      name: 'borrowed chords from the parallel minor',
+      key: 'C',
+      progression: ['C', 'Fm', 'Ab', 'Bb', 'C'],
+      expected: ['C', 'Fm', 'Ab', 'Bb', 'C'],
+      corrections: [],
+      critique: []
+    },
+    {
+      name: 'a secondary dominant (D7 in C)',
+      key: 'C',
+      progression: ['C', 'D7', 'G', 'C'],
+      expected: ['C', 'D7', 'G', 'C'],
+      corrections: [],
+      critique: []
+    },
+    {
+      name: 'the major V in a minor key',
+      key: 'Am',
+      progression: ['Am', 'G', 'F', 'E7'],
+      expected: ['Am', 'G', 'F', 'E7'],
+      corrections: [],
+      critique: []
+    },
+    {
+      name: 'a wrong quality on a scale degree',
+      key: 'C',
+      progression: ['C', 'Dmaj7', 'G', 'Emaj7'],
+      expected: ['C', 'Dm', 'G', 'Em'],
+      corrections: ['diatonic', 'diatonic'],
+      critique: []
+    },
+    {
+      name: 'a root outside the key',
+      key: 'C',
+      progression: ['C', 'F#', 'G', 'C'],
+      expected: ['C', 'F', 'G', 'C'],
+      corrections: [],
+      critique: ['diatonic']
+    }
+  ])('$name', ({ key, progression, expected, corrections, critique }) => {
+    const review = critic.review('chordComposer', { primaryProgression: progression }, { analysis: { key } });
+
+    expect(review.value.primaryProgression).toEqual(expected);
+    expect(rules(review.corrections)).toEqual(corrections);
+    expect(rules(review.critique)).toEqual(critique);
+  });
+
+  it('leaves the reply it was given untouched', () => {
+    const reply = { primaryProgression: ['D', 'G', 'A', 'Bm'] };
+    critic.review('chordComposer', reply, { analysis: { key: 'C' } });
+    expect(reply.primaryProgression).toEqual(['D', 'G', 'A', 'Bm']);
+  });
+});
+
+describe('TheoryCritic tempo and key checks', () => {
+  const measured = {
+    key: 'C',
+    keySource: 'audio',
+    keyCandidates: [{ key: 'Am' }],
+    tempo: 120,
+    tempoSource: 'audio'
+  };
+
+  it.each([
+    { name: 'the measured tempo', tempo: 120, expected: 120 },
+    { name: 'a tempo within the tolerance', tempo: 124, expected: 124 },
+    { name: 'half time', tempo: 62, expected: 62 },
+    { name: 'double time', tempo: 240, expected: 240 },
+    { name: 'a different tempo', tempo: 100, expected: 120 },
+    { name: 'a tempo just outside the tolerance', tempo: 126, expected: 120 }
+  ])('musicAnalyst with $name', ({ tempo, expected }) => {
+    const review = critic.review('musicAnalyst', { key: 'C', tempo }, { measured });
+    expect(review.value.tempo).toBe(expected);
+    expect(rules(review.corrections)).toEqual(expected === tempo ? [] : ['tempo']);
+  });
+
+  it.each([
+    { key: 'C', expected: 'C' },
+    { key: 'A minor', expected: 'A minor' },
+    { key: 'G', expected: 'C' }
+  ])('musicAnalyst may only pick a measured key candidate ($key)', ({ key, expected }) => {
+    const review = critic.review('musicAnalyst', { key, tempo: 120 }, { measured });
+    expect(review.value.key).toBe(expected);
+  });
+
+  it('trusts the analyst when the key and tempo were not measured', () => {
+    const review = critic.review('musicAnalyst', { key: 'G', tempo: 90 }, {
+      measured: { ...measured, keySource: 'default', tempoSource: 'default' }
+    });
+    expect(review.corrections).toEqual([]);
+  });
+
+  it.each([
+    { agent: 'genreSpecialist', production: { tempo: 60, key: 'G' }, expected: { tempo: 60, key: 'G' } },
+    { agent: 'genreSpecialist', production: { tempo: 126, key: 'G' }, expected: { tempo: 120, key: 'G' } },
+    { agent: 'arrangementDirector', production: { tempo: 240, key: 'Am' }, expected: { tempo: 240, key: 'C' } }
+  ])('$agent production $production.tempo BPM in $production.key', ({ agent, production, expected }) => {
+    const review = critic.review(agent, { production }, { analysis: { key: 'C', tempo: 120 } });
+    expect(review.value.production).toEqual(expected);
+  });
+});
+
+describe('TheoryCritic arrangementDirector review', () => {
+  const analysis = { key: 'C', tempo: 120 };
+
+  it.each([
+    { name: 'an odd section', bars: '7 bars of piano', expected: '8 bars of piano', from: 7 },
+    { name: 'a one-bar section', bars: '1 bar', expected: '2 bars', from: 1 },
+    { name: 'an overlong section', bars: { bars: 40 }, expected: { bars: 32 }, from: 40 }
+  ])('sends back $name', ({ bars, expected, from }) => {
+    const review = critic.review('arrangementDirector', {
+      arrangement: { structure: 'Verse-Chorus', sections: { Verse: bars, Chorus: '8 bars' } }
+    }, { analysis });
+
+    expect(review.value.arrangement.sections).toEqual({ Verse: expected, Chorus: '8 bars' });
+    expect(review.critique).toEqual([expect.objectContaining({ rule: 'sectionBars', field: 'arrangement.sections.Verse', from })]);
+  });
+
+  it('accepts whole phrases and corrects totalBars to their sum', () => {
+    const review = critic.review('arrangementDirector', {
+      arrangement: { structure: 'Verse-Chorus-Verse', sections: { Verse: '8 bars', Chorus: '16 bars' }, totalBars: 24 }
+    }, { analysis });
+
+    expect(review.critique).toEqual([]);
+    expect(review.corrections).toEqual([expect.objectContaining({ rule: 'totalBars', from: 24, to: 32 })]);
+    expect(review.value.arrangement.totalBars).toBe(32);
+  });
+
+  it('clamps mix levels into the usable range', () => {
+    const review = critic.review('arrangementDirector', { mixLevels: { vocals: 1.4, pad: 0.01, drums: '80%' } }, { analysis });
+    expect(review.value.mixLevels).toEqual({ vocals: 1, pad: 0.05, drums: '80%' });
+  });
+});
+
+describe('TheoryCritic.feedback', () => {
+  it('lists the critique and asks for the whole object again', () => {
+    expect(TheoryCritic.feedback([{ message: 'the Verse is 7 bars' }])).toBe([
+      'Your reply is valid, but it does not fit the rest of the song:',
+      '- the Verse is 7 bars',
+      'Reply again with the complete, corrected JSON object only.'
+    ].join('\n'));
+  });
+});
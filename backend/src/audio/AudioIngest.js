@@ -0,0 +1,239 @@
+const WavCodec = require('./WavCodec');
+
+const FRAME_DURATION = 0.02; // 20ms analysis frames
+const CLIP_LEVEL = 0.98; // G.711 tops out at 0.98 of full scale
+
+// Turns a raw phone recording into clean mono audio at one sample rate: decode, DC removal,
+// silence trimming, noise gate and resampling. Recordings that can't produce a usable
+// melody (unreadable, silent, clipped, too short) are rejected with a reason.
+class AudioIngest {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 16000; // Whisper's native rate; plenty for a hummed f0
+    this.silenceThreshold = options.silenceThreshold ?? -45; // dBFS, loudest frame below this is silence
+    this.maxClippedRatio = options.maxClippedRatio ?? 0.01; // share of samples in clipped runs
+    this.minDuration = options.minDuration || 1; // seconds of sound after trimming
+    this.trimPadding = options.trimPadding || 0.15; // seconds kept around the sound
+    this.gateRange = options.gateRange ?? -30; // dB of attenuation when the gate is closed
+  }
+
+  static rejection(reason, message, details = {}) {
+    const error = new Error(message);
+    error.name = 'RecordingRejectedError';
+    error.reason = reason;
+    error.retryable = false;
+    error.details = details;
+    return error;
+  }
+
+  // buffer: the file as downloaded. Returns { samples, sampleRate, duration, report }
+  process(buffer) {
+    let decoded;
+    try {
+      decoded = WavCodec.decode(buffer);
+    } catch (error) {
+      throw AudioIngest.rejection('unreadable', `The recording could not be read (${error.message}).`);
+    }
+
+    const source = {
+      sampleRate: decoded.sampleRate,
+      channels: decoded.channels,
+      bitsPerSample: decoded.bitsPerSample,
+      formatTag: decoded.formatTag,
+      duration: Math.round(decoded.duration * 1000) / 1000
+    };
+
+    if (decoded.samples.length < decoded.sampleRate * FRAME_DURATION * 2) {
+      throw AudioIngest.rejection('too_short', 'The recording is empty.', { source });
+    }
+
+    // Clipping is judged on the raw signal, before anything changes its level
+    const clippedRatio = this.clippedRatio(decoded.channelData);
+    if (clippedRatio > this.maxClippedRatio) {
+      throw AudioIngest.rejection(
+        'clipped',
+        `The recording is distorted: ${(clippedRatio * 100).toFixed(1)}% of it is clipped. Hold the phone a little further away and try again.`,
+        { source, clippedRatio }
+      );
+    }
+
+    const centred = this.removeDc(decoded.samples, decoded.sampleRate);
+    const frames = this.frameLevels(centred, decoded.sampleRate);
+    const peakLevel = Math.max(...frames.levels);
+    if (peakLevel < this.silenceThreshold) {
+      throw AudioIngest.rejection(
+        'silent',
+        `The recording is silent (loudest moment ${peakLevel.toFixed(0)} dBFS). Hum or sing closer to the phone.`,
+        { source, peakLevel }
+      );
+    }
+
+    const noiseFloor = this.percentile(frames.levels, 0.1);
+    // Open well above the hiss, but never so high that quiet humming is cut
+    const gateThreshold = Math.min(this.silenceThreshold, Math.max(noiseFloor + 10, -70));
+    const trim = this.trimRange(frames, gateThreshold, decoded.sampleRate, centred.length);
+    const trimmed = centred.subarray(trim.start, trim.end);
+    const duration = trimmed.length / decoded.sampleRate;
+
+    if (duration < this.minDuration) {
+      throw AudioIngest.rejection(
+        'too_short',
+        `Only ${duration.toFixed(1)} seconds of sound were recorded. Hum for at least a few seconds.`,
+        { source, duration }
+      );
+    }
+
+    const gated = this.noiseGate(trimmed, decoded.sampleRate, gateThreshold);
+    const samples = this.resample(gated, decoded.sampleRate, this.sampleRate);
+
+    return {
+      samples,
+      sampleRate: this.sampleRate,
+      duration: samples.length / this.sampleRate,
+      report: {
+        source,
+        trimmedStart: Math.round((trim.start / decoded.sampleRate) * 1000) / 1000,
+        trimmedEnd: Math.round((trim.end / decoded.sampleRate) * 1000) / 1000,
+        peakLevel: Math.round(peakLevel * 10) / 10,
+        noiseFloor: Math.round(noiseFloor * 10) / 10,
+        gateThreshold: Math.round(gateThreshold * 10) / 10,
+        clippedRatio: Math.round(clippedRatio * 10000) / 10000
+      }
+    };
+  }
+
+  // Mono 16-bit WAV of the processed audio
+  encode(result) {
+    return WavCodec.encode([result.samples], { sampleRate: result.sampleRate, bitsPerSample: 16 });
+  }
+
+  // Share of samples that sit in runs of three or more at full scale. Single full-scale
+  // samples happen in loud but clean audio; runs mean the waveform was flattened.
+  clippedRatio(channelData) {
+    let clipped = 0;
+    let total = 0;
+    for (const channel of channelData) {
+      let run = 0;
+      for (let i = 0; i <= channel.length; i++) {
+        if (i < channel.length && Math.abs(channel[i]) >= CLIP_LEVEL) {
+          run++;
+        } else {
+          if (run >= 3) clipped += run;
+          run = 0;
+        }
+      }
+      total += channel.length;
+    }
+    return total > 0 ? clipped / total : 0;
+  }
+
+  // Subtract the mean, then a one-pole high-pass at ~20 Hz for DC that drifts
+  removeDc(samples, sampleRate) {
+    let mean = 0;
+    for (let i = 0; i < samples.length; i++) mean += samples[i];
+    mean /= samples.length || 1;
+
+    const pole = 1 - (2 * Math.PI * 20) / sampleRate;
+    const output = new Float32Array(samples.length);
+    let previousInput = 0;
+    let previousOutput = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const input = samples[i] - mean;
+      previousOutput = input - previousInput + pole * previousOutput;
+      previousInput = input;
+      output[i] = previousOutput;
+    }
+    return output;
+  }
+
+  // RMS level of each frame in dBFS
+  frameLevels(samples, sampleRate) {
+    const size = Math.max(1, Math.round(sampleRate * FRAME_DURATION));
+    const levels = [];
+    for (let start = 0; start < samples.length; start += size) {
+      const end = Math.min(samples.length, start + size);
+      let sum = 0;
+      for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+      levels.push(toDecibels(Math.sqrt(sum / (end - start))));
+    }
+    return { size, levels };
+  }
+
+  // Sample range from the first to the last frame above the threshold, with padding
+  trimRange({ size, levels }, threshold, sampleRate, length) {
+    const first = levels.findIndex(level => level >= threshold);
+    let last = levels.length - 1;
+    while (last > first && levels[last] < threshold) last--;
+
+    const padding = Math.round(this.trimPadding * sampleRate);
+    return {
+      start: Math.max(0, first * size - padding),
+      end: Math.min(length, (last + 1) * size + padding)
+    };
+  }
+
+  // Attenuates the gaps between phrases. The gain follows the frame levels with a fast
+  // attack and slow release, per sample, so the gate never clicks.
+  noiseGate(samples, sampleRate, threshold) {
+    const { size, levels } = this.frameLevels(samples, sampleRate);
+    const closed = 10 ** (this.gateRange / 20);
+    const attack = 1 - Math.exp(-1 / (0.005 * sampleRate));
+    const release = 1 - Math.exp(-1 / (0.15 * sampleRate));
+    const hold = Math.round(0.1 / FRAME_DURATION);
+
+    const output = new Float32Array(samples.length);
+    let gain = closed;
+    let openFrames = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const frame = Math.floor(i / size);
+      if (i % size === 0) {
+        openFrames = levels[frame] >= threshold ? hold : Math.max(0, openFrames - 1);
+      }
+      const target = openFrames > 0 ? 1 : closed;
+      gain += (target - gain) * (target > gain ? attack : release);
+      output[i] = samples[i] * gain;
+    }
+    return output;
+  }
+
+  // Windowed-sinc resampling; the kernel's cutoff follows the lower of the two rates
+  resample(samples, fromRate, toRate) {
+    if (fromRate === toRate) return samples;
+
+    const ratio = toRate / fromRate;
+    const cutoff = Math.min(1, ratio);
+    const halfWidth = Math.ceil(8 / cutoff);
+    const length = Math.floor(samples.length * ratio);
+    const output = new Float32Array(length);
+
+    for (let i = 0; i < length; i++) {
+      const position = i / ratio;
+      const centre = Math.floor(position);
+      let sum = 0;
+      let weights = 0;
+      for (let j = centre - halfWidth + 1; j <= centre + halfWidth; j++) {
+        if (j < 0 || j >= samples.length) continue;
+        const distance = position - j;
+        const x = distance * cutoff;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        // Hann window over the kernel
+        const window = 0.5 + 0.5 * Math.cos((Math.PI * distance) / halfWidth);
+        const weight = sinc * window;
+        sum += samples[j] * weight;
+        weights += weight;
+      }
+      output[i] = weights !== 0 ? sum / weights : 0;
+    }
+    return output;
+  }
+
+  percentile(values, fraction) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+  }
+}
+
+function toDecibels(rms) {
+  return rms > 0 ? 20 * Math.log10(rms) : -120;
+}
+
+module.exports = AudioIngest;
@@ -0,0 +1,114 @@
+const MusicTheory = require('../music/MusicTheory');
+
+// Krumhansl-Kessler key profiles (probe-tone ratings), indexed from the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Krumhansl-Schmuckler key finding on the hummed melody
+class KeyDetector {
+  constructor(options = {}) {
+    this.minVoicedDuration = options.minVoicedDuration || 1.5; // seconds of pitched audio needed
+    this.candidateCount = options.candidateCount || 5;
+  }
+
+  // Returns { key, tonic, mode, confidence, candidates } or null when there's too little evidence
+  detect({ melody = [], pitchContour = null } = {}) {
+    const { histogram, duration } = melody.length > 0
+      ? this.histogramFromNotes(melody)
+      : this.histogramFromContour(pitchContour);
+
+    if (duration < this.minVoicedDuration) {
+      return null;
+    }
+
+    const candidates = [];
+    for (let tonic = 0; tonic < 12; tonic++) {
+      candidates.push(this.scoreKey(histogram, tonic, 'major'));
+      candidates.push(this.scoreKey(histogram, tonic, 'minor'));
+    }
+    candidates.sort((a, b) => b.score - a.score);
+
+    const [best, runnerUp] = candidates;
+    return {
+      key: best.key,
+      tonic: best.tonic,
+      mode: best.mode,
+      confidence: this.confidence(best.score, runnerUp.score),
+      histogram: histogram.map(value => round(value / duration, 3)),
+      candidates: candidates.slice(0, this.candidateCount)
+    };
+  }
+
+  // Pitch-class durations from segmented notes (longer notes weigh more)
+  histogramFromNotes(notes) {
+    const histogram = new Array(12).fill(0);
+    let duration = 0;
+
+    for (const note of notes) {
+      histogram[((note.midi % 12) + 12) % 12] += note.duration;
+      duration += note.duration;
+    }
+
+    return { histogram, duration };
+  }
+
+  // Fall back to voiced contour frames when no notes were segmented
+  histogramFromContour(contour) {
+    const histogram = new Array(12).fill(0);
+    let duration = 0;
+
+    for (const frame of contour?.frames || []) {
+      if (!frame.voiced || frame.midi === null) continue;
+      histogram[((Math.round(frame.midi) % 12) + 12) % 12] += contour.hopDuration;
+      duration += contour.hopDuration;
+    }
+
+    return { histogram, duration };
+  }
+
+  scoreKey(histogram, tonic, mode) {
+    const profile = mode === 'major' ? MAJOR_PROFILE : MINOR_PROFILE;
+    const rotated = histogram.map((_, pc) => histogram[(pc + tonic) % 12]);
+    // Conventional spelling of the tonic, as stored in sessions.detected_key
+    const name = MusicTheory.tonicName(tonic, mode);
+
+    return {
+      key: mode === 'major' ? name : `${name}m`,
+      tonic: name,
+      mode,
+      score: round(pearson(rotated, profile), 3)
+    };
+  }
+
+  // How clearly the winner beats the runner-up, scaled into 0..1
+  confidence(bestScore, runnerUpScore) {
+    if (bestScore <= 0) return 0;
+    const margin = Math.min(1, (bestScore - runnerUpScore) / 0.15);
+    return round(Math.max(0, Math.min(1, bestScore * (0.5 + 0.5 * margin))), 2);
+  }
+}
+
+function pearson(x, y) {
+  const n = x.length;
+  const meanX = x.reduce((a, b) => a + b, 0) / n;
+  const meanY = y.reduce((a, b) => a + b, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (x[i] - meanX) * (y[i] - meanY);
+    varianceX += (x[i] - meanX) ** 2;
+    varianceY += (y[i] - meanY) ** 2;
+  }
+
+  const denominator = Math.sqrt(varianceX * varianceY);
+  return denominator === 0 ? 0 : covariance / denominator;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = KeyDetector;
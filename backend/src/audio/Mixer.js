@@ -0,0 +1,279 @@
+// Default balance when the ArrangementDirector leaves a stem out
+const DEFAULT_LEVELS = { drums: 0.8, bass: 0.7, chords: 0.6, melody: 0.9 };
+// -1 hard left .. 1 hard right
+const DEFAULT_PANS = { drums: 0, bass: 0, chords: -0.2, melody: 0.15 };
+
+// Stereo mixdown: level and pan per stem, bus compression, loudness normalization
+// (ITU-R BS.1770 integrated loudness) and a lookahead peak limiter
+class Mixer {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 48000;
+    this.targetLoudness = options.targetLoudness ?? -14; // LUFS
+    this.peakCeiling = options.peakCeiling ?? -1; // dBFS
+    this.compressor = {
+      threshold: -10, // dBFS, applied after the mix is brought near the target
+      ratio: 3,
+      attack: 0.01,
+      release: 0.15,
+      ...(options.compressor || {})
+    };
+    this.limiterLookahead = options.limiterLookahead || 0.005;
+    this.limiterRelease = options.limiterRelease || 0.08;
+  }
+
+  // stems: [{ name, role, samples: Float32Array }] (mono, equal length)
+  // settings: { levels: { role: gain }, pans: { role: -1..1 } }
+  // Returns { channels: [left, right], report }
+  mix(stems, settings = {}) {
+    const length = stems.length > 0 ? stems[0].samples.length : 0;
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+    const applied = {};
+
+    for (const stem of stems) {
+      const level = Mixer.sanitizeLevel(settings.levels?.[stem.role], DEFAULT_LEVELS[stem.role] ?? 0.7);
+      const pan = Mixer.sanitizePan(settings.pans?.[stem.role], DEFAULT_PANS[stem.role] ?? 0);
+      // Constant-power pan law keeps a stem equally loud wherever it sits
+      const angle = ((pan + 1) * Math.PI) / 4;
+      const leftGain = level * Math.cos(angle);
+      const rightGain = level * Math.sin(angle);
+
+      for (let i = 0; i < length; i++) {
+        left[i] += stem.samples[i] * leftGain;
+        right[i] += stem.samples[i] * rightGain;
+      }
+      applied[stem.name] = { role: stem.role, level: round(level, 2), pan: round(pan, 2) };
+    }
+
+    const channels = [left, right];
+    const inputLoudness = this.measureLoudness(channels);
+    if (!Number.isFinite(inputLoudness)) {
+      return { channels, report: this.buildReport(channels, applied, { inputLoudness, gain: 0, compressorReduction: 0, limiterReduction: 0 }) };
+    }
+
+    // Bring the sum near the target first so the compressor threshold means the same thing for every song
+    let gain = this.targetLoudness - inputLoudness;
+    applyGain(channels, gain);
+
+    const compressorReduction = this.compress(channels);
+
+    const makeup = this.targetLoudness - this.measureLoudness(channels);
+    applyGain(channels, makeup);
+    gain += makeup;
+
+    let limiterReduction = this.limit(channels);
+
+    // Heavy limiting pulls the loudness under target; one more pass wins most of it back
+    const shortfall = this.targetLoudness - this.measureLoudness(channels);
+    if (shortfall > 0.5) {
+      applyGain(channels, shortfall);
+      gain += shortfall;
+      limiterReduction = Math.max(limiterReduction, this.limit(channels));
+    }
+
+    return {
+      channels,
+      report: this.buildReport(channels, applied, { inputLoudness, gain, compressorReduction, limiterReduction })
+    };
+  }
+
+  buildReport(channels, stems, { inputLoudness, gain, compressorReduction, limiterReduction }) {
+    return {
+      integratedLoudness: roundDb(this.measureLoudness(channels)),
+      targetLoudness: this.targetLoudness,
+      peak: roundDb(toDb(Mixer.peak(channels))),
+      peakCeiling: this.peakCeiling,
+      inputLoudness: roundDb(inputLoudness),
+      gainApplied: roundDb(gain),
+      compressorMaxReduction: roundDb(compressorReduction),
+      limiterMaxReduction: roundDb(limiterReduction),
+      duration: round(channels[0].length / this.sampleRate, 2),
+      stems
+    };
+  }
+
+  // Feed-forward, stereo-linked peak compressor. Returns the deepest gain reduction in dB.
+  compress(channels) {
+    const { threshold, ratio, attack, release } = this.compressor;
+    const attackCoefficient = Math.exp(-1 / (attack * this.sampleRate));
+    const releaseCoefficient = Math.exp(-1 / (release * this.sampleRate));
+    let envelope = 0;
+    let maxReduction = 0;
+
+    for (let i = 0; i < channels[0].length; i++) {
+      const level = Math.max(Math.abs(channels[0][i]), Math.abs(channels[1][i]));
+      const coefficient = level > envelope ? attackCoefficient : releaseCoefficient;
+      envelope = coefficient * envelope + (1 - coefficient) * level;
+
+      const levelDb = toDb(envelope);
+      if (levelDb > threshold) {
+        const reduction = (levelDb - threshold) * (1 - 1 / ratio);
+        const gain = 10 ** (-reduction / 20);
+        channels[0][i] *= gain;
+        channels[1][i] *= gain;
+        maxReduction = Math.max(maxReduction, reduction);
+      }
+    }
+
+    return maxReduction;
+  }
+
+  // Lookahead brickwall limiter: the gain ramps down ahead of each peak and recovers smoothly.
+  // Returns the deepest gain reduction in dB.
+  limit(channels) {
+    const length = channels[0].length;
+    const ceiling = 10 ** (this.peakCeiling / 20);
+    const lookahead = Math.max(1, Math.round(this.limiterLookahead * this.sampleRate));
+    const releaseCoefficient = 1 - Math.exp(-1 / (this.limiterRelease * this.sampleRate));
+    const gains = new Float32Array(length);
+
+    // Backward pass: never exceed the required gain, and approach it linearly over the lookahead
+    let next = 1;
+    for (let i = length - 1; i >= 0; i--) {
+      const level = Math.max(Math.abs(channels[0][i]), Math.abs(channels[1][i]));
+      const required = level > ceiling ? ceiling / level : 1;
+      next = Math.min(required, next + 1 / lookahead);
+      gains[i] = next;
+    }
+
+    // Forward pass: release back towards unity gain
+    let gain = 1;
+    let minGain = 1;
+    for (let i = 0; i < length; i++) {
+      gain = Math.min(gains[i], gain + (1 - gain) * releaseCoefficient);
+      channels[0][i] *= gain;
+      channels[1][i] *= gain;
+      minGain = Math.min(minGain, gain);
+    }
+
+    return -toDb(minGain);
+  }
+
+  // Integrated loudness (LUFS) per ITU-R BS.1770-4: K-weighting, 400 ms blocks with 75%
+  // overlap, absolute gate at -70 LUFS and relative gate 10 LU below the ungated level
+  measureLoudness(channels) {
+    const blockSize = Math.round(0.4 * this.sampleRate);
+    const step = Math.round(0.1 * this.sampleRate);
+    const weighted = channels.map(channel => this.kWeight(channel));
+    const length = weighted[0].length;
+    if (length < blockSize) return -Infinity;
+
+    // Running sums of squares make each block O(1)
+    const prefix = weighted.map(channel => {
+      const sums = new Float64Array(channel.length + 1);
+      for (let i = 0; i < channel.length; i++) sums[i + 1] = sums[i] + channel[i] * channel[i];
+      return sums;
+    });
+
+    const blocks = [];
+    for (let start = 0; start + blockSize <= length; start += step) {
+      let power = 0;
+      for (const sums of prefix) power += (sums[start + blockSize] - sums[start]) / blockSize;
+      blocks.push(power);
+    }
+
+    const loudness = (power) => -0.691 + 10 * Math.log10(power);
+    const aboveAbsolute = blocks.filter(power => loudness(power) > -70);
+    if (aboveAbsolute.length === 0) return -Infinity;
+
+    const relativeGate = loudness(mean(aboveAbsolute)) - 10;
+    const gated = aboveAbsolute.filter(power => loudness(power) > relativeGate);
+    return loudness(mean(gated));
+  }
+
+  // Two-stage K-weighting filter (head-related shelf, then RLB high-pass) at any sample rate
+  kWeight(samples) {
+    const shelf = (() => {
+      const f0 = 1681.974450955533;
+      const gainDb = 3.999843853973347;
+      const q = 0.7071752369554196;
+      const k = Math.tan((Math.PI * f0) / this.sampleRate);
+      const vh = 10 ** (gainDb / 20);
+      const vb = vh ** 0.4996667741545416;
+      const a0 = 1 + k / q + k * k;
+      return {
+        b: [(vh + (vb * k) / q + k * k) / a0, (2 * (k * k - vh)) / a0, (vh - (vb * k) / q + k * k) / a0],
+        a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0]
+      };
+    })();
+
+    const highPass = (() => {
+      const f0 = 38.13547087602444;
+      const q = 0.5003270373238773;
+      const k = Math.tan((Math.PI * f0) / this.sampleRate);
+      const a0 = 1 + k / q + k * k;
+      return { b: [1, -2, 1], a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0] };
+    })();
+
+    return biquad(biquad(samples, shelf), highPass);
+  }
+
+  // Levels may arrive from the LLM as 0.85, "0.85" or "85%"
+  static sanitizeLevel(value, fallback) {
+    let level = typeof value === 'string' && value.trim().endsWith('%')
+      ? parseFloat(value) / 100
+      : Number(value);
+    if (value === undefined || value === null || !Number.isFinite(level)) level = fallback;
+    return Math.max(0, Math.min(1.5, level));
+  }
+
+  static sanitizePan(value, fallback) {
+    const pan = Number(value);
+    if (value === undefined || value === null || !Number.isFinite(pan)) return fallback;
+    return Math.max(-1, Math.min(1, pan));
+  }
+
+  static peak(channels) {
+    let peak = 0;
+    for (const channel of channels) {
+      for (let i = 0; i < channel.length; i++) peak = Math.max(peak, Math.abs(channel[i]));
+    }
+    return peak;
+  }
+}
+
+// Direct form I biquad; a[] excludes the normalized a0
+function biquad(samples, { b, a }) {
+  const output = new Float32Array(samples.length);
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+    output[i] = y;
+  }
+  return output;
+}
+
+function applyGain(channels, gainDb) {
+  const gain = 10 ** (gainDb / 20);
+  for (const channel of channels) {
+    for (let i = 0; i < channel.length; i++) channel[i] *= gain;
+  }
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function toDb(value) {
+  return 20 * Math.log10(value);
+}
+
+function roundDb(value) {
+  return Number.isFinite(value) ? round(value, 1) : null;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = Mixer;
@@ -0,0 +1,160 @@
+// Turns a frame-level pitch contour into discrete notes and snaps them to a tempo grid
+class NoteSegmenter {
+  constructor(options = {}) {
+    this.minNoteDuration = options.minNoteDuration || 0.08; // seconds; shorter blips are dropped
+    this.maxGap = options.maxGap || 0.05; // unvoiced gaps shorter than this don't end a note
+    this.pitchChangeThreshold = options.pitchChangeThreshold || 0.7; // semitones away from the note's median
+    this.pitchChangeFrames = options.pitchChangeFrames || 3; // frames a new pitch must hold to start a note
+    this.onsetRatio = options.onsetRatio || 1.8; // energy jump that counts as a re-articulated note
+  }
+
+  // Returns notes in seconds: { start, end, duration, midi, pitch, velocity }
+  segment(contour) {
+    const frames = contour?.frames || [];
+    const hop = contour?.hopDuration || 0.01;
+    const maxGapFrames = Math.max(1, Math.round(this.maxGap / hop));
+    const valleyFrames = Math.max(2, Math.round(0.05 / hop));
+    const minNoteFrames = Math.max(1, Math.round(this.minNoteDuration / hop));
+
+    const segments = [];
+    let current = null;
+    let gapFrames = 0;
+
+    const closeCurrent = () => {
+      if (current) segments.push(current);
+      current = null;
+    };
+
+    for (let i = 0; i < frames.length; i++) {
+      const frame = frames[i];
+
+      if (!frame.voiced || frame.midi === null) {
+        gapFrames++;
+        if (gapFrames > maxGapFrames) closeCurrent();
+        continue;
+      }
+
+      const reArticulated = current
+        && i - current.startFrame >= minNoteFrames
+        && this.isEnergyOnset(frames, i, valleyFrames);
+
+      if (!current || reArticulated || this.isPitchChange(frames, i, current)) {
+        closeCurrent();
+        current = { startFrame: i, endFrame: i, pitches: [], energies: [] };
+      }
+
+      current.endFrame = i;
+      current.pitches.push(frame.midi);
+      current.energies.push(frame.rms || 0);
+      gapFrames = 0;
+    }
+    closeCurrent();
+
+    const notes = segments
+      .map(segment => this.toNote(segment, frames, hop))
+      .filter(note => note.duration >= this.minNoteDuration);
+
+    return this.assignVelocities(notes);
+  }
+
+  // A sustained move away from the current note's pitch starts a new note
+  isPitchChange(frames, index, current) {
+    const reference = median(current.pitches);
+    for (let k = 0; k < this.pitchChangeFrames; k++) {
+      const frame = frames[index + k];
+      if (!frame || !frame.voiced || Math.abs(frame.midi - reference) < this.pitchChangeThreshold) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // A sharp rise out of a recent energy dip means the note was sung again ("da da").
+  // Only the first frame of the rise counts, not every frame after it.
+  isEnergyOnset(frames, index, valleyFrames) {
+    const rises = (i) => {
+      const rms = frames[i]?.rms || 0;
+      let valley = Infinity;
+      for (let k = Math.max(0, i - valleyFrames); k < i; k++) {
+        valley = Math.min(valley, frames[k].rms || 0);
+      }
+      return valley > 0 && valley !== Infinity && rms / valley > this.onsetRatio;
+    };
+
+    return rises(index) && !rises(index - 1);
+  }
+
+  toNote(segment, frames, hop) {
+    const start = frames[segment.startFrame].time - hop / 2;
+    const end = frames[segment.endFrame].time + hop / 2;
+    const pitch = median(segment.pitches);
+
+    return {
+      start: round(Math.max(0, start), 3),
+      end: round(end, 3),
+      duration: round(end - Math.max(0, start), 3),
+      midi: Math.round(pitch),
+      pitch: round(pitch, 2),
+      energy: segment.energies.reduce((sum, value) => sum + value, 0) / segment.energies.length
+    };
+  }
+
+  // Map relative loudness onto a musical velocity range
+  assignVelocities(notes) {
+    const loudest = Math.max(...notes.map(note => note.energy), 0);
+
+    return notes.map(({ energy, ...note }) => ({
+      ...note,
+      velocity: loudest > 0 ? Math.round(50 + 60 * Math.sqrt(energy / loudest)) : 80
+    }));
+  }
+
+  // Snap notes in seconds to a tick grid at the given tempo.
+  // `offset` is the time (seconds) of the first beat of the grid in the recording and
+  // `startTick` is where that beat sits in the output, so pickup notes land before it.
+  quantize(notes, { tempo = 120, ticksPerQuarter = 480, division = 4, offset = 0, startTick = 0 } = {}) {
+    const secondsPerTick = 60 / tempo / ticksPerQuarter;
+    const step = ticksPerQuarter / division;
+    const snap = (seconds) => startTick + Math.round((seconds - offset) / secondsPerTick / step) * step;
+
+    const quantized = [];
+    for (const note of notes || []) {
+      const time = Math.max(0, snap(note.start));
+      const end = Math.max(time + step, snap(note.end));
+
+      // Two notes landing on the same step: keep the longer one
+      const previous = quantized[quantized.length - 1];
+      if (previous && previous.time === time) {
+        if (end - time > previous.duration) quantized.pop();
+        else continue;
+      }
+
+      quantized.push({
+        note: note.midi,
+        velocity: note.velocity || 80,
+        time,
+        duration: end - time
+      });
+    }
+
+    // Trim overlaps so the guide stays monophonic
+    for (let i = 0; i < quantized.length - 1; i++) {
+      const gap = quantized[i + 1].time - quantized[i].time;
+      if (quantized[i].duration > gap) quantized[i].duration = gap;
+    }
+
+    return quantized;
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = NoteSegmenter;
@@ -0,0 +1,194 @@
+const MusicTheory = require('../music/MusicTheory');
+
+// YIN fundamental-frequency estimator (de Cheveigné & Kawahara, 2002)
+class PitchTracker {
+  constructor(options = {}) {
+    this.minFrequency = options.minFrequency || 70; // lowest hummed note we care about (~C#2)
+    this.maxFrequency = options.maxFrequency || 1000; // well above a sung soprano line
+    this.threshold = options.threshold || 0.15; // YIN aperiodicity threshold
+    this.hopDuration = options.hopDuration || 0.01; // 10ms frames
+    this.targetRate = options.targetRate || 8000; // voice f0 needs nothing more
+    this.silenceThreshold = options.silenceThreshold || 0.01; // frame RMS below this is unvoiced
+    this.smoothingFrames = options.smoothingFrames || 5;
+  }
+
+  // Returns a frame-by-frame pitch contour with voiced/unvoiced flags
+  track(samples, sampleRate) {
+    const { signal, rate } = this.downsample(samples, sampleRate);
+
+    const tauMin = Math.max(2, Math.floor(rate / this.maxFrequency));
+    const tauMax = Math.ceil(rate / this.minFrequency);
+    const windowSize = tauMax * 2;
+    const hopSize = Math.max(1, Math.round(rate * this.hopDuration));
+    const frameLength = windowSize + tauMax;
+
+    const difference = new Float32Array(tauMax + 1);
+    const frames = [];
+
+    for (let start = 0; start + frameLength <= signal.length; start += hopSize) {
+      const time = (start + windowSize / 2) / rate;
+      const rms = this.frameRms(signal, start, windowSize);
+
+      if (rms < this.silenceThreshold) {
+        frames.push({ time, frequency: null, confidence: 0, voiced: false, rms });
+        continue;
+      }
+
+      this.computeDifference(signal, start, windowSize, tauMax, difference);
+      const { tau, aperiodicity } = this.findPeriod(difference, tauMin, tauMax);
+      const voiced = tau > 0 && aperiodicity < this.threshold;
+      const refinedTau = tau > 0 ? this.interpolate(difference, tau, tauMax) : 0;
+
+      frames.push({
+        time,
+        frequency: voiced ? rate / refinedTau : null,
+        confidence: tau > 0 ? Math.max(0, 1 - aperiodicity) : 0,
+        voiced,
+        rms
+      });
+    }
+
+    this.smooth(frames);
+
+    return {
+      algorithm: 'yin',
+      sampleRate: rate,
+      hopDuration: hopSize / rate,
+      duration: signal.length / rate,
+      frames: frames.map(frame => ({
+        time: round(frame.time, 3),
+        frequency: frame.frequency ? round(frame.frequency, 2) : null,
+        midi: frame.frequency ? round(PitchTracker.frequencyToMidi(frame.frequency), 2) : null,
+        confidence: round(frame.confidence, 3),
+        rms: round(frame.rms, 4),
+        voiced: frame.voiced
+      }))
+    };
+  }
+
+  // Crude anti-aliased decimation down to roughly the target rate
+  downsample(samples, sampleRate) {
+    const factor = Math.max(1, Math.floor(sampleRate / this.targetRate));
+    if (factor === 1) {
+      return { signal: samples, rate: sampleRate };
+    }
+
+    const length = Math.floor(samples.length / factor);
+    const signal = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let j = 0; j < factor; j++) sum += samples[i * factor + j];
+      signal[i] = sum / factor;
+    }
+
+    return { signal, rate: sampleRate / factor };
+  }
+
+  frameRms(signal, start, length) {
+    let sum = 0;
+    for (let i = start; i < start + length; i++) sum += signal[i] * signal[i];
+    return Math.sqrt(sum / length);
+  }
+
+  // Cumulative mean normalized difference function, written into `out`
+  computeDifference(signal, start, windowSize, tauMax, out) {
+    out[0] = 1;
+    let runningSum = 0;
+
+    for (let tau = 1; tau <= tauMax; tau++) {
+      let sum = 0;
+      for (let j = start; j < start + windowSize; j++) {
+        const delta = signal[j] - signal[j + tau];
+        sum += delta * delta;
+      }
+      runningSum += sum;
+      out[tau] = runningSum > 0 ? (sum * tau) / runningSum : 1;
+    }
+  }
+
+  findPeriod(difference, tauMin, tauMax) {
+    // First dip under the threshold, followed down to its local minimum
+    for (let tau = tauMin; tau <= tauMax; tau++) {
+      if (difference[tau] < this.threshold) {
+        while (tau + 1 <= tauMax && difference[tau + 1] < difference[tau]) tau++;
+        return { tau, aperiodicity: difference[tau] };
+      }
+    }
+
+    // Nothing periodic enough: report the global minimum as an unvoiced guess
+    let best = tauMin;
+    for (let tau = tauMin + 1; tau <= tauMax; tau++) {
+      if (difference[tau] < difference[best]) best = tau;
+    }
+    return { tau: best, aperiodicity: difference[best] };
+  }
+
+  // Parabolic interpolation around the chosen lag for sub-sample accuracy
+  interpolate(difference, tau, tauMax) {
+    if (tau <= 1 || tau >= tauMax) return tau;
+
+    const left = difference[tau - 1];
+    const center = difference[tau];
+    const right = difference[tau + 1];
+    const denominator = left + right - 2 * center;
+
+    return denominator === 0 ? tau : tau + (left - right) / (2 * denominator);
+  }
+
+  // Median filter over voiced frames to knock out single-frame octave jumps
+  smooth(frames) {
+    const half = Math.floor(this.smoothingFrames / 2);
+    if (half < 1) return;
+
+    const original = frames.map(frame => frame.frequency);
+    for (let i = 0; i < frames.length; i++) {
+      if (!frames[i].voiced) continue;
+
+      const neighbours = [];
+      for (let j = Math.max(0, i - half); j <= Math.min(frames.length - 1, i + half); j++) {
+        if (original[j]) neighbours.push(original[j]);
+      }
+      neighbours.sort((a, b) => a - b);
+      frames[i].frequency = neighbours[Math.floor(neighbours.length / 2)];
+    }
+  }
+
+  // Compact description of a contour for prompts and logs
+  static summarize(contour) {
+    const voiced = (contour?.frames || []).filter(frame => frame.voiced);
+    if (voiced.length === 0) {
+      return { voicedRatio: 0, detected: false };
+    }
+
+    const midis = voiced.map(frame => frame.midi).sort((a, b) => a - b);
+    const percentile = (p) => midis[Math.min(midis.length - 1, Math.floor(p * midis.length))];
+    const low = percentile(0.05);
+    const high = percentile(0.95);
+    const median = percentile(0.5);
+
+    return {
+      detected: true,
+      voicedRatio: round(voiced.length / contour.frames.length, 2),
+      voicedDuration: round(voiced.length * contour.hopDuration, 2),
+      lowestNote: PitchTracker.midiToNoteName(low),
+      highestNote: PitchTracker.midiToNoteName(high),
+      medianNote: PitchTracker.midiToNoteName(median),
+      rangeSemitones: Math.round(high - low)
+    };
+  }
+
+  static frequencyToMidi(frequency) {
+    return 69 + 12 * Math.log2(frequency / 440);
+  }
+
+  static midiToNoteName(midi) {
+    return MusicTheory.midiToNoteName(midi);
+  }
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = PitchTracker;
@@ -0,0 +1,337 @@
+const { DRUM_CHANNEL, DRUM_NOTES } = require('../music/GeneralMidi');
+const { seededRandom } = require('../utils/random');
+
+const TABLE_SIZE = 2048;
+
+// Harmonic recipes (amplitude of harmonic n, 1-based) for the single-cycle wavetables
+const WAVEFORMS = {
+  sine: () => 1,
+  saw: (n) => 1 / n,
+  square: (n) => (n % 2 === 1 ? 1 / n : 0),
+  triangle: (n) => (n % 2 === 1 ? ((n - 1) / 2 % 2 === 0 ? 1 : -1) / (n * n) : 0),
+  piano: (n) => 1 / n ** 1.6 * (n % 7 === 0 ? 0.2 : 1),
+  organ: (n) => ({ 1: 1, 2: 0.8, 3: 0.6, 4: 0.5, 6: 0.3, 8: 0.25 }[n] || 0),
+  reed: (n) => (n % 2 === 1 ? 1 / n : 0.35 / n)
+};
+
+// Voice presets keyed by General MIDI program family
+const PRESETS = {
+  piano: { wave: 'piano', attack: 0.004, decay: 1.2, sustain: 0.25, release: 0.35, gain: 0.3 },
+  electricPiano: { wave: 'sine', attack: 0.004, decay: 0.9, sustain: 0.35, release: 0.3, gain: 0.35, overtone: 0.25 },
+  mallet: { wave: 'sine', attack: 0.002, decay: 0.5, sustain: 0, release: 0.3, gain: 0.55, overtone: 0.3 },
+  organ: { wave: 'organ', attack: 0.01, decay: 0.05, sustain: 0.9, release: 0.08, gain: 0.25 },
+  guitar: { pluck: true, decayTime: 2.5, brightness: 0.5, release: 0.1, gain: 0.6 },
+  bass: { wave: 'saw', attack: 0.005, decay: 0.25, sustain: 0.6, release: 0.08, gain: 0.55, cutoff: 700 },
+  subBass: { wave: 'sine', attack: 0.005, decay: 0.6, sustain: 0.7, release: 0.15, gain: 0.75, glide: true },
+  strings: { wave: 'saw', attack: 0.25, decay: 0.3, sustain: 0.8, release: 0.5, gain: 0.25, cutoff: 3000, detune: 0.08 },
+  brass: { wave: 'saw', attack: 0.04, decay: 0.2, sustain: 0.75, release: 0.15, gain: 0.3, cutoff: 2200 },
+  reed: { wave: 'reed', attack: 0.03, decay: 0.2, sustain: 0.8, release: 0.12, gain: 0.35, cutoff: 2800 },
+  lead: { wave: 'saw', attack: 0.01, decay: 0.2, sustain: 0.7, release: 0.12, gain: 0.3, cutoff: 4000 },
+  squareLead: { wave: 'square', attack: 0.01, decay: 0.2, sustain: 0.7, release: 0.12, gain: 0.28, cutoff: 3500 },
+  pad: { wave: 'triangle', attack: 0.4, decay: 0.5, sustain: 0.8, release: 0.8, gain: 0.35, detune: 0.1 }
+};
+
+// Offline software synthesizer: renders MIDI-like note tracks to PCM with no browser or audio device
+class Synthesizer {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 48000;
+    this.tables = {};
+    this.random = seededRandom(options.seed || 0x5eed);
+  }
+
+  // track: { channel, program, notes: [{ note, velocity, time, duration }] } with ticks
+  // timing: { tempo, ticksPerQuarter }. Returns a mono Float32Array.
+  renderTrack(track, timing, duration = null) {
+    const secondsPerTick = 60 / timing.tempo / timing.ticksPerQuarter;
+    const length = Math.ceil((duration || this.trackDuration(track, timing)) * this.sampleRate);
+    const output = new Float32Array(length);
+    const isDrums = track.channel === DRUM_CHANNEL;
+    const preset = isDrums ? null : Synthesizer.presetForProgram(track.program);
+
+    for (const note of track.notes || []) {
+      const start = Math.round(note.time * secondsPerTick * this.sampleRate);
+      const noteDuration = note.duration * secondsPerTick;
+      const velocity = (note.velocity || 80) / 127;
+
+      if (isDrums) {
+        this.renderDrum(output, start, note.note, velocity);
+      } else if (preset.pluck) {
+        this.renderPluck(output, start, note, noteDuration, velocity, preset);
+      } else {
+        this.renderTone(output, start, note, noteDuration, velocity, preset, secondsPerTick);
+      }
+    }
+
+    return output;
+  }
+
+  // Length of a track in seconds including the longest release tail
+  trackDuration(track, timing) {
+    const secondsPerTick = 60 / timing.tempo / timing.ticksPerQuarter;
+    const lastTick = Math.max(0, ...(track.notes || []).map(note => note.time + note.duration));
+    return lastTick * secondsPerTick + 2;
+  }
+
+  static presetForProgram(program = 0) {
+    if (program <= 3) return PRESETS.piano;
+    if (program <= 7) return PRESETS.electricPiano;
+    if (program <= 15) return PRESETS.mallet;
+    if (program <= 23) return PRESETS.organ;
+    if (program <= 31) return PRESETS.guitar;
+    if (program === 38 || program === 39) return PRESETS.subBass;
+    if (program <= 39) return PRESETS.bass;
+    if (program <= 55) return PRESETS.strings;
+    if (program <= 63) return PRESETS.brass;
+    if (program <= 79) return PRESETS.reed;
+    if (program === 80) return PRESETS.squareLead;
+    if (program <= 87) return PRESETS.lead;
+    if (program <= 95) return PRESETS.pad;
+    return PRESETS.lead;
+  }
+
+  // Wavetable oscillator voice through an ADSR envelope and optional one-pole low-pass
+  renderTone(output, start, note, duration, velocity, preset, secondsPerTick) {
+    const { attack, decay, sustain, release } = preset;
+    const totalSamples = Math.ceil((duration + release) * this.sampleRate);
+    const frequency = midiToFrequency(note.note);
+    const voices = preset.detune ? [-preset.detune, preset.detune] : [0];
+    // Optional glide into the next pitch (808-style slides)
+    const slideTarget = preset.glide && note.slideTo ? midiToFrequency(note.slideTo) : null;
+    const slideTime = slideTarget ? Math.min(duration, (note.slideDuration || 60) * secondsPerTick) : 0;
+
+    const filterCoefficient = preset.cutoff ? 1 - Math.exp(-2 * Math.PI * preset.cutoff / this.sampleRate) : 1;
+    const phases = voices.map(() => this.random());
+    let filtered = 0;
+
+    for (let i = 0; i < totalSamples; i++) {
+      const index = start + i;
+      if (index >= output.length) break;
+      if (index < 0) continue;
+
+      const t = i / this.sampleRate;
+      const envelope = adsr(t, duration, attack, decay, sustain, release);
+      if (envelope <= 0 && t > duration) break;
+
+      let pitch = frequency;
+      if (slideTarget && t > duration - slideTime) {
+        const progress = (t - (duration - slideTime)) / slideTime;
+        pitch = frequency * (slideTarget / frequency) ** Math.min(1, progress);
+      }
+
+      let sample = 0;
+      for (let v = 0; v < voices.length; v++) {
+        const voiceFrequency = pitch * 2 ** (voices[v] / 12);
+        const table = this.getTable(preset.wave, voiceFrequency);
+        sample += readTable(table, phases[v]);
+        phases[v] = (phases[v] + voiceFrequency / this.sampleRate) % 1;
+      }
+      sample /= voices.length;
+
+      if (preset.overtone) {
+        sample += preset.overtone * Math.sin(2 * Math.PI * phases[0] * 4) * Math.exp(-t * 6);
+      }
+
+      filtered += filterCoefficient * (sample - filtered);
+      output[index] += filtered * envelope * velocity * preset.gain;
+    }
+  }
+
+  // Karplus-Strong plucked string for guitar-family programs
+  renderPluck(output, start, note, duration, velocity, preset) {
+    const frequency = midiToFrequency(note.note);
+    const period = Math.max(2, Math.round(this.sampleRate / frequency));
+    const buffer = new Float32Array(period);
+    for (let i = 0; i < period; i++) buffer[i] = this.random() * 2 - 1;
+
+    // Per-period loss chosen so the string rings for roughly decayTime seconds
+    const loss = Math.exp(-period / (preset.decayTime * this.sampleRate) * 6.9);
+    const totalSamples = Math.ceil((duration + preset.release) * this.sampleRate);
+    let previous = 0;
+
+    for (let i = 0; i < totalSamples; i++) {
+      const index = start + i;
+      if (index >= output.length) break;
+
+      const position = i % period;
+      const current = buffer[position];
+      const averaged = preset.brightness * current + (1 - preset.brightness) * previous;
+      buffer[position] = averaged * loss;
+      previous = current;
+
+      const t = i / this.sampleRate;
+      const damping = t > duration ? Math.max(0, 1 - (t - duration) / preset.release) : 1;
+      if (index >= 0) output[index] += current * velocity * preset.gain * damping;
+    }
+  }
+
+  // Synthesized drum kit, keyed by General MIDI percussion notes
+  renderDrum(output, start, note, velocity) {
+    switch (note) {
+      case DRUM_NOTES.kick:
+      case 35:
+        return this.renderKick(output, start, velocity);
+      case DRUM_NOTES.snare:
+      case 40:
+        return this.renderSnare(output, start, velocity);
+      case DRUM_NOTES.sideStick:
+        return this.renderNoiseHit(output, start, velocity * 0.6, { decay: 0.03, tone: 1700, toneMix: 0.7, highpass: 0.3 });
+      case DRUM_NOTES.clap:
+        return this.renderClap(output, start, velocity);
+      case DRUM_NOTES.closedHat:
+      case DRUM_NOTES.pedalHat:
+        return this.renderNoiseHit(output, start, velocity * 0.5, { decay: 0.045, highpass: 0.9, metallic: true });
+      case DRUM_NOTES.openHat:
+        return this.renderNoiseHit(output, start, velocity * 0.45, { decay: 0.3, highpass: 0.9, metallic: true });
+      case DRUM_NOTES.crash:
+      case 57:
+        return this.renderNoiseHit(output, start, velocity * 0.4, { decay: 1.4, highpass: 0.8, metallic: true });
+      case DRUM_NOTES.ride:
+      case DRUM_NOTES.rideBell:
+        return this.renderNoiseHit(output, start, velocity * 0.3, { decay: 0.8, highpass: 0.85, metallic: true, tone: 3200, toneMix: 0.3 });
+      case DRUM_NOTES.tambourine:
+      case DRUM_NOTES.shaker:
+        return this.renderNoiseHit(output, start, velocity * 0.3, { decay: 0.08, highpass: 0.95 });
+      case DRUM_NOTES.cowbell:
+        return this.renderNoiseHit(output, start, velocity * 0.4, { decay: 0.25, tone: 800, toneMix: 1, highpass: 0 });
+      case DRUM_NOTES.lowTom:
+      case 41:
+      case 43:
+        return this.renderTom(output, start, velocity, 100);
+      case DRUM_NOTES.midTom:
+      case 48:
+        return this.renderTom(output, start, velocity, 140);
+      case DRUM_NOTES.highTom:
+        return this.renderTom(output, start, velocity, 190);
+      default:
+        return this.renderNoiseHit(output, start, velocity * 0.3, { decay: 0.1, highpass: 0.5 });
+    }
+  }
+
+  // Sine with a fast downward pitch sweep plus a short click
+  renderKick(output, start, velocity) {
+    const length = Math.round(0.5 * this.sampleRate);
+    let phase = 0;
+    for (let i = 0; i < length && start + i < output.length; i++) {
+      const t = i / this.sampleRate;
+      const frequency = 45 + 110 * Math.exp(-t * 30);
+      phase += (2 * Math.PI * frequency) / this.sampleRate;
+      const body = Math.sin(phase) * Math.exp(-t * 7);
+      const click = i < 48 ? (this.random() * 2 - 1) * 0.3 * (1 - i / 48) : 0;
+      if (start + i >= 0) output[start + i] += (body + click) * velocity * 0.9;
+    }
+  }
+
+  renderSnare(output, start, velocity) {
+    const length = Math.round(0.3 * this.sampleRate);
+    let phase = 0;
+    let previousNoise = 0;
+    for (let i = 0; i < length && start + i < output.length; i++) {
+      const t = i / this.sampleRate;
+      phase += (2 * Math.PI * 185) / this.sampleRate;
+      const tone = Math.sin(phase) * Math.exp(-t * 25) * 0.5;
+      const white = this.random() * 2 - 1;
+      const noise = (white - previousNoise * 0.5) * Math.exp(-t * 14);
+      previousNoise = white;
+      if (start + i >= 0) output[start + i] += (tone + noise * 0.6) * velocity * 0.7;
+    }
+  }
+
+  renderClap(output, start, velocity) {
+    // Three quick bursts then a short tail, like hands not quite in sync
+    for (const [offset, level] of [[0, 0.6], [0.011, 0.7], [0.022, 1]]) {
+      this.renderNoiseHit(output, start + Math.round(offset * this.sampleRate), velocity * 0.5 * level, {
+        decay: offset === 0.022 ? 0.12 : 0.01,
+        highpass: 0.6
+      });
+    }
+  }
+
+  renderTom(output, start, velocity, pitch) {
+    const length = Math.round(0.45 * this.sampleRate);
+    let phase = 0;
+    for (let i = 0; i < length && start + i < output.length; i++) {
+      const t = i / this.sampleRate;
+      phase += (2 * Math.PI * pitch * (1 + 0.5 * Math.exp(-t * 20))) / this.sampleRate;
+      if (start + i >= 0) output[start + i] += Math.sin(phase) * Math.exp(-t * 8) * velocity * 0.7;
+    }
+  }
+
+  // Filtered noise with exponential decay; `metallic` adds 808-style detuned square partials
+  renderNoiseHit(output, start, velocity, { decay, highpass = 0.5, tone = 0, toneMix = 0, metallic = false }) {
+    const length = Math.round(Math.min(2, decay * 5) * this.sampleRate);
+    const partials = metallic ? [205.3, 304.4, 369.6, 522.7, 540, 800] : [];
+    let previous = 0;
+
+    for (let i = 0; i < length && start + i < output.length; i++) {
+      const t = i / this.sampleRate;
+      const envelope = Math.exp(-t / decay);
+      const white = this.random() * 2 - 1;
+      // First-difference high-pass, blended by how bright the hit should be
+      let sample = white - highpass * previous;
+      previous = white;
+
+      if (metallic) {
+        let ring = 0;
+        for (const partial of partials) ring += Math.sign(Math.sin(2 * Math.PI * partial * 8 * t));
+        sample = sample * 0.6 + (ring / partials.length) * 0.4;
+      }
+      if (tone) {
+        sample = sample * (1 - toneMix) + Math.sign(Math.sin(2 * Math.PI * tone * t)) * toneMix * 0.5;
+      }
+
+      if (start + i >= 0) output[start + i] += sample * envelope * velocity;
+    }
+  }
+
+  // Band-limited wavetables: one table per octave so high notes don't alias
+  getTable(wave, frequency) {
+    const maxHarmonics = Math.max(1, Math.floor(this.sampleRate / 2 / frequency));
+    const harmonics = Math.min(64, 2 ** Math.floor(Math.log2(maxHarmonics)));
+    const key = `${wave}:${harmonics}`;
+
+    if (!this.tables[key]) {
+      const recipe = WAVEFORMS[wave] || WAVEFORMS.sine;
+      const table = new Float32Array(TABLE_SIZE + 1);
+      let peak = 0;
+      for (let n = 1; n <= harmonics; n++) {
+        const amplitude = recipe(n);
+        if (!amplitude) continue;
+        for (let i = 0; i <= TABLE_SIZE; i++) {
+          table[i] += amplitude * Math.sin((2 * Math.PI * n * i) / TABLE_SIZE);
+        }
+      }
+      for (let i = 0; i <= TABLE_SIZE; i++) peak = Math.max(peak, Math.abs(table[i]));
+      for (let i = 0; i <= TABLE_SIZE; i++) table[i] /= peak || 1;
+      this.tables[key] = table;
+    }
+
+    return this.tables[key];
+  }
+}
+
+function readTable(table, phase) {
+  const position = phase * TABLE_SIZE;
+  const index = Math.floor(position);
+  const fraction = position - index;
+  return table[index] + (table[index + 1] - table[index]) * fraction;
+}
+
+function adsr(t, duration, attack, decay, sustain, release) {
+  let level;
+  if (t < attack) level = t / attack;
+  else if (t < attack + decay) level = 1 - (1 - sustain) * ((t - attack) / decay);
+  else level = sustain;
+
+  if (t > duration) {
+    // Release from wherever the envelope was when the note ended
+    const heldLevel = adsr(duration, duration + 1, attack, decay, sustain, release);
+    level = heldLevel * Math.max(0, 1 - (t - duration) / release);
+  }
+  return level;
+}
+
+function midiToFrequency(note) {
+  return 440 * 2 ** ((note - 69) / 12);
+}
+
+module.exports = Synthesizer;
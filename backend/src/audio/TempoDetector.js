@@ -0,0 +1,294 @@
+// sessions.tempo is constrained to 60-200
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+
+// Onset-based tempo and beat-grid estimation for the hummed recording
+class TempoDetector {
+  constructor(options = {}) {
+    this.minBpm = options.minBpm || MIN_BPM;
+    this.maxBpm = options.maxBpm || MAX_BPM;
+    this.preferredBpm = options.preferredBpm || 110; // centre of the tempo prior
+    this.hopDuration = options.hopDuration || 0.01;
+    this.fftSize = options.fftSize || 512;
+    this.targetRate = options.targetRate || 8000;
+    this.beatsPerBar = options.beatsPerBar || 4;
+    this.minDuration = options.minDuration || 2; // seconds of audio needed for an estimate
+    this.minConfidence = options.minConfidence || 0.3; // weaker periodicity is not worth a grid
+  }
+
+  // Whole-BPM tempo a song is stored and generated at. The session row and the generated
+  // files' timeline both go through here, so they can't disagree.
+  static songTempo(bpm) {
+    return Math.min(MAX_BPM, Math.max(MIN_BPM, Math.round(bpm)));
+  }
+
+  // Returns { bpm, confidence, beatPeriod, downbeatOffset, beatTimes, beatsPerBar },
+  // or null when the recording is too short or has no clear pulse
+  detect(samples, sampleRate, melody = []) {
+    const { signal, rate } = this.downsample(samples, sampleRate);
+    if (signal.length / rate < this.minDuration) {
+      return null;
+    }
+
+    const envelope = this.onsetEnvelope(signal, rate, melody);
+    const frameRate = 1 / this.hopDuration;
+    const autocorrelation = this.autocorrelate(envelope, Math.ceil(frameRate * 60 / this.minBpm) * 4);
+    if (autocorrelation[0] <= 0) {
+      return null;
+    }
+
+    const { lag, strength } = this.pickTempoLag(autocorrelation, frameRate);
+    if (strength < this.minConfidence) {
+      return null;
+    }
+
+    const bpm = 60 * frameRate / lag;
+    const beatPeriod = 60 / bpm;
+    const beatPhase = this.findBeatPhase(envelope, lag);
+    const downbeatOffset = this.findDownbeat(envelope, lag, beatPhase) / frameRate;
+
+    const duration = signal.length / rate;
+    const beatTimes = [];
+    // Beats before the first downbeat are included as a pickup
+    const firstBeat = downbeatOffset - Math.floor(downbeatOffset / beatPeriod) * beatPeriod;
+    for (let time = firstBeat; time < duration; time += beatPeriod) {
+      beatTimes.push(round(time, 3));
+    }
+
+    return {
+      bpm: round(bpm, 1),
+      confidence: round(Math.max(0, Math.min(1, strength)), 2),
+      beatPeriod: round(beatPeriod, 4),
+      downbeatOffset: round(downbeatOffset, 3),
+      beatsPerBar: this.beatsPerBar,
+      beatTimes
+    };
+  }
+
+  downsample(samples, sampleRate) {
+    const factor = Math.max(1, Math.floor(sampleRate / this.targetRate));
+    if (factor === 1) {
+      return { signal: samples, rate: sampleRate };
+    }
+
+    const length = Math.floor(samples.length / factor);
+    const signal = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let j = 0; j < factor; j++) sum += samples[i * factor + j];
+      signal[i] = sum / factor;
+    }
+
+    return { signal, rate: sampleRate / factor };
+  }
+
+  // Half-wave rectified log spectral flux, reinforced with the segmented note starts
+  onsetEnvelope(signal, rate, melody) {
+    const hopSize = Math.max(1, Math.round(rate * this.hopDuration));
+    const size = this.fftSize;
+    const frameCount = Math.floor(signal.length / hopSize);
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+
+    const envelope = new Float32Array(frameCount);
+    const real = new Float32Array(size);
+    const imag = new Float32Array(size);
+    let previous = new Float32Array(size / 2);
+
+    // Frame n of the envelope is centred on n * hop, so the windows start half a window early
+    for (let frame = 0; frame < frameCount; frame++) {
+      const start = frame * hopSize - size / 2;
+      for (let i = 0; i < size; i++) {
+        real[i] = (signal[start + i] || 0) * window[i];
+        imag[i] = 0;
+      }
+      fft(real, imag);
+
+      const magnitude = new Float32Array(size / 2);
+      let flux = 0;
+      for (let bin = 1; bin < size / 2; bin++) {
+        magnitude[bin] = Math.log1p(100 * Math.hypot(real[bin], imag[bin]));
+        const rise = magnitude[bin] - previous[bin];
+        if (rise > 0) flux += rise;
+      }
+      envelope[frame] = flux;
+      previous = magnitude;
+    }
+
+    // Remove the slowly varying baseline so sustained hums don't read as onsets
+    const baseline = movingAverage(envelope, Math.round(0.5 / this.hopDuration));
+    let peak = 0;
+    for (let i = 0; i < frameCount; i++) {
+      envelope[i] = Math.max(0, envelope[i] - baseline[i]);
+      peak = Math.max(peak, envelope[i]);
+    }
+    if (peak > 0) {
+      for (let i = 0; i < frameCount; i++) envelope[i] /= peak;
+    }
+
+    // Legato humming has soft onsets, so the pitch changes count as onsets too
+    for (const note of melody) {
+      const frame = Math.round(note.start / this.hopDuration);
+      if (frame >= 0 && frame < frameCount) envelope[frame] += 0.5;
+    }
+
+    // Widen the onset peaks a little so the autocorrelation tolerates small timing jitter
+    return smooth(envelope);
+  }
+
+  autocorrelate(envelope, maxLag) {
+    const n = envelope.length;
+    const mean = envelope.reduce((a, b) => a + b, 0) / Math.max(1, n);
+    const centered = envelope.map(value => value - mean);
+    const result = new Float32Array(Math.min(maxLag, n - 1) + 1);
+
+    for (let lag = 0; lag < result.length; lag++) {
+      let sum = 0;
+      for (let i = 0; i + lag < n; i++) sum += centered[i] * centered[i + lag];
+      // Unbiased estimate so long lags aren't penalised for having fewer terms
+      result[lag] = sum / (n - lag);
+    }
+    return result;
+  }
+
+  // Comb over beat multiples, weighted by a log-normal tempo prior
+  pickTempoLag(autocorrelation, frameRate) {
+    const minLag = Math.floor(frameRate * 60 / this.maxBpm);
+    const maxLag = Math.ceil(frameRate * 60 / this.minBpm);
+    const value = (lag) => {
+      const low = Math.floor(lag);
+      const fraction = lag - low;
+      if (low + 1 >= autocorrelation.length) return 0;
+      return autocorrelation[low] * (1 - fraction) + autocorrelation[low + 1] * fraction;
+    };
+
+    // Fractional lags: at fast tempi a whole-frame error adds up across the comb teeth
+    let bestLag = minLag;
+    let bestScore = -Infinity;
+    for (let lag = minLag; lag <= maxLag; lag += 0.25) {
+      let comb = 0;
+      for (let k = 1; k <= 4; k++) comb += value(lag * k) / k;
+
+      const bpm = 60 * frameRate / lag;
+      const prior = Math.exp(-0.5 * (Math.log2(bpm / this.preferredBpm) / 0.9) ** 2);
+      const score = comb * prior;
+      if (score > bestScore) {
+        bestScore = score;
+        bestLag = lag;
+      }
+    }
+
+    return { lag: bestLag, strength: value(bestLag) / autocorrelation[0] };
+  }
+
+  // Offset (in frames) of the beat train that lines up with the most onset energy
+  findBeatPhase(envelope, lag) {
+    let bestPhase = 0;
+    let bestScore = -Infinity;
+
+    for (let phase = 0; phase < lag; phase++) {
+      let score = 0;
+      for (let position = phase; position < envelope.length; position += lag) {
+        score += envelope[Math.round(position)] || 0;
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        bestPhase = phase;
+      }
+    }
+    return bestPhase;
+  }
+
+  // The strongest-accented beat of the bar is taken as the downbeat
+  findDownbeat(envelope, lag, beatPhase) {
+    const accents = new Array(this.beatsPerBar).fill(0);
+    let beat = 0;
+    for (let position = beatPhase; position < envelope.length; position += lag, beat++) {
+      const frame = Math.round(position);
+      // Accent measured over a small window around the beat
+      let accent = 0;
+      for (let k = -2; k <= 2; k++) accent = Math.max(accent, envelope[frame + k] || 0);
+      accents[beat % this.beatsPerBar] += accent;
+    }
+
+    const strongest = accents.indexOf(Math.max(...accents));
+    return beatPhase + strongest * lag;
+  }
+}
+
+// In-place iterative radix-2 FFT
+function fft(real, imag) {
+  const n = real.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let length = 2; length <= n; length <<= 1) {
+    const angle = (-2 * Math.PI) / length;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+    for (let start = 0; start < n; start += length) {
+      let wReal = 1;
+      let wImag = 0;
+      for (let k = 0; k < length / 2; k++) {
+        const a = start + k;
+        const b = a + length / 2;
+        const tReal = real[b] * wReal - imag[b] * wImag;
+        const tImag = real[b] * wImag + imag[b] * wReal;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+        const nextReal = wReal * stepReal - wImag * stepImag;
+        wImag = wReal * stepImag + wImag * stepReal;
+        wReal = nextReal;
+      }
+    }
+  }
+}
+
+function smooth(values) {
+  const kernel = [0.25, 0.5, 1, 0.5, 0.25];
+  const result = new Float32Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    let sum = 0;
+    for (let k = 0; k < kernel.length; k++) sum += kernel[k] * (values[i + k - 2] || 0);
+    result[i] = sum / 2.5;
+  }
+  return result;
+}
+
+function movingAverage(values, width) {
+  const result = new Float32Array(values.length);
+  const half = Math.max(1, Math.floor(width / 2));
+  let sum = 0;
+  let count = 0;
+  let left = 0;
+  let right = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    while (right < values.length && right <= i + half) {
+      sum += values[right++];
+      count++;
+    }
+    while (left < i - half) {
+      sum -= values[left++];
+      count--;
+    }
+    result[i] = sum / count;
+  }
+  return result;
+}
+
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = TempoDetector;
@@ -0,0 +1,192 @@
+// WAVE format tags we know how to decode
+const FORMAT_PCM = 0x0001;
+const FORMAT_IEEE_FLOAT = 0x0003;
+const FORMAT_ALAW = 0x0006;
+const FORMAT_MULAW = 0x0007;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+class WavCodec {
+  // Decode a RIFF/WAVE buffer into normalized Float32 samples (-1..1)
+  static decode(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let dataOffset = -1;
+    let dataLength = 0;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const chunkId = buffer.toString('ascii', offset, offset + 4);
+      const chunkSize = buffer.readUInt32LE(offset + 4);
+      const chunkStart = offset + 8;
+
+      if (chunkId === 'fmt ') {
+        format = this.parseFormatChunk(buffer, chunkStart, chunkSize);
+      } else if (chunkId === 'data') {
+        dataOffset = chunkStart;
+        // Streamed recordings sometimes leave the data size at 0 or 0xFFFFFFFF
+        dataLength = Math.min(chunkSize || buffer.length, buffer.length - chunkStart);
+        break;
+      }
+
+      // Chunks are word aligned
+      offset = chunkStart + chunkSize + (chunkSize % 2);
+    }
+
+    if (!format) {
+      throw new Error('WAV file has no fmt chunk');
+    }
+    if (dataOffset < 0) {
+      throw new Error('WAV file has no data chunk');
+    }
+
+    const { channels, bitsPerSample } = format;
+    const bytesPerSample = bitsPerSample / 8;
+    const frameSize = bytesPerSample * channels;
+    const frameCount = Math.floor(dataLength / frameSize);
+    const readSample = this.getSampleReader(format);
+
+    const channelData = [];
+    for (let ch = 0; ch < channels; ch++) {
+      channelData.push(new Float32Array(frameCount));
+    }
+
+    for (let i = 0; i < frameCount; i++) {
+      const frameOffset = dataOffset + i * frameSize;
+      for (let ch = 0; ch < channels; ch++) {
+        channelData[ch][i] = readSample(buffer, frameOffset + ch * bytesPerSample);
+      }
+    }
+
+    return {
+      sampleRate: format.sampleRate,
+      channels,
+      bitsPerSample,
+      formatTag: format.formatTag,
+      duration: frameCount / format.sampleRate,
+      channelData,
+      samples: this.toMono(channelData)
+    };
+  }
+
+  // Encode Float32 channels (-1..1) as integer PCM. Samples outside the range are clipped.
+  static encode(channelData, { sampleRate = 48000, bitsPerSample = 24 } = {}) {
+    if (![8, 16, 24, 32].includes(bitsPerSample)) {
+      throw new Error(`Unsupported PCM bit depth: ${bitsPerSample}`);
+    }
+
+    const channels = channelData.length;
+    const frameCount = channelData[0].length;
+    const bytesPerSample = bitsPerSample / 8;
+    const dataLength = frameCount * channels * bytesPerSample;
+    const buffer = Buffer.alloc(44 + dataLength + (dataLength % 2));
+
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(buffer.length - 8, 4);
+    buffer.write('WAVE', 8, 'ascii');
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(FORMAT_PCM, 20);
+    buffer.writeUInt16LE(channels, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+    buffer.writeUInt16LE(channels * bytesPerSample, 32);
+    buffer.writeUInt16LE(bitsPerSample, 34);
+    buffer.write('data', 36, 'ascii');
+    buffer.writeUInt32LE(dataLength, 40);
+
+    const scale = 2 ** (bitsPerSample - 1);
+    let offset = 44;
+    for (let i = 0; i < frameCount; i++) {
+      for (let ch = 0; ch < channels; ch++) {
+        const value = Math.max(-scale, Math.min(scale - 1, Math.round(channelData[ch][i] * scale)));
+        if (bitsPerSample === 8) {
+          buffer.writeUInt8(value + 128, offset);
+        } else {
+          buffer.writeIntLE(value, offset, bytesPerSample);
+        }
+        offset += bytesPerSample;
+      }
+    }
+
+    return buffer;
+  }
+
+  static parseFormatChunk(buffer, start, size) {
+    let formatTag = buffer.readUInt16LE(start);
+    const channels = buffer.readUInt16LE(start + 2);
+    const sampleRate = buffer.readUInt32LE(start + 4);
+    const bitsPerSample = buffer.readUInt16LE(start + 14);
+
+    // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+    if (formatTag === FORMAT_EXTENSIBLE && size >= 26) {
+      formatTag = buffer.readUInt16LE(start + 24);
+    }
+
+    if (!channels || !sampleRate || !bitsPerSample) {
+      throw new Error('WAV fmt chunk is invalid');
+    }
+
+    return { formatTag, channels, sampleRate, bitsPerSample };
+  }
+
+  static getSampleReader({ formatTag, bitsPerSample }) {
+    if (formatTag === FORMAT_PCM) {
+      switch (bitsPerSample) {
+        case 8: return (buf, pos) => (buf.readUInt8(pos) - 128) / 128;
+        case 16: return (buf, pos) => buf.readInt16LE(pos) / 32768;
+        case 24: return (buf, pos) => buf.readIntLE(pos, 3) / 8388608;
+        case 32: return (buf, pos) => buf.readInt32LE(pos) / 2147483648;
+        default: break;
+      }
+    } else if (formatTag === FORMAT_IEEE_FLOAT) {
+      if (bitsPerSample === 32) return (buf, pos) => buf.readFloatLE(pos);
+      if (bitsPerSample === 64) return (buf, pos) => buf.readDoubleLE(pos);
+    } else if (formatTag === FORMAT_MULAW && bitsPerSample === 8) {
+      return (buf, pos) => this.decodeMulaw(buf[pos]) / 32768;
+    } else if (formatTag === FORMAT_ALAW && bitsPerSample === 8) {
+      return (buf, pos) => this.decodeAlaw(buf[pos]) / 32768;
+    }
+
+    throw new Error(`Unsupported WAV encoding (format ${formatTag}, ${bitsPerSample}-bit)`);
+  }
+
+  // G.711 mu-law, as used by most telephone recordings
+  static decodeMulaw(byte) {
+    const value = ~byte & 0xff;
+    const sign = value & 0x80;
+    const exponent = (value >> 4) & 0x07;
+    const mantissa = value & 0x0f;
+    const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+    return sign ? -magnitude : magnitude;
+  }
+
+  // G.711 A-law
+  static decodeAlaw(byte) {
+    const value = byte ^ 0x55;
+    const sign = value & 0x80;
+    const exponent = (value >> 4) & 0x07;
+    const mantissa = value & 0x0f;
+    const magnitude = exponent === 0
+      ? (mantissa << 4) + 8
+      : ((mantissa << 4) + 0x108) << (exponent - 1);
+    return sign ? magnitude : -magnitude;
+  }
+
+  static toMono(channelData) {
+    if (channelData.length === 1) return channelData[0];
+
+    const length = channelData[0].length;
+    const mono = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (const channel of channelData) sum += channel[i];
+      mono[i] = sum / channelData.length;
+    }
+    return mono;
+  }
+}
+
+module.exports = WavCodec;
@@ -0,0 +1,180 @@
+// Broadcast WAV (EBU Tech 3285 `bext`), iXML and RIFF INFO chunks, so a WAV shows its title,
+// tempo and key in DAWs and music libraries instead of just its file name
+const BEXT_FIXED_SIZE = 602;
+const LOUDNESS_UNSET = 0x7fff;
+
+// RIFF INFO sub-chunks for each tag
+const INFO_FIELDS = [
+  ['INAM', 'title'],
+  ['IART', 'artist'],
+  ['IPRD', 'album'],
+  ['IGNR', 'genre'],
+  ['ICRD', 'date'],
+  ['ICMT', 'comment'],
+  ['ISFT', 'software']
+];
+
+class WavMetadata {
+  // tags: { title, artist, album, genre, date (ISO string), comment, tempo, key, sessionId, software }
+  // options: { timeReference (samples since the session start), loudness: { integrated, peak } }
+  static embed(buffer, tags, options = {}) {
+    const { fmt, data, others } = this.chunks(buffer);
+    const sampleRate = fmt.readUInt32LE(4);
+    const channels = fmt.readUInt16LE(2);
+
+    const body = [
+      this.chunk('fmt ', fmt),
+      this.chunk('bext', this.bext(tags, { ...options, sampleRate })),
+      this.chunk('iXML', Buffer.from(this.ixml(tags, { ...options, sampleRate, channels }), 'utf8')),
+      this.chunk('LIST', this.info(tags)),
+      ...others.map(({ id, payload }) => this.chunk(id, payload)),
+      this.chunk('data', data)
+    ];
+
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(4 + body.reduce((total, part) => total + part.length, 0), 4);
+    header.write('WAVE', 8, 'ascii');
+    return Buffer.concat([header, ...body]);
+  }
+
+  // fmt and data payloads plus any other chunks, minus the metadata chunks we rewrite
+  static chunks(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let fmt = null;
+    let data = null;
+    const others = [];
+    let offset = 12;
+    while (offset + 8 <= buffer.length) {
+      const id = buffer.toString('ascii', offset, offset + 4);
+      const size = Math.min(buffer.readUInt32LE(offset + 4), buffer.length - offset - 8);
+      const payload = buffer.subarray(offset + 8, offset + 8 + size);
+
+      if (id === 'fmt ') {
+        fmt = payload;
+      } else if (id === 'data') {
+        data = payload;
+      } else if (id !== 'bext' && id !== 'iXML' && !(id === 'LIST' && payload.toString('ascii', 0, 4) === 'INFO')) {
+        others.push({ id, payload });
+      }
+      offset += 8 + size + (size % 2);
+    }
+
+    if (!fmt || !data) {
+      throw new Error('WAV file is missing its fmt or data chunk');
+    }
+    return { fmt, data, others };
+  }
+
+  static chunk(id, payload) {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32LE(payload.length, 4);
+    return Buffer.concat(payload.length % 2 ? [header, payload, Buffer.alloc(1)] : [header, payload]);
+  }
+
+  // Version 2 bext: description, originator, dates, time reference and loudness
+  static bext(tags, { timeReference = 0, loudness = null, sampleRate }) {
+    const codingHistory = Buffer.from(`A=PCM,F=${sampleRate},T=${tags.software || 'Hum It Out'}\r\n`, 'ascii');
+    const bext = Buffer.alloc(BEXT_FIXED_SIZE + codingHistory.length);
+    const date = new Date(tags.date || Date.now());
+    const iso = date.toISOString();
+
+    const description = [tags.title, tags.comment].filter(Boolean).join(' - ');
+    writeAscii(bext, description, 0, 256);
+    writeAscii(bext, tags.artist || 'Hum It Out', 256, 32);
+    writeAscii(bext, tags.sessionId || '', 288, 32);
+    writeAscii(bext, iso.slice(0, 10), 320, 10);
+    writeAscii(bext, iso.slice(11, 19), 330, 8);
+
+    const reference = Math.max(0, Math.round(timeReference));
+    bext.writeUInt32LE(reference % 2 ** 32, 338);
+    bext.writeUInt32LE(Math.floor(reference / 2 ** 32), 342);
+    bext.writeUInt16LE(2, 346);
+    // UMID (64 bytes at 348) stays zeroed
+
+    // Loudness values are stored as hundredths (LUFS, LU, dBTP)
+    const hundredths = (value) => (Number.isFinite(value) ? Math.round(value * 100) : LOUDNESS_UNSET);
+    bext.writeInt16LE(hundredths(loudness?.integrated), 412);
+    bext.writeInt16LE(LOUDNESS_UNSET, 414);
+    bext.writeInt16LE(hundredths(loudness?.peak), 416);
+    bext.writeInt16LE(LOUDNESS_UNSET, 418);
+    bext.writeInt16LE(LOUDNESS_UNSET, 420);
+
+    codingHistory.copy(bext, BEXT_FIXED_SIZE);
+    return bext;
+  }
+
+  // iXML with the project fields plus the ASWG block, which carries tempo, key and genre
+  static ixml(tags, { timeReference = 0, sampleRate, channels }) {
+    const reference = Math.max(0, Math.round(timeReference));
+    const trackNames = channels === 2 ? ['L', 'R'] : ['Mono'];
+    const tracks = trackNames.map((name, index) => [
+      '    <TRACK>',
+      `      <CHANNEL_INDEX>${index + 1}</CHANNEL_INDEX>`,
+      `      <INTERLEAVE_INDEX>${index + 1}</INTERLEAVE_INDEX>`,
+      `      <NAME>${escapeXml(`${tags.title || ''} ${name}`.trim())}</NAME>`,
+      '    </TRACK>'
+    ].join('\n'));
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<BWFXML>',
+      '  <IXML_VERSION>2.10</IXML_VERSION>',
+      `  <PROJECT>${escapeXml(tags.album || 'Hum It Out')}</PROJECT>`,
+      `  <SCENE>${escapeXml(tags.title || '')}</SCENE>`,
+      '  <TAKE>1</TAKE>',
+      `  <NOTE>${escapeXml(tags.comment || '')}</NOTE>`,
+      '  <SPEED>',
+      `    <FILE_SAMPLE_RATE>${sampleRate}</FILE_SAMPLE_RATE>`,
+      `    <TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI>${Math.floor(reference / 2 ** 32)}</TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_HI>`,
+      `    <TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_LO>${reference % 2 ** 32}</TIMESTAMP_SAMPLES_SINCE_MIDNIGHT_LO>`,
+      `    <TIMESTAMP_SAMPLE_RATE>${sampleRate}</TIMESTAMP_SAMPLE_RATE>`,
+      '  </SPEED>',
+      '  <TRACK_LIST>',
+      `    <TRACK_COUNT>${trackNames.length}</TRACK_COUNT>`,
+      ...tracks,
+      '  </TRACK_LIST>',
+      '  <ASWG>',
+      `    <project>${escapeXml(tags.album || 'Hum It Out')}</project>`,
+      `    <session>${escapeXml(tags.sessionId || '')}</session>`,
+      `    <originator>${escapeXml(tags.artist || 'Hum It Out')}</originator>`,
+      `    <genre>${escapeXml(tags.genre || '')}</genre>`,
+      ...(tags.tempo ? [`    <tempo>${tags.tempo}</tempo>`] : []),
+      ...(tags.key ? [`    <inKey>${escapeXml(tags.key)}</inKey>`] : []),
+      '  </ASWG>',
+      '</BWFXML>',
+      ''
+    ].join('\n');
+  }
+
+  // LIST/INFO: NUL-terminated strings, word aligned
+  static info(tags) {
+    const parts = [Buffer.from('INFO', 'ascii')];
+    for (const [id, field] of INFO_FIELDS) {
+      let value = field === 'software' ? tags.software || 'Hum It Out' : tags[field];
+      if (!value) continue;
+      if (field === 'date') value = String(value).slice(0, 10);
+      parts.push(this.chunk(id, Buffer.from(`${value}\0`, 'utf8')));
+    }
+    return Buffer.concat(parts);
+  }
+}
+
+function writeAscii(buffer, text, offset, length) {
+  buffer.write(String(text).replace(/[^\x20-\x7e]/g, '?').slice(0, length), offset, length, 'ascii');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = WavMetadata;
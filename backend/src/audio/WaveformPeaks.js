@@ -0,0 +1,57 @@
+// Min/max peaks in the audiowaveform JSON format (version 2), at a few zoom levels, so a
+// player can draw the waveform straight away and stream the audio instead of decoding it first
+const PIXELS_PER_SECOND = [8, 32, 128];
+
+class WaveformPeaks {
+  constructor(options = {}) {
+    this.pixelsPerSecond = options.pixelsPerSecond || PIXELS_PER_SECOND;
+    this.bits = options.bits || 8;
+  }
+
+  // channelData: one Float32Array per channel. Returns { duration, levels }, where each level
+  // is a complete audiowaveform document, coarsest first
+  compute(channelData, sampleRate) {
+    const length = channelData[0]?.length || 0;
+    return {
+      duration: Math.round((length / sampleRate) * 1000) / 1000,
+      levels: this.pixelsPerSecond.map(pixelsPerSecond =>
+        this.level(channelData, sampleRate, Math.max(1, Math.round(sampleRate / pixelsPerSecond)))
+      )
+    };
+  }
+
+  // Channels are merged: each pixel holds the lowest and highest sample of any channel
+  level(channelData, sampleRate, samplesPerPixel) {
+    const scale = 2 ** (this.bits - 1);
+    const length = channelData[0]?.length || 0;
+    const pixels = Math.ceil(length / samplesPerPixel);
+    const data = new Array(pixels * 2);
+
+    for (let pixel = 0; pixel < pixels; pixel++) {
+      const start = pixel * samplesPerPixel;
+      const end = Math.min(length, start + samplesPerPixel);
+      let min = 0;
+      let max = 0;
+      for (const channel of channelData) {
+        for (let i = start; i < end; i++) {
+          if (channel[i] < min) min = channel[i];
+          else if (channel[i] > max) max = channel[i];
+        }
+      }
+      data[pixel * 2] = Math.max(-scale, Math.floor(min * scale));
+      data[pixel * 2 + 1] = Math.min(scale - 1, Math.ceil(max * scale));
+    }
+
+    return {
+      version: 2,
+      channels: 1,
+      sample_rate: sampleRate,
+      samples_per_pixel: samplesPerPixel,
+      bits: this.bits,
+      length: pixels,
+      data
+    };
+  }
+}
+
+module.exports = WaveformPeaks;
@@ -0,0 +1,65 @@
+const AudioIngest = require('../AudioIngest');
+const WavCodec = require('../WavCodec');
+
+const PHONE_RATE = 8000;
+
+// A phone-quality WAV: each part is [seconds, amplitude] of a 220 Hz hum, 0 for silence.
+// The encoder clamps anything past full scale, the way a hot microphone clips.
+function recording(parts, sampleRate = PHONE_RATE) {
+  const samples = [];
+  for (const [seconds, amplitude] of parts) {
+    for (let i = 0; i < Math.round(seconds * sampleRate); i++) {
+      samples.push(amplitude * Math.sin(2 * Math.PI * 220 * samples.length / sampleRate));
+    }
+  }
+  return WavCodec.encode([Float32Array.from(samples)], { sampleRate, bitsPerSample: 16 });
+}
+
+describe('AudioIngest.process', () => {
+  const ingest = new AudioIngest();
+
+  it.each([
+    ['cannot be decoded', Buffer.from('This is not a WAV file'), 'unreadable', /could not be read \(Not a RIFF\/WAVE file\)/],
+    ['is empty', recording([[0.01, 0.3]]), 'too_short', /is empty/],
+    ['is too short once the silence is trimmed', recording([[1, 0], [0.4, 0.3], [1, 0]]), 'too_short', /Only 0\.7 seconds of sound/],
+    ['is silent', recording([[3, 0]]), 'silent', /is silent \(loudest moment -120 dBFS\)/],
+    ['is barely audible', recording([[3, 0.002]]), 'silent', /is silent/],
+    ['is clipped', recording([[3, 1.6]]), 'clipped', /is distorted: \d+\.\d% of it is clipped/]
+  ])('rejects a recording that %s', (label, buffer, reason, message) => {
+    let error;
+    try {
+      ingest.process(buffer);
+    } catch (caught) {
+      error = caught;
+    }
+
+    // The name picks the rejection SMS, and retryable: false keeps the job from retrying
+    expect(error).toMatchObject({ name: 'RecordingRejectedError', reason, retryable: false });
+    expect(error.message).toMatch(message);
+  });
+
+  it('passes a clean hum, trimmed and resampled', () => {
+    const result = ingest.process(recording([[1, 0], [2, 0.3], [1, 0]]));
+
+    expect(result.sampleRate).toBe(16000);
+    // Two seconds of hum plus the padding kept on either side, to within a frame
+    expect(result.duration).toBeCloseTo(2.3, 1);
+    expect(result.samples.length).toBe(Math.round(result.duration * 16000));
+    expect(result.report).toMatchObject({
+      source: { sampleRate: PHONE_RATE, channels: 1, bitsPerSample: 16, duration: 4 },
+      clippedRatio: 0
+    });
+    expect(result.report.trimmedStart).toBeCloseTo(0.85, 1);
+    expect(result.report.trimmedEnd).toBeCloseTo(3.15, 1);
+    // 0.3 of full scale is about -13.5 dBFS RMS
+    expect(result.report.peakLevel).toBeCloseTo(-13.5, 0);
+  });
+
+  it('lets a loud recording with single full-scale peaks through', () => {
+    const buffer = recording([[2, 0.9]]);
+    // A few isolated samples at full scale, as loud but clean audio has
+    for (const offset of [1000, 5000, 9000]) buffer.writeInt16LE(32767, 44 + offset * 2);
+
+    expect(ingest.process(buffer).report.clippedRatio).toBe(0);
+  });
+});
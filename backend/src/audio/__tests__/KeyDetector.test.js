@@ -0,0 +1,51 @@
+const KeyDetector = require('../KeyDetector');
+
+// Melodies as [midi, seconds] pairs
+const melody = (notes) => notes.map(([midi, duration]) => ({ midi, duration }));
+const scale = (midis) => melody(midis.map(midi => [midi, 0.5]));
+
+describe('KeyDetector.detect', () => {
+  const detector = new KeyDetector();
+
+  it.each([
+    ['a C major scale', scale([60, 62, 64, 65, 67, 69, 71, 72]), 'C', 'C', 'major'],
+    ['a G major scale', scale([67, 69, 71, 72, 74, 76, 78, 79]), 'G', 'G', 'major'],
+    ['an A minor melody with its raised seventh', melody([[69, 1], [71, 0.5], [72, 0.5], [74, 0.5], [72, 0.5], [71, 0.5], [68, 0.5], [69, 1], [64, 0.5], [69, 1.5]]), 'Am', 'A', 'minor'],
+    ['an E minor melody', melody([[64, 1], [66, 0.5], [67, 0.5], [71, 1], [67, 0.5], [66, 0.5], [63, 0.5], [64, 1.5]]), 'Em', 'E', 'minor'],
+    ['a Bb major melody', melody([[70, 1], [72, 0.5], [74, 0.5], [75, 0.5], [77, 1], [74, 0.5], [70, 1.5]]), 'Bb', 'Bb', 'major']
+  ])('finds the key of %s', (label, notes, key, tonic, mode) => {
+    expect(detector.detect({ melody: notes })).toMatchObject({ key, tonic, mode });
+  });
+
+  it('lists the candidates best first, with the relative key close behind a scale', () => {
+    const { key, confidence, candidates } = detector.detect({ melody: scale([60, 62, 64, 65, 67, 69, 71, 72]) });
+    const scores = candidates.map(candidate => candidate.score);
+
+    expect(candidates).toHaveLength(5);
+    expect(scores).toEqual([...scores].sort((a, b) => b - a));
+    expect(candidates[0].key).toBe(key);
+    expect(candidates[1].key).toBe('Am');
+    expect(confidence).toBeGreaterThan(0.5);
+  });
+
+  it('weighs notes by their duration', () => {
+    // The same pitches as the C major scale, but dwelling on A, C and E
+    const notes = melody([[69, 2], [71, 0.25], [72, 1], [74, 0.25], [76, 1], [77, 0.25], [79, 0.25], [69, 2]]);
+    expect(detector.detect({ melody: notes }).key).toBe('Am');
+  });
+
+  it('reads the pitch contour when there are no notes', () => {
+    const frames = [];
+    for (const midi of [60.1, 62, 63.9, 65, 67.2, 69, 71, 72]) {
+      for (let k = 0; k < 50; k++) frames.push({ midi, voiced: true });
+      frames.push({ midi: null, voiced: false });
+    }
+
+    expect(detector.detect({ pitchContour: { hopDuration: 0.01, frames } }).key).toBe('C');
+  });
+
+  it('gives no key for too little of a melody', () => {
+    expect(detector.detect({ melody: scale([60, 64]) })).toBeNull();
+    expect(detector.detect()).toBeNull();
+  });
+});
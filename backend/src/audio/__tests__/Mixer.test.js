@@ -0,0 +1,85 @@
+const Mixer = require('../Mixer');
+
+function sine(frequency, seconds, peakDb, sampleRate = 48000) {
+  const amplitude = 10 ** (peakDb / 20);
+  const samples = new Float32Array(Math.round(seconds * sampleRate));
+  for (let i = 0; i < samples.length; i++) samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+  return samples;
+}
+
+// Drum-like hits: a sharp click every quarter note at 120 BPM, too fast for the compressor to catch
+function hits(seconds, sampleRate = 48000) {
+  const samples = new Float32Array(Math.round(seconds * sampleRate));
+  for (let start = 0; start < samples.length; start += sampleRate / 2) {
+    for (let i = 0; i < 0.2 * sampleRate && start + i < samples.length; i++) {
+      samples[start + i] = Math.exp(-i / (0.002 * sampleRate)) * Math.sin(2 * Math.PI * 2000 * i / sampleRate);
+    }
+  }
+  return samples;
+}
+
+describe('Mixer.measureLoudness', () => {
+  it.each([48000, 44100])('reads a 0 dBFS 997 Hz sine in one channel as -3.01 LUFS at %p Hz', (sampleRate) => {
+    // ITU-R BS.1770-4, section 2.1: the reference level for a single front channel
+    const mixer = new Mixer({ sampleRate });
+    const loudness = mixer.measureLoudness([sine(997, 5, 0, sampleRate), new Float32Array(5 * sampleRate)]);
+
+    expect(loudness).toBeCloseTo(-3.01, 1);
+  });
+
+  it('reads a -23 dBFS stereo 1 kHz sine as -23 LUFS', () => {
+    // EBU Tech 3341, test case 1
+    const tone = sine(1000, 20, -23);
+    expect(new Mixer().measureLoudness([tone, tone.slice()])).toBeCloseTo(-23, 1);
+  });
+
+  it('gates out silence and passages far below the rest', () => {
+    const loud = sine(997, 4, -10);
+    const withGaps = new Float32Array([...new Float32Array(48000 * 4), ...loud, ...sine(997, 4, -50), ...new Float32Array(48000 * 4)]);
+    const mixer = new Mixer();
+
+    // Only the blocks straddling the edges of the loud passage pull the reading down a little
+    const difference = mixer.measureLoudness([withGaps, withGaps.slice()]) - mixer.measureLoudness([loud, loud.slice()]);
+    expect(Math.abs(difference)).toBeLessThan(0.5);
+    expect(mixer.measureLoudness([new Float32Array(48000 * 2), new Float32Array(48000 * 2)])).toBe(-Infinity);
+  });
+});
+
+describe('Mixer.mix', () => {
+  const stems = () => [
+    { name: 'drums', role: 'drums', samples: hits(4) },
+    { name: 'bass', role: 'bass', samples: sine(55, 4, -3) },
+    { name: 'melody', role: 'melody', samples: sine(440, 4, -6) }
+  ];
+
+  it.each([
+    ['the default ceiling', {}],
+    ['a lower ceiling', { peakCeiling: -3 }],
+    ['a loud target', { targetLoudness: -8 }]
+  ])('never lets a sample of the mix over %s', (label, options) => {
+    const mixer = new Mixer(options);
+    const { channels, report } = mixer.mix(stems(), { levels: { drums: 1.5, bass: 0.3, melody: 0.3 } });
+    const ceiling = 10 ** (mixer.peakCeiling / 20);
+
+    expect(Mixer.peak(channels)).toBeLessThanOrEqual(ceiling * (1 + 1e-6));
+    expect(report.peak).toBeLessThanOrEqual(mixer.peakCeiling);
+    expect(report.limiterMaxReduction).toBeGreaterThan(0);
+  });
+
+  it('brings the mix to the target loudness', () => {
+    const { report } = new Mixer().mix(stems(), { levels: { drums: 0.1, bass: 0.1, melody: 0.1 } });
+
+    expect(report.integratedLoudness).toBeGreaterThanOrEqual(-14.5);
+    expect(report.integratedLoudness).toBeLessThanOrEqual(-13.5);
+    expect(report.gainApplied).toBeGreaterThan(0);
+  });
+
+  it('pans with constant power and reports the settings it used', () => {
+    const { channels, report } = new Mixer().mix([
+      { name: 'melody', role: 'melody', samples: sine(440, 1, -20) }
+    ], { levels: { melody: '50%' }, pans: { melody: 1 } });
+
+    expect(Mixer.peak([channels[0]])).toBeLessThan(1e-6);
+    expect(report.stems).toEqual({ melody: { role: 'melody', level: 0.5, pan: 1 } });
+  });
+});
@@ -0,0 +1,98 @@
+const NoteSegmenter = require('../NoteSegmenter');
+
+const HOP = 0.01;
+
+// A contour shaped like PitchTracker's: each step is [midi or null for unvoiced, seconds]
+function contour(steps) {
+  const frames = [];
+  for (const [midi, seconds] of steps) {
+    for (let k = 0; k < Math.round(seconds / HOP); k++) {
+      frames.push({
+        time: (frames.length + 0.5) * HOP,
+        midi,
+        voiced: midi !== null,
+        rms: midi === null ? 0 : 0.1
+      });
+    }
+  }
+  return { hopDuration: HOP, frames };
+}
+
+const pitches = (notes) => notes.map(note => [note.midi, note.start, note.duration]);
+
+describe('NoteSegmenter.segment', () => {
+  const segmenter = new NoteSegmenter();
+
+  it('starts a new note at each step of the contour', () => {
+    const notes = segmenter.segment(contour([[60, 0.5], [62, 0.25], [64, 0.25], [65, 0.5]]));
+
+    expect(pitches(notes)).toEqual([
+      [60, 0, 0.5],
+      [62, 0.5, 0.25],
+      [64, 0.75, 0.25],
+      [65, 1, 0.5]
+    ]);
+    expect(notes.every(note => note.velocity === 110)).toBe(true);
+  });
+
+  it('takes the median pitch of a slightly flat note', () => {
+    const [note] = segmenter.segment(contour([[59.7, 0.2], [59.8, 0.2]]));
+    expect(note).toMatchObject({ midi: 60, pitch: 59.8 });
+  });
+
+  it('ends a note at a rest but not at a short dropout', () => {
+    const notes = segmenter.segment(contour([[67, 0.3], [null, 0.03], [67, 0.2], [null, 0.2], [67, 0.3]]));
+    expect(pitches(notes)).toEqual([[67, 0, 0.53], [67, 0.73, 0.3]]);
+  });
+
+  it('ignores a pitch glitch of a couple of frames inside a note', () => {
+    const notes = segmenter.segment(contour([[64, 0.2], [76, 0.02], [64, 0.2]]));
+    expect(pitches(notes)).toEqual([[64, 0, 0.42]]);
+  });
+
+  it('drops a blip shorter than the minimum note length', () => {
+    const notes = segmenter.segment(contour([[60, 0.3], [null, 0.1], [72, 0.05], [null, 0.1], [62, 0.3]]));
+    expect(pitches(notes)).toEqual([[60, 0, 0.3], [62, 0.55, 0.3]]);
+  });
+});
+
+describe('NoteSegmenter.quantize', () => {
+  const segmenter = new NoteSegmenter();
+
+  it('snaps the notes to sixteenths at the tempo', () => {
+    // At 120 BPM a beat is 0.5s and 480 ticks; the steps are a little off the grid
+    const notes = segmenter.segment(contour([[60, 0.52], [62, 0.23], [64, 0.26], [65, 0.49]]));
+
+    expect(segmenter.quantize(notes, { tempo: 120 })).toEqual([
+      { note: 60, velocity: 110, time: 0, duration: 480 },
+      { note: 62, velocity: 110, time: 480, duration: 240 },
+      { note: 64, velocity: 110, time: 720, duration: 240 },
+      { note: 65, velocity: 110, time: 960, duration: 480 }
+    ]);
+  });
+
+  it('places the first beat at startTick, with pickup notes before it', () => {
+    const notes = [
+      { start: 0.05, end: 0.3, midi: 67 },
+      { start: 0.3, end: 0.8, midi: 72 }
+    ];
+
+    expect(segmenter.quantize(notes, { tempo: 120, offset: 0.3, startTick: 480 })).toEqual([
+      { note: 67, velocity: 80, time: 240, duration: 240 },
+      { note: 72, velocity: 80, time: 480, duration: 480 }
+    ]);
+  });
+
+  it('keeps the longer of two notes on the same step and trims overlaps', () => {
+    const notes = [
+      { start: 0, end: 0.05, midi: 60 },
+      { start: 0.02, end: 0.6, midi: 62 },
+      { start: 0.5, end: 1, midi: 64 }
+    ];
+
+    expect(segmenter.quantize(notes, { tempo: 120 }).map(({ note, time, duration }) => [note, time, duration])).toEqual([
+      [62, 0, 480],
+      [64, 480, 480]
+    ]);
+  });
+});
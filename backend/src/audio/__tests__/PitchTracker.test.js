@@ -0,0 +1,72 @@
+const PitchTracker = require('../PitchTracker');
+
+const SAMPLE_RATE = 44100;
+
+// A tone at the given frequency; each entry of harmonics is the gain of the next partial
+function hum(frequency, seconds, harmonics = [1]) {
+  const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  for (let i = 0; i < samples.length; i++) {
+    const t = i / SAMPLE_RATE;
+    samples[i] = harmonics.reduce((sum, gain, h) => sum + 0.4 * gain * Math.sin(2 * Math.PI * frequency * (h + 1) * t), 0);
+  }
+  return samples;
+}
+
+// Seeded, so the test always hears the same noise
+function noise(seconds, amplitude) {
+  const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+  let seed = 12345;
+  for (let i = 0; i < samples.length; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    samples[i] = amplitude * (2 * seed / 2147483648 - 1);
+  }
+  return samples;
+}
+
+const cents = (frequency, reference) => 1200 * Math.log2(frequency / reference);
+
+describe('PitchTracker.track', () => {
+  const tracker = new PitchTracker();
+
+  it.each([
+    ['a sine at A3', 220, [1]],
+    ['a sine at E4', 329.63, [1]],
+    ['a hum at C3', 130.81, [1, 0.5, 0.25]],
+    ['a hum at G4', 392, [1, 0.5, 0.25]]
+  ])('finds the fundamental of %s within a few cents', (label, frequency, harmonics) => {
+    const { frames } = tracker.track(hum(frequency, 0.5, harmonics), SAMPLE_RATE);
+    const voiced = frames.filter(frame => frame.voiced);
+
+    expect(voiced.length).toBeGreaterThan(frames.length * 0.9);
+    for (const frame of voiced) {
+      expect(Math.abs(cents(frame.frequency, frequency))).toBeLessThan(5);
+    }
+  });
+
+  it('reports the MIDI note of each frame', () => {
+    const { frames } = tracker.track(hum(440, 0.3), SAMPLE_RATE);
+    expect(frames.filter(frame => frame.voiced).every(frame => Math.abs(frame.midi - 69) < 0.05)).toBe(true);
+  });
+
+  it('leaves silence unvoiced', () => {
+    const { frames } = tracker.track(new Float32Array(SAMPLE_RATE / 2), SAMPLE_RATE);
+
+    expect(frames.length).toBeGreaterThan(0);
+    expect(frames.every(frame => !frame.voiced && frame.frequency === null)).toBe(true);
+  });
+
+  it('leaves noise unvoiced', () => {
+    const { frames } = tracker.track(noise(0.5, 0.3), SAMPLE_RATE);
+
+    expect(frames.length).toBeGreaterThan(0);
+    expect(frames.every(frame => frame.rms > 0.01)).toBe(true);
+    expect(frames.filter(frame => frame.voiced)).toEqual([]);
+  });
+
+  it('summarizes the range of what it heard', () => {
+    const samples = new Float32Array([...hum(220, 0.3), ...hum(330, 0.3)]);
+    const summary = PitchTracker.summarize(tracker.track(samples, SAMPLE_RATE));
+
+    expect(summary).toMatchObject({ detected: true, lowestNote: 'A3', highestNote: 'E4', rangeSemitones: 7 });
+  });
+});
@@ -0,0 +1,98 @@
+const TempoDetector = require('../TempoDetector');
+const FileManager = require('../../services/FileManager');
+
+const SAMPLE_RATE = 44100;
+
+// A metronome: a short 1 kHz click on every beat, louder on the first beat of each group of
+// `accentEvery`, with the first accented beat at `downbeat` seconds and pickup clicks before it
+function clickTrack(bpm, downbeat, { seconds = 8, accentEvery = 4 } = {}) {
+  const samples = new Float32Array(seconds * SAMPLE_RATE);
+  const period = 60 / bpm;
+  const pickups = Math.floor(downbeat / period);
+
+  for (let beat = -pickups; downbeat + beat * period < seconds; beat++) {
+    const start = Math.round((downbeat + beat * period) * SAMPLE_RATE);
+    const gain = ((beat % accentEvery) + accentEvery) % accentEvery === 0 ? 0.9 : 0.35;
+    for (let i = 0; i < 0.03 * SAMPLE_RATE && start + i < samples.length; i++) {
+      samples[start + i] += gain * Math.exp(-i / (0.006 * SAMPLE_RATE)) * Math.sin(2 * Math.PI * 1000 * i / SAMPLE_RATE);
+    }
+  }
+  return samples;
+}
+
+// The detected grid has the click track's tempo and downbeat, and each of its beats lands on a
+// click. Beats drift by up to `tolerance` seconds when the tempo is off by a fraction of a BPM.
+function expectGrid(grid, bpm, downbeat, tolerance = 0.05) {
+  const period = 60 / bpm;
+  const first = downbeat - Math.floor(downbeat / period) * period;
+
+  expect(Math.abs(grid.bpm - bpm)).toBeLessThanOrEqual(1);
+  expect(Math.abs(grid.downbeatOffset - downbeat)).toBeLessThanOrEqual(0.03);
+  grid.beatTimes.forEach((time, index) => {
+    expect(Math.abs(time - (first + index * period))).toBeLessThanOrEqual(tolerance);
+  });
+  expect(grid.beatTimes[grid.beatTimes.length - 1]).toBeGreaterThan(8 - period - tolerance);
+}
+
+describe('TempoDetector.detect', () => {
+  const detector = new TempoDetector();
+
+  it.each([
+    [100, 0.35],
+    [120, 0.6],
+    [150, 0.2],
+    [72, 0.8]
+  ])('finds the beat of a click track at %p BPM with its downbeat at %ps', (bpm, downbeat) => {
+    const grid = detector.detect(clickTrack(bpm, downbeat), SAMPLE_RATE);
+
+    expectGrid(grid, bpm, downbeat);
+    expect(grid).toMatchObject({ beatsPerBar: 4, confidence: expect.any(Number) });
+    expect(grid.confidence).toBeGreaterThan(0.8);
+  });
+
+  it('takes the accented beat as the downbeat and keeps the beats before it as a pickup', () => {
+    const grid = detector.detect(clickTrack(90, 1.2), SAMPLE_RATE);
+
+    expectGrid(grid, 90, 1.2);
+    expect(grid.beatTimes[0]).toBeLessThan(0.6);
+  });
+
+  it('reads a pulse faster than the tempo range at half time', () => {
+    expectGrid(detector.detect(clickTrack(240, 0.25, { accentEvery: 8 }), SAMPLE_RATE), 120, 0.25);
+  });
+
+  it('prefers half time for a fast pulse closer to the usual tempo', () => {
+    expect(Math.abs(detector.detect(clickTrack(180, 0.1), SAMPLE_RATE).bpm - 90)).toBeLessThanOrEqual(1);
+  });
+
+  it('counts the pulse rather than accents every other beat (double time)', () => {
+    expectGrid(detector.detect(clickTrack(100, 0.4, { accentEvery: 2 }), SAMPLE_RATE), 100, 0.4);
+  });
+
+  it('gives no beat grid for silence or a recording that is too short', () => {
+    expect(detector.detect(new Float32Array(4 * SAMPLE_RATE), SAMPLE_RATE)).toBeNull();
+    expect(detector.detect(clickTrack(120, 0.5, { seconds: 1 }), SAMPLE_RATE)).toBeNull();
+  });
+});
+
+describe('TempoDetector.songTempo', () => {
+  it.each([
+    [117.6, 118],
+    [120, 120],
+    [59.4, 60],
+    [42, 60],
+    [200.4, 200],
+    [231.2, 200]
+  ])('%p BPM is written at %p BPM', (bpm, expected) => {
+    expect(TempoDetector.songTempo(bpm)).toBe(expected);
+  });
+
+  it('is the tempo the generated files use', () => {
+    const getTimeline = FileManager.prototype.getTimeline;
+
+    expect(getTimeline({ recording: { tempo: { bpm: 231.2, downbeatOffset: 0.5 } }, analysis: { tempo: 116 } }))
+      .toMatchObject({ tempo: 200, offsetTicks: 800 });
+    expect(getTimeline({ analysis: { tempo: 45 } }).tempo).toBe(60);
+    expect(getTimeline({}).tempo).toBe(120);
+  });
+});
@@ -3,6 +3,19 @@ require('dotenv').config();
 
 const path = require('path');
 
+function agentProvider(agent) {
+  return {
+    provider: process.env[`LLM_PROVIDER_${agent}`] || process.env.LLM_PROVIDER || 'openai',
+    model: process.env[`LLM_MODEL_${agent}`] || null
+  };
+}
+
+// A count where 0 is meaningful, so an unset, empty or non-numeric value gets the default rather than NaN
+function count(value, fallback) {
+  const n = value === undefined || value.trim() === '' ? NaN : Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
 const config = {
   // Server configuration
   server: {
@@ -42,8 +55,52 @@ const config = {
   // OpenAI configuration
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
-    model: 'gpt-4-turbo-preview',
-    whisperModel: 'whisper-1'
+    model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
+    whisperModel: process.env.OPENAI_WHISPER_MODEL || 'whisper-1'
+  },
+
+  // LLM providers for transcription and the agent pipeline. LLM_PROVIDER picks the default
+  // (openai, local or mock); LLM_PROVIDER_<AGENT> and LLM_MODEL_<AGENT> override one agent,
+  // e.g. LLM_PROVIDER_CHORD_COMPOSER=local, LLM_MODEL_CHORD_COMPOSER=qwen2.5:14b
+  llm: {
+    defaultProvider: process.env.LLM_PROVIDER || 'openai',
+    providers: {
+      openai: {
+        driver: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
+        transcriptionModel: process.env.OPENAI_WHISPER_MODEL || 'whisper-1'
+      },
+      // Any OpenAI-compatible server: Ollama, llama.cpp, vLLM, LM Studio, LocalAI
+      local: {
+        driver: 'local',
+        baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+        model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+        transcriptionModel: process.env.LOCAL_WHISPER_MODEL || 'whisper-1',
+        jsonMode: process.env.LOCAL_LLM_JSON_MODE !== 'false'
+      },
+      // Replays recorded responses from fixtures/llm, so the pipeline runs offline and repeatably
+      mock: {
+        driver: 'mock',
+        fixturesDir: process.env.LLM_FIXTURES_DIR || path.join(__dirname, '../../fixtures/llm')
+      }
+    },
+    agents: {
+      transcriber: agentProvider('TRANSCRIBER'),
+      recordingAnalyst: agentProvider('RECORDING_ANALYST'),
+      musicAnalyst: agentProvider('MUSIC_ANALYST'),
+      chordComposer: agentProvider('CHORD_COMPOSER'),
+      genreSpecialist: agentProvider('GENRE_SPECIALIST'),
+      arrangementDirector: agentProvider('ARRANGEMENT_DIRECTOR')
+    },
+    // When set, real providers save each response here as a fixture the mock can replay
+    recordDir: process.env.LLM_RECORD_DIR || null,
+    // Times an agent is re-prompted with the validation errors before invalid fields fall back
+    maxReprompts: count(process.env.LLM_MAX_REPROMPTS, 2),
+    // Times an agent is sent the TheoryCritic's critique before its fixes are applied instead
+    maxCritiques: count(process.env.LLM_MAX_CRITIQUES, 1),
+    timeout: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 60000
   },
 
   // Langflow configuration
@@ -104,7 +161,23 @@ const config = {
     maxSize: 10 * 1024 * 1024, // 10MB
     sampleRate: 48000,
     bitDepth: 24,
-    channels: 2
+    channels: 2,
+    // Mixdown loudness target (LUFS, ITU-R BS.1770) and peak ceiling (dBFS)
+    targetLoudness: parseFloat(process.env.MIX_TARGET_LUFS) || -14,
+    peakCeiling: parseFloat(process.env.MIX_PEAK_CEILING) || -1,
+    // Incoming recordings are cleaned up and resampled to this rate before analysis
+    ingest: {
+      sampleRate: 16000,
+      silenceThreshold: parseFloat(process.env.INGEST_SILENCE_DBFS) || -45,
+      maxClippedRatio: parseFloat(process.env.INGEST_MAX_CLIPPED) || 0.01,
+      minDuration: 1
+    },
+    // Compressed copies written next to the WAVs (ffmpeg-static), plus a short preview cut
+    compressed: {
+      formats: (process.env.AUDIO_FORMATS || 'mp3,m4a,flac,ogg').split(',').map(format => format.trim()).filter(Boolean),
+      bitrate: parseInt(process.env.AUDIO_BITRATE, 10) || 192,
+      previewSeconds: parseInt(process.env.PREVIEW_SECONDS, 10) || 30
+    }
   },
 
   // File retention
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+
+// Recorded LLM responses on disk: <agent>.<key>.json answers one exact request (the key hashes
+// the messages or the audio), <agent>.json answers anything else for that agent
+class FixtureStore {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  static chatKey(messages) {
+    return hash(JSON.stringify(messages));
+  }
+
+  static audioKey(audio) {
+    return hash(audio);
+  }
+
+  // Returns { agent, model, request, response, file }
+  async load(agent, key) {
+    for (const file of [`${agent}.${key}.json`, `${agent}.json`]) {
+      try {
+        const fixture = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'));
+        return { ...fixture, file };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    const error = new Error(`No LLM fixture for ${agent} in ${this.dir}`);
+    error.name = 'FixtureNotFoundError';
+    throw error;
+  }
+
+  // JSON replies are stored parsed so fixtures stay readable and editable
+  async save(agent, key, { model, request, response }) {
+    let stored = response;
+    if (typeof response === 'string') {
+      try {
+        stored = JSON.parse(response);
+      } catch (error) {
+        stored = response;
+      }
+    }
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(
+        path.join(this.dir, `${agent}.${key}.json`),
+        JSON.stringify({ agent, model, request, response: stored }, null, 2)
+      );
+    } catch (error) {
+      logger.warn('LLM fixture not recorded:', { agent, error: error.message });
+    }
+  }
+}
+
+function hash(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 16);
+}
+
+module.exports = FixtureStore;
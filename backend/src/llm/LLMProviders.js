@@ -0,0 +1,145 @@
+const config = require('../config/environment');
+const OpenAIProvider = require('./OpenAIProvider');
+const LocalProvider = require('./LocalProvider');
+const MockProvider = require('./MockProvider');
+
+const DRIVERS = {
+  openai: OpenAIProvider,
+  local: LocalProvider,
+  mock: MockProvider
+};
+
+// One instance per configured provider, shared by every agent that uses it
+const instances = new Map();
+
+// Picks each agent's provider and model from config.llm and notes in the generation's trace
+// which model answered each call and what was sent and received, so a generation records
+// exactly what produced it
+class LLMProviders {
+  static get(name) {
+    if (!instances.has(name)) {
+      const settings = config.llm.providers[name];
+      const Driver = settings && DRIVERS[settings.driver];
+      if (!Driver) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+      }
+      instances.set(name, new Driver({
+        name,
+        ...settings,
+        recordDir: config.llm.recordDir,
+        timeout: config.llm.timeout
+      }));
+    }
+    return instances.get(name);
+  }
+
+  // { provider, model } for the agent; model is null when the provider's default applies
+  static forAgent(agent) {
+    const { provider = config.llm.defaultProvider, model = null } = config.llm.agents[agent] || {};
+    return { provider: this.get(provider), model };
+  }
+
+  // Parsed JSON reply from the agent's provider. trace.models[agent] becomes { provider, model },
+  // with fallback: true when the call failed and the caller falls back to its defaults.
+  // A reply that isn't JSON throws an InvalidJsonError carrying the raw content. Every call is
+  // appended to trace.transcript (see recordCall), whatever its outcome.
+  static async completeJson(agent, { messages, temperature }, trace = {}) {
+    const models = trace.models || (trace.models = {});
+    const call = this.recordCall(trace, agent, structuredClone(messages));
+    const started = Date.now();
+    let selection = null;
+    try {
+      selection = this.forAgent(agent);
+      const response = await selection.provider.complete({
+        agent,
+        messages,
+        json: true,
+        temperature,
+        model: selection.model
+      });
+      models[agent] = { provider: response.provider, model: response.model };
+      Object.assign(call, {
+        provider: response.provider,
+        model: response.model,
+        response: response.content,
+        usage: response.usage,
+        latencyMs: Date.now() - started
+      });
+      call.parsed = parseJson(response.content);
+      return call.parsed;
+    } catch (error) {
+      call.latencyMs = call.latencyMs ?? Date.now() - started;
+      call.error = error.message;
+      if (error.name === 'InvalidJsonError') throw error;
+      models[agent] = {
+        provider: selection?.provider.name || config.llm.agents[agent]?.provider || null,
+        model: selection?.model || selection?.provider.model || null,
+        fallback: true
+      };
+      Object.assign(call, { provider: models[agent].provider, model: models[agent].model, fallback: true });
+      throw error;
+    }
+  }
+
+  static async transcribe(agent, request, trace = {}) {
+    const models = trace.models || (trace.models = {});
+    const call = this.recordCall(trace, agent, {
+      filename: request.filename,
+      language: request.language,
+      bytes: request.audio?.length || 0
+    });
+    const started = Date.now();
+    try {
+      const { provider, model } = this.forAgent(agent);
+      const response = await provider.transcribe({ agent, model, ...request });
+      models[agent] = { provider: response.provider, model: response.model };
+      Object.assign(call, {
+        provider: response.provider,
+        model: response.model,
+        response: JSON.stringify(response.transcription),
+        parsed: response.transcription,
+        latencyMs: Date.now() - started
+      });
+      return response.transcription;
+    } catch (error) {
+      Object.assign(call, { error: error.message, latencyMs: Date.now() - started });
+      throw error;
+    }
+  }
+
+  // Appends an entry to trace.transcript and returns it for the caller to fill in:
+  // { agent, attempt, provider, model, prompt, response (raw), parsed, usage, latencyMs,
+  //   fallback, error, at }. attempt counts the agent's calls within the generation.
+  static recordCall(trace, agent, prompt) {
+    const transcript = trace.transcript || (trace.transcript = []);
+    const call = {
+      agent,
+      attempt: transcript.filter(entry => entry.agent === agent).length + 1,
+      provider: null,
+      model: null,
+      prompt,
+      response: null,
+      parsed: null,
+      usage: null,
+      latencyMs: null,
+      fallback: false,
+      error: null,
+      at: new Date().toISOString()
+    };
+    transcript.push(call);
+    return call;
+  }
+}
+
+function parseJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const invalid = new Error(`The reply is not valid JSON (${error.message})`);
+    invalid.name = 'InvalidJsonError';
+    invalid.content = content;
+    throw invalid;
+  }
+}
+
+module.exports = LLMProviders;
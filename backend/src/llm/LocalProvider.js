@@ -0,0 +1,20 @@
+const OpenAIProvider = require('./OpenAIProvider');
+
+// OpenAI-compatible local servers (Ollama, llama.cpp, vLLM, LM Studio, LocalAI). Smaller models
+// often wrap their JSON in prose or code fences, even in JSON mode, so JSON replies are cut
+// down to the outermost object before the agents parse them.
+class LocalProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({ ...options, name: options.name || 'local' });
+  }
+
+  normalizeContent(content, json) {
+    if (!json) return content;
+
+    const start = content.indexOf('{');
+    const end = content.lastIndexOf('}');
+    return start >= 0 && end > start ? content.slice(start, end + 1) : content;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,38 @@
+const FixtureStore = require('./FixtureStore');
+
+// Deterministic stand-in for the real providers: replays recorded fixtures (see LLM_RECORD_DIR),
+// matching the exact request first and falling back to the agent's default fixture. The model
+// it reports names the fixture that answered.
+class MockProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'mock';
+    this.model = 'fixture';
+    this.fixtures = new FixtureStore(options.fixturesDir);
+  }
+
+  async complete({ agent, messages }) {
+    const fixture = await this.fixtures.load(agent, FixtureStore.chatKey(messages));
+    return {
+      content: typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response),
+      model: `fixture:${fixture.file}`,
+      provider: this.name,
+      usage: null
+    };
+  }
+
+  async transcribe({ agent, audio }) {
+    const fixture = await this.fixtures.load(agent, FixtureStore.audioKey(audio));
+    return {
+      transcription: {
+        text: fixture.response.text,
+        duration: fixture.response.duration,
+        segments: fixture.response.segments || [],
+        words: fixture.response.words || []
+      },
+      model: `fixture:${fixture.file}`,
+      provider: this.name
+    };
+  }
+}
+
+module.exports = MockProvider;
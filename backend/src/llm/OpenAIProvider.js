@@ -0,0 +1,85 @@
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+const FixtureStore = require('./FixtureStore');
+
+// Chat completions and Whisper transcription through the OpenAI API
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.model = options.model;
+    this.transcriptionModel = options.transcriptionModel || 'whisper-1';
+    this.jsonMode = options.jsonMode !== false;
+    this.recorder = options.recordDir ? new FixtureStore(options.recordDir) : null;
+    this.client = new OpenAI({
+      apiKey: options.apiKey,
+      baseURL: options.baseURL,
+      timeout: options.timeout
+    });
+  }
+
+  // request: { agent, messages, json, temperature, model }
+  // Returns { content, model, provider, usage }
+  async complete({ agent, messages, json = false, temperature, model = null }) {
+    const response = await this.client.chat.completions.create({
+      model: model || this.model,
+      messages,
+      ...(json && this.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      temperature
+    });
+
+    const result = {
+      content: this.normalizeContent(response.choices[0].message.content || '', json),
+      model: response.model || model || this.model,
+      provider: this.name,
+      usage: response.usage || null
+    };
+
+    if (this.recorder) {
+      await this.recorder.save(agent, FixtureStore.chatKey(messages), {
+        model: result.model,
+        request: { messages, temperature },
+        response: result.content
+      });
+    }
+
+    return result;
+  }
+
+  // request: { agent, audio (WAV buffer), filename, language, model }
+  // Returns { transcription: { text, duration, segments, words }, model, provider }
+  async transcribe({ agent, audio, filename = 'recording.wav', language = 'en', model = null }) {
+    const transcriptionModel = model || this.transcriptionModel;
+    const response = await this.client.audio.transcriptions.create({
+      file: await toFile(audio, filename, { type: 'audio/wav' }),
+      model: transcriptionModel,
+      language,
+      response_format: 'verbose_json',
+      // Word timestamps let the lyrics be synced to the backing track
+      timestamp_granularities: ['word', 'segment'],
+      temperature: 0.0
+    });
+
+    const transcription = {
+      text: response.text,
+      duration: response.duration,
+      segments: response.segments || [],
+      words: response.words || []
+    };
+
+    if (this.recorder) {
+      await this.recorder.save(agent, FixtureStore.audioKey(audio), {
+        model: transcriptionModel,
+        request: { filename, language },
+        response: transcription
+      });
+    }
+
+    return { transcription, model: transcriptionModel, provider: this.name };
+  }
+
+  normalizeContent(content) {
+    return content;
+  }
+}
+
+module.exports = OpenAIProvider;
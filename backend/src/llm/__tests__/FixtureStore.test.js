@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FixtureStore = require('../FixtureStore');
+const MockProvider = require('../MockProvider');
+
+const messages = [
+  { role: 'system', content: 'Always respond with valid JSON only.' },
+  { role: 'user', content: 'Analyse this melody.' }
+];
+
+describe('FixtureStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+    store = new FixtureStore(dir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (file, fixture) => fs.writeFileSync(path.join(dir, file), JSON.stringify(fixture));
+
+  describe('keys', () => {
+    it('hashes the messages into a short, stable key', () => {
+      const key = FixtureStore.chatKey(messages);
+      expect(key).toMatch(/^[0-9a-f]{16}$/);
+      expect(FixtureStore.chatKey(structuredClone(messages))).toBe(key);
+    });
+
+    it('gives a different key when any message differs', () => {
+      const reprompt = [...messages, { role: 'user', content: 'Reply again.' }];
+      expect(FixtureStore.chatKey(reprompt)).not.toBe(FixtureStore.chatKey(messages));
+      expect(FixtureStore.chatKey([messages[1], messages[0]])).not.toBe(FixtureStore.chatKey(messages));
+    });
+
+    it('hashes audio by its bytes', () => {
+      expect(FixtureStore.audioKey(Buffer.from([1, 2, 3]))).toBe(FixtureStore.audioKey(Buffer.from([1, 2, 3])));
+      expect(FixtureStore.audioKey(Buffer.from([1, 2, 3]))).not.toBe(FixtureStore.audioKey(Buffer.from([1, 2, 4])));
+    });
+  });
+
+  describe('load', () => {
+    it('prefers the fixture recorded for the exact request', async () => {
+      const key = FixtureStore.chatKey(messages);
+      write('musicAnalyst.json', { agent: 'musicAnalyst', model: 'm', response: { tempo: 100 } });
+      write(`musicAnalyst.${key}.json`, { agent: 'musicAnalyst', model: 'm', response: { tempo: 120 } });
+
+      await expect(store.load('musicAnalyst', key)).resolves.toMatchObject({ response: { tempo: 120 }, file: `musicAnalyst.${key}.json` });
+      await expect(store.load('musicAnalyst', '0000000000000000')).resolves.toMatchObject({ response: { tempo: 100 }, file: 'musicAnalyst.json' });
+    });
+
+    it('throws a FixtureNotFoundError when the agent has no fixture', async () => {
+      write('chordComposer.json', { agent: 'chordComposer', model: 'm', response: {} });
+
+      await expect(store.load('musicAnalyst', FixtureStore.chatKey(messages))).rejects.toMatchObject({
+        name: 'FixtureNotFoundError',
+        message: `No LLM fixture for musicAnalyst in ${dir}`
+      });
+    });
+
+    it('does not hide unreadable fixtures', async () => {
+      fs.writeFileSync(path.join(dir, 'musicAnalyst.json'), '{ not json');
+      await expect(store.load('musicAnalyst', 'key')).rejects.toThrow(SyntaxError);
+    });
+  });
+
+  describe('save', () => {
+    it('stores JSON replies parsed, under the request key', async () => {
+      const key = FixtureStore.chatKey(messages);
+      await store.save('musicAnalyst', key, { model: 'gpt-test', request: { messages }, response: '{"tempo":120}' });
+
+      expect(JSON.parse(fs.readFileSync(path.join(dir, `musicAnalyst.${key}.json`), 'utf8'))).toEqual({
+        agent: 'musicAnalyst',
+        model: 'gpt-test',
+        request: { messages },
+        response: { tempo: 120 }
+      });
+    });
+
+    it('replays what it recorded through the mock provider', async () => {
+      const key = FixtureStore.chatKey(messages);
+      await store.save('musicAnalyst', key, { model: 'gpt-test', request: { messages }, response: 'not JSON' });
+
+      const reply = await new MockProvider({ fixturesDir: dir }).complete({ agent: 'musicAnalyst', messages });
+      expect(reply).toEqual({ content: 'not JSON', model: `fixture:musicAnalyst.${key}.json`, provider: 'mock', usage: null });
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ENV = { ...process.env };
+let fixturesDir;
+
+// config and the provider instances are read once per module load, so each test loads its own
+function loadProviders(env = {}) {
+  for (const name of Object.keys(process.env)) {
+    if (name.startsWith('LLM_')) delete process.env[name];
+  }
+  Object.assign(process.env, { LLM_PROVIDER: 'mock', LLM_FIXTURES_DIR: fixturesDir }, env);
+  jest.resetModules();
+  return {
+    LLMProviders: require('../LLMProviders'),
+    MockProvider: require('../MockProvider'),
+    LocalProvider: require('../LocalProvider'),
+    FixtureStore: require('../FixtureStore')
+  };
+}
+
+const writeFixture = (file, fixture) => fs.writeFileSync(path.join(fixturesDir, file), JSON.stringify(fixture));
+const messages = [{ role: 'user', content: 'Pick a key.' }];
+
+beforeEach(() => {
+  fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-providers-'));
+});
+
+afterEach(() => {
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+  process.env = { ...ENV };
+});
+
+describe('LLMProviders provider selection', () => {
+  it('uses LLM_PROVIDER for every agent by default', () => {
+    const { LLMProviders, MockProvider } = loadProviders();
+    const { provider, model } = LLMProviders.forAgent('musicAnalyst');
+
+    expect(provider).toBeInstanceOf(MockProvider);
+    expect(model).toBeNull();
+  });
+
+  it('lets each agent override the provider and model', () => {
+    const { LLMProviders, LocalProvider, MockProvider } = loadProviders({
+      LLM_PROVIDER_CHORD_COMPOSER: 'local',
+      LLM_MODEL_CHORD_COMPOSER: 'qwen2.5'
+    });
+
+    const chords = LLMProviders.forAgent('chordComposer');
+    expect(chords.provider).toBeInstanceOf(LocalProvider);
+    expect(chords.provider.name).toBe('local');
+    expect(chords.model).toBe('qwen2.5');
+    expect(LLMProviders.forAgent('genreSpecialist').provider).toBeInstanceOf(MockProvider);
+  });
+
+  it('shares one instance per provider', () => {
+    const { LLMProviders } = loadProviders();
+    expect(LLMProviders.forAgent('musicAnalyst').provider).toBe(LLMProviders.forAgent('chordComposer').provider);
+  });
+
+  it('rejects a provider that is not configured', () => {
+    const { LLMProviders } = loadProviders({ LLM_PROVIDER_MUSIC_ANALYST: 'nope' });
+    expect(() => LLMProviders.forAgent('musicAnalyst')).toThrow('Unknown LLM provider: nope');
+  });
+});
+
+describe('LLMProviders.completeJson', () => {
+  it('returns the parsed reply and records the call', async () => {
+    const { LLMProviders, FixtureStore } = loadProviders();
+    const key = FixtureStore.chatKey(messages);
+    writeFixture(`musicAnalyst.${key}.json`, { agent: 'musicAnalyst', model: 'gpt-test', response: { key: 'Am' } });
+    const trace = {};
+
+    await expect(LLMProviders.completeJson('musicAnalyst', { messages, temperature: 0.2 }, trace)).resolves.toEqual({ key: 'Am' });
+    expect(trace.models).toEqual({ musicAnalyst: { provider: 'mock', model: `fixture:musicAnalyst.${key}.json` } });
+    expect(trace.transcript).toEqual([{
+      agent: 'musicAnalyst',
+      attempt: 1,
+      provider: 'mock',
+      model: `fixture:musicAnalyst.${key}.json`,
+      prompt: messages,
+      response: '{"key":"Am"}',
+      parsed: { key: 'Am' },
+      usage: null,
+      latencyMs: expect.any(Number),
+      fallback: false,
+      error: null,
+      at: expect.any(String)
+    }]);
+  });
+
+  it('marks a replay miss as a fallback', async () => {
+    const { LLMProviders } = loadProviders();
+    const trace = {};
+
+    await expect(LLMProviders.completeJson('musicAnalyst', { messages }, trace)).rejects.toMatchObject({ name: 'FixtureNotFoundError' });
+    expect(trace.models.musicAnalyst).toEqual({ provider: 'mock', model: 'fixture', fallback: true });
+    expect(trace.transcript[0]).toMatchObject({
+      provider: 'mock',
+      model: 'fixture',
+      response: null,
+      fallback: true,
+      error: `No LLM fixture for musicAnalyst in ${fixturesDir}`,
+      latencyMs: expect.any(Number)
+    });
+  });
+
+  it('marks an unknown provider as a fallback', async () => {
+    const { LLMProviders } = loadProviders({ LLM_PROVIDER_MUSIC_ANALYST: 'nope' });
+    const trace = {};
+
+    await expect(LLMProviders.completeJson('musicAnalyst', { messages }, trace)).rejects.toThrow('Unknown LLM provider: nope');
+    expect(trace.models.musicAnalyst).toEqual({ provider: 'nope', model: null, fallback: true });
+    expect(trace.transcript[0]).toMatchObject({ provider: 'nope', fallback: true, error: 'Unknown LLM provider: nope' });
+  });
+
+  it('throws an InvalidJsonError with the raw reply, without falling back', async () => {
+    const { LLMProviders } = loadProviders();
+    writeFixture('musicAnalyst.json', { agent: 'musicAnalyst', model: 'gpt-test', response: 'The key is A minor.' });
+    const trace = {};
+
+    await expect(LLMProviders.completeJson('musicAnalyst', { messages }, trace)).rejects.toMatchObject({
+      name: 'InvalidJsonError',
+      content: 'The key is A minor.'
+    });
+    expect(trace.models.musicAnalyst).toEqual({ provider: 'mock', model: 'fixture:musicAnalyst.json' });
+    expect(trace.transcript[0]).toMatchObject({
+      response: 'The key is A minor.',
+      parsed: null,
+      fallback: false,
+      error: expect.stringMatching(/^The reply is not valid JSON/)
+    });
+  });
+});
+
+describe('LLMProviders.transcribe', () => {
+  it('replays the transcription recorded for the audio', async () => {
+    const { LLMProviders, FixtureStore } = loadProviders();
+    const audio = Buffer.from('RIFF....WAVE');
+    const transcription = { text: 'la la la', duration: 3.2, segments: [], words: [] };
+    writeFixture(`transcriber.${FixtureStore.audioKey(audio)}.json`, { agent: 'transcriber', model: 'whisper-1', response: transcription });
+    const trace = {};
+
+    await expect(LLMProviders.transcribe('transcriber', { audio, filename: 'take.wav', language: 'en' }, trace)).resolves.toEqual(transcription);
+    expect(trace.transcript[0]).toMatchObject({
+      agent: 'transcriber',
+      prompt: { filename: 'take.wav', language: 'en', bytes: audio.length },
+      parsed: transcription,
+      fallback: false
+    });
+  });
+
+  it('records a failed transcription without marking it a fallback', async () => {
+    const { LLMProviders } = loadProviders();
+    const trace = {};
+
+    await expect(LLMProviders.transcribe('transcriber', { audio: Buffer.from('x') }, trace)).rejects.toMatchObject({ name: 'FixtureNotFoundError' });
+    expect(trace.transcript[0]).toMatchObject({ fallback: false, error: expect.stringMatching(/^No LLM fixture for transcriber/) });
+    expect(trace.models).toEqual({});
+  });
+});
+
+describe('LLMProviders.recordCall', () => {
+  it('numbers attempts per agent', () => {
+    const { LLMProviders } = loadProviders();
+    const trace = {};
+
+    LLMProviders.recordCall(trace, 'musicAnalyst', messages);
+    LLMProviders.recordCall(trace, 'chordComposer', messages);
+    const third = LLMProviders.recordCall(trace, 'musicAnalyst', messages);
+
+    expect(trace.transcript.map(call => [call.agent, call.attempt])).toEqual([
+      ['musicAnalyst', 1],
+      ['chordComposer', 1],
+      ['musicAnalyst', 2]
+    ]);
+    expect(third).toBe(trace.transcript[2]);
+    expect(third).toMatchObject({ provider: null, model: null, response: null, parsed: null, fallback: false, error: null });
+  });
+});
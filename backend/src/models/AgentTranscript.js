@@ -0,0 +1,60 @@
+const logger = require('../utils/logger');
+
+// Every model call behind a generated track (trace.transcript, see LLMProviders.recordCall),
+// so the dashboard can show how a track was made
+class AgentTranscript {
+  // Saves the calls of one generation in the order they were made
+  static async saveAll(trackId, calls = []) {
+    const db = require('../utils/database').getInstance();
+
+    try {
+      // One transaction, so a failed insert cannot leave a partial transcript behind
+      await db.transaction(calls.map((call, index) => ({
+        text: `
+          INSERT INTO agent_transcripts (
+            track_id, sequence, agent, attempt, provider, model, prompt, raw_response,
+            parsed_output, latency_ms, usage, fallback, error, created_at
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        `,
+        params: [
+          trackId,
+          index + 1,
+          call.agent,
+          call.attempt,
+          call.provider,
+          call.model,
+          call.prompt ? JSON.stringify(call.prompt) : null,
+          call.response,
+          call.parsed ? JSON.stringify(call.parsed) : null,
+          call.latencyMs,
+          call.usage ? JSON.stringify(call.usage) : null,
+          call.fallback || false,
+          call.error,
+          call.at || new Date()
+        ]
+      })));
+
+      logger.info('Agent transcript saved:', { trackId, calls: calls.length });
+    } catch (error) {
+      logger.error('Agent transcript save failed:', error);
+      throw error;
+    }
+  }
+
+  static async findByTrack(trackId) {
+    const db = require('../utils/database').getInstance();
+
+    const result = await db.query(`
+      SELECT sequence, agent, attempt, provider, model, prompt, raw_response, parsed_output,
+             latency_ms, usage, fallback, error, created_at
+      FROM agent_transcripts
+      WHERE track_id = $1
+      ORDER BY sequence
+    `, [trackId]);
+
+    return result.rows;
+  }
+}
+
+module.exports = AgentTranscript;
@@ -17,6 +17,9 @@ class Session {
     this.processing_completed_at = data.processing_completed_at || null;
     this.audio_duration = data.audio_duration || null;
     this.audio_size = data.audio_size || null;
+    this.pitch_contour = data.pitch_contour || null;
+    this.tempo_confidence = data.tempo_confidence || null;
+    this.beat_grid = data.beat_grid || null;
     this.created_at = data.created_at || null;
     this.updated_at = data.updated_at || null;
     this.generated_tracks = data.generated_tracks || [];
@@ -83,11 +86,13 @@ class Session {
                   'version', gt.version,
                   'backing_track_url', gt.backing_track_url,
                   'midi_url', gt.midi_url,
+                  'musicxml_url', gt.musicxml_url,
                   'stems_folder_url', gt.stems_folder_url,
                   'lyrics_url', gt.lyrics_url,
                   'download_package_url', gt.download_package_url,
                   'generation_params', gt.generation_params,
                   'total_size', gt.total_size,
+                  'file_sizes', gt.file_sizes,
                   'download_count', gt.download_count,
                   'created_at', gt.created_at,
                   'expires_at', gt.expires_at
@@ -177,10 +182,12 @@ class Session {
                   'version', gt.version,
                   'backing_track_url', gt.backing_track_url,
                   'midi_url', gt.midi_url,
+                  'musicxml_url', gt.musicxml_url,
                   'stems_folder_url', gt.stems_folder_url,
                   'lyrics_url', gt.lyrics_url,
                   'download_package_url', gt.download_package_url,
                   'total_size', gt.total_size,
+                  'file_sizes', gt.file_sizes,
                   'download_count', gt.download_count,
                   'created_at', gt.created_at
                 )
@@ -273,10 +273,12 @@ class User {
                   'version', gt.version,
                   'backing_track_url', gt.backing_track_url,
                   'midi_url', gt.midi_url,
+                  'musicxml_url', gt.musicxml_url,
                   'stems_folder_url', gt.stems_folder_url,
                   'lyrics_url', gt.lyrics_url,
                   'download_package_url', gt.download_package_url,
                   'total_size', gt.total_size,
+                  'file_sizes', gt.file_sizes,
                   'download_count', gt.download_count,
                   'created_at', gt.created_at
                 )
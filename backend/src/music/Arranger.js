@@ -0,0 +1,186 @@
+// Bars per section when the ArrangementDirector doesn't say
+const DEFAULT_SECTION_BARS = {
+  intro: 4,
+  verse: 8,
+  'pre-chorus': 4,
+  chorus: 8,
+  bridge: 8,
+  breakdown: 4,
+  solo: 8,
+  outro: 4
+};
+
+const DEFAULT_STRUCTURE = ['intro', 'verse', 'chorus', 'outro'];
+
+// Names the agents use for the same kind of section
+const SECTION_ALIASES = {
+  prechorus: 'pre-chorus',
+  'pre chorus': 'pre-chorus',
+  build: 'pre-chorus',
+  buildup: 'pre-chorus',
+  hook: 'chorus',
+  refrain: 'chorus',
+  instrumental: 'solo',
+  interlude: 'breakdown',
+  break: 'breakdown',
+  drop: 'chorus',
+  ending: 'outro',
+  coda: 'outro'
+};
+
+const ROLES = ['drums', 'bass', 'chords', 'melody'];
+
+// Who plays in each kind of section unless the plan says otherwise
+const DEFAULT_INSTRUMENTS = {
+  intro: ['chords', 'drums'],
+  verse: ROLES,
+  'pre-chorus': ROLES,
+  chorus: ROLES,
+  bridge: ROLES,
+  breakdown: ['chords', 'melody'],
+  solo: ['drums', 'bass', 'chords'],
+  outro: ['drums', 'bass', 'chords']
+};
+
+// Words in the section descriptions that refer to each stem
+const ROLE_KEYWORDS = {
+  drums: ['drum', 'beat', 'percussion', 'kit', 'groove'],
+  bass: ['bass'],
+  chords: ['piano', 'keys', 'chord', 'guitar', 'pad', 'organ', 'rhodes', 'strings'],
+  melody: ['melody', 'vocal', 'voice', 'lead', 'sing', 'topline']
+};
+
+// Chord progression field used for each section type; anything else uses primaryProgression
+const SECTION_PROGRESSIONS = {
+  verse: 'verseProgression',
+  'pre-chorus': 'verseProgression',
+  chorus: 'chorusProgression',
+  bridge: 'bridgeProgression'
+};
+
+// Turns the ArrangementDirector's plan into a bar-level song layout
+class Arranger {
+  constructor(options = {}) {
+    this.beatsPerBar = options.beatsPerBar || 4;
+  }
+
+  // The agent nests its plan as arrangement.arrangement; the fallback data doesn't
+  static getPlan(musicData) {
+    const arrangement = musicData.arrangement || {};
+    return arrangement.arrangement || arrangement;
+  }
+
+  // Returns [{ name, type, index, startBar, bars, instruments, progression }] in song order
+  layoutSections(musicData) {
+    const plan = Arranger.getPlan(musicData);
+    const structure = this.parseStructure(plan.structure);
+    const descriptions = plan.sections || {};
+    const totals = {};
+    for (const label of structure) {
+      const type = Arranger.sectionType(label);
+      totals[type] = (totals[type] || 0) + 1;
+    }
+
+    const counts = {};
+    let startBar = 0;
+    return structure.map(label => {
+      const type = Arranger.sectionType(label);
+      counts[type] = (counts[type] || 0) + 1;
+      const description = this.describe(type, label, descriptions);
+      const bars = this.sectionBars(type, description);
+      const section = {
+        name: totals[type] > 1 ? `${type} ${counts[type]}` : type,
+        type,
+        index: counts[type] - 1,
+        startBar,
+        bars,
+        instruments: this.sectionInstruments(type, description),
+        progression: this.sectionProgression(type, musicData.chords)
+      };
+      startBar += bars;
+      return section;
+    });
+  }
+
+  parseStructure(structure) {
+    if (Array.isArray(structure) && structure.length > 0) {
+      return structure.map(label => String(label));
+    }
+    if (typeof structure === 'string' && structure.trim()) {
+      // "intro, verse, chorus" or "verse-chorus-verse" (keeping "pre-chorus" whole)
+      return structure
+        .replace(/pre-chorus/gi, 'prechorus')
+        .split(/[-,>|/]+/)
+        .map(label => label.trim())
+        .filter(Boolean);
+    }
+    return DEFAULT_STRUCTURE;
+  }
+
+  // "verse 2", "Chorus", "pre chorus" -> verse, chorus, pre-chorus
+  static sectionType(label) {
+    const text = String(label).toLowerCase().replace(/[0-9]+/g, '').replace(/[_]+/g, ' ').trim();
+    if (DEFAULT_SECTION_BARS[text]) return text;
+    if (SECTION_ALIASES[text]) return SECTION_ALIASES[text];
+    const known = Object.keys(DEFAULT_SECTION_BARS).find(type => text.includes(type));
+    return known || 'verse';
+  }
+
+  // Descriptions like "8 bars, bass and drums enter", keyed by label or section type
+  describe(type, label, descriptions) {
+    const description = descriptions[label] ?? descriptions[type] ?? descriptions[label.toLowerCase()];
+    if (typeof description === 'string') return description;
+    if (description && typeof description === 'object') {
+      // { bars: 8, instruments: ['bass', 'drums'] } style entries
+      const parts = [];
+      if (description.bars) parts.push(`${description.bars} bars`);
+      if (Array.isArray(description.instruments)) parts.push(`${description.instruments.join(' and ')} only`);
+      if (typeof description.description === 'string') parts.push(description.description);
+      return parts.join(', ');
+    }
+    return '';
+  }
+
+  sectionBars(type, description) {
+    const match = /(\d+)\s*(?:bars?|measures?)/i.exec(description);
+    const bars = match ? Number(match[1]) : DEFAULT_SECTION_BARS[type];
+    return Math.max(1, Math.min(32, bars));
+  }
+
+  // Start from the section's usual line-up and apply what the description says, clause by
+  // clause: "piano only", "bass and drums enter", "drums drop out", "full arrangement"
+  sectionInstruments(type, description) {
+    let instruments = new Set(DEFAULT_INSTRUMENTS[type] || ROLES);
+
+    for (const clause of description.toLowerCase().split(/[,;.]+/)) {
+      const mentioned = ROLES.filter(role => ROLE_KEYWORDS[role].some(word => clause.includes(word)));
+
+      if (/\b(full|everyone|everything|tutti|whole band|all instruments)\b/.test(clause)) {
+        instruments = new Set(ROLES);
+      } else if (mentioned.length === 0) {
+        if (/\bstripped\b/.test(clause)) instruments = new Set(['chords', 'melody']);
+      } else if (/\b(only|just|alone|solo)\b/.test(clause)) {
+        instruments = new Set(mentioned);
+      } else if (/\b(no|without|drops?|dropped|out|exits?|stops?|mute[sd]?|tacet)\b/.test(clause)) {
+        mentioned.forEach(role => instruments.delete(role));
+      } else {
+        mentioned.forEach(role => instruments.add(role));
+      }
+    }
+
+    return ROLES.filter(role => instruments.has(role));
+  }
+
+  sectionProgression(type, chords = {}) {
+    const field = SECTION_PROGRESSIONS[type];
+    const progression = (field && chords[field]) || chords.primaryProgression;
+    return Array.isArray(progression) && progression.length > 0 ? progression : ['C', 'Am', 'F', 'G'];
+  }
+
+  // Where the hummed melody goes: the first section the melody plays in
+  static firstVocalSection(sections) {
+    return sections.find(section => section.instruments.includes('melody')) || sections[0];
+  }
+}
+
+module.exports = Arranger;
@@ -0,0 +1,259 @@
+const DrumPatterns = require('./DrumPatterns');
+
+// Bass style for each drum groove, so the bass and drums agree about the genre
+const STYLE_FOR_GROOVE = {
+  pop: 'rootFifth',
+  rock: 'rootFifth',
+  ballad: 'rootFifth',
+  folk: 'rootFifth',
+  house: 'rootFifth',
+  reggae: 'rootFifth',
+  bossa: 'rootFifth',
+  jazz: 'walking',
+  shuffle: 'walking',
+  funk: 'funk',
+  hipHop: '808',
+  trap: '808'
+};
+
+// General MIDI program used when the agents don't name a bass sound
+const STYLE_PROGRAMS = {
+  rootFifth: 33, // electric bass (finger)
+  walking: 32, // acoustic bass
+  funk: 36, // slap bass
+  808: 38 // synth bass, rendered with glide
+};
+
+// Extra sixteenth-note hits between the kicks: step -> [tone, velocity, sixteenths held]
+const FUNK_STEPS = {
+  3: ['root', 45, 0.5],
+  6: ['octave', 104, 0.75],
+  10: ['fifth', 90, 1],
+  11: ['root', 45, 0.5],
+  14: ['seventh', 96, 1]
+};
+
+const LOW = 28; // E1, the open low string
+const HIGH = 55; // G3
+
+// Bass lines that follow the chord timeline and lock to the kick drum
+class BassLineGenerator {
+  constructor(options = {}) {
+    this.ticksPerQuarter = options.ticksPerQuarter || 480;
+    this.beatsPerBar = options.beatsPerBar || 4;
+  }
+
+  static styleForGenre(genre) {
+    return STYLE_FOR_GROOVE[DrumPatterns.styleForGenre(genre)] || 'rootFifth';
+  }
+
+  static programForStyle(style) {
+    return STYLE_PROGRAMS[style] ?? STYLE_PROGRAMS.rootFifth;
+  }
+
+  // chords: [{ chord (ChordSymbol.parse result), time, duration }] in ticks
+  // kicks: tick times of the kick drum hits
+  generate(chords, { style = 'rootFifth', kicks = [] } = {}) {
+    const kickTimes = this.dedupe([...kicks].sort((a, b) => a - b));
+
+    switch (style) {
+      case 'walking':
+        return this.walking(chords);
+      case 'funk':
+        return this.funk(chords, kickTimes);
+      case '808':
+        return this.slides808(chords, kickTimes);
+      default:
+        return this.rootFifth(chords, kickTimes);
+    }
+  }
+
+  // Root on the chord change and on each kick, moving to the fifth in the second half
+  rootFifth(chords, kicks) {
+    const notes = [];
+    for (const span of chords) {
+      const root = this.bassPitch(span.chord);
+      const fifth = this.chordTone(span.chord, 'fifth', root);
+      const hits = this.hitsInSpan(span, kicks, [0, span.duration / 2]);
+      const half = span.time + span.duration / 2 - this.ticksPerQuarter / 8;
+      let movedToFifth = false;
+
+      hits.forEach((time, index) => {
+        let note = root;
+        if (time >= half && !movedToFifth) {
+          note = fifth;
+          movedToFifth = true;
+        }
+        const next = hits[index + 1] ?? span.time + span.duration;
+        notes.push(this.note(note, index === 0 ? 100 : 88, time, (next - time) * 0.9));
+      });
+    }
+    return notes;
+  }
+
+  // Quarter notes through the chord tones with a chromatic approach into the next chord
+  walking(chords) {
+    const notes = [];
+    const beat = this.ticksPerQuarter;
+    let previous = null;
+
+    chords.forEach((span, spanIndex) => {
+      const beats = Math.max(1, Math.round(span.duration / beat));
+      const root = previous === null ? this.bassPitch(span.chord) : this.nearest(this.bassPitchClass(span.chord), previous);
+      const nextSpan = chords[spanIndex + 1];
+      const target = nextSpan ? this.nearest(this.bassPitchClass(nextSpan.chord), root) : root;
+      const tones = this.chordPitchClasses(span.chord);
+
+      for (let b = 0; b < beats; b++) {
+        let note;
+        if (b === 0) {
+          note = root;
+        } else if (b === beats - 1 && nextSpan) {
+          // Half step into the next root, from the side we're already on
+          note = target + (previous > target ? 1 : -1);
+        } else {
+          // Aim at a point between this root and the next, on a chord tone
+          const aim = root + ((target - root) * b) / beats + (b % 2 === 1 ? 4 : 0);
+          note = this.closestTone(tones, aim, previous);
+        }
+        note = this.clamp(note);
+        notes.push(this.note(note, b % 2 === 0 ? 92 : 80, span.time + b * beat, beat * 0.92));
+        previous = note;
+      }
+    });
+    return notes;
+  }
+
+  // Short root notes on the kicks, with octave pops and ghost notes between them
+  funk(chords, kicks) {
+    const notes = [];
+    const step = this.ticksPerQuarter / 4;
+
+    for (const span of chords) {
+      const root = this.bassPitch(span.chord);
+      const hits = this.hitsInSpan(span, kicks, [0]);
+      const taken = new Set(hits.map(time => Math.round((time - span.time) / step)));
+
+      for (const time of hits) {
+        notes.push(this.note(root, 108, time, step * 1.5));
+      }
+
+      const bars = Math.max(1, Math.round(span.duration / (step * 16)));
+      for (let bar = 0; bar < bars; bar++) {
+        for (const [stepText, [tone, velocity, length]] of Object.entries(FUNK_STEPS)) {
+          const stepIndex = bar * 16 + Number(stepText);
+          if (taken.has(stepIndex) || taken.has(stepIndex - 1)) continue;
+          const note = tone === 'root' ? root : this.chordTone(span.chord, tone, root);
+          notes.push(this.note(note, velocity, span.time + stepIndex * step, step * length));
+        }
+      }
+    }
+    return notes.sort((a, b) => a.time - b.time);
+  }
+
+  // Sustained sub notes on the kicks that glide into the next chord, jumping up an octave
+  // on the second hit when the chord has room to come back down
+  slides808(chords, kicks) {
+    const notes = [];
+    for (const span of chords) {
+      const root = this.clamp(this.bassPitch(span.chord), LOW, LOW + 11);
+      const hits = this.hitsInSpan(span, kicks, [0]);
+      hits.forEach((time, index) => {
+        const jump = index === 1 && hits.length >= 3;
+        notes.push(this.note(jump ? root + 12 : root, 110, time, 0));
+      });
+    }
+
+    const slide = this.ticksPerQuarter / 4;
+    notes.forEach((note, index) => {
+      const next = notes[index + 1];
+      const end = next ? next.time : note.time + this.ticksPerQuarter * this.beatsPerBar;
+      note.duration = Math.max(1, end - note.time);
+      if (next && next.note !== note.note && Math.abs(next.note - note.note) <= 12) {
+        note.slideTo = next.note;
+        note.slideDuration = Math.min(slide, note.duration / 2);
+      }
+    });
+    return notes;
+  }
+
+  // Kick hits inside a chord, always including the chord change itself. `fallback` offsets
+  // are used when the groove has no kicks there.
+  hitsInSpan(span, kicks, fallback) {
+    const end = span.time + span.duration;
+    const tolerance = this.ticksPerQuarter / 8;
+    const hits = kicks.filter(time => time >= span.time - tolerance && time < end - tolerance);
+    const times = hits.length > 0 ? hits : fallback.map(offset => span.time + offset);
+
+    // The bass lands exactly on the change; a humanized kick near it is the same hit
+    const rest = times.filter(time => Math.abs(time - span.time) > tolerance);
+    return [span.time, ...rest];
+  }
+
+  dedupe(times) {
+    const minGap = this.ticksPerQuarter / 8;
+    return times.filter((time, index) => index === 0 || time - times[index - 1] >= minGap);
+  }
+
+  bassPitchClass(chord) {
+    return chord.bassPitchClass ?? chord.rootPitchClass;
+  }
+
+  // Slash bass or root, in the lowest octave
+  bassPitch(chord) {
+    return LOW + ((this.bassPitchClass(chord) - LOW) % 12 + 12) % 12;
+  }
+
+  chordPitchClasses(chord) {
+    return chord.intervals.map(interval => (chord.rootPitchClass + interval) % 12);
+  }
+
+  // A named chord tone above `root`, falling back to the root's octave when the chord lacks it
+  chordTone(chord, tone, root) {
+    const candidates = {
+      fifth: [7, 6, 8],
+      seventh: [10, 11, 9],
+      octave: [12]
+    }[tone] || [0];
+    const interval = candidates.find(value => value === 12 || chord.intervals.includes(value));
+    if (interval === undefined) return root + (tone === 'fifth' ? 0 : 12);
+    // The interval is above the chord root; `root` may be a slash bass note
+    const pitchClass = (chord.rootPitchClass + interval) % 12;
+    const offset = interval === 12 ? 12 : (pitchClass - this.bassPitchClass(chord) + 12) % 12 || 12;
+    return root + offset;
+  }
+
+  // Chord tone nearest `aim`, avoiding a repeat of the previous note
+  closestTone(pitchClasses, aim, previous) {
+    let best = null;
+    for (let note = LOW; note <= HIGH; note++) {
+      if (!pitchClasses.includes(note % 12) || note === previous) continue;
+      if (best === null || Math.abs(note - aim) < Math.abs(best - aim)) best = note;
+    }
+    return best ?? Math.round(aim);
+  }
+
+  // The octave of `pitchClass` closest to `reference`, inside the bass range
+  nearest(pitchClass, reference) {
+    let note = reference - ((reference - pitchClass) % 12 + 12) % 12;
+    if (reference - note > 6) note += 12;
+    return this.clamp(note);
+  }
+
+  clamp(note, low = LOW, high = HIGH) {
+    while (note < low) note += 12;
+    while (note > high) note -= 12;
+    return note;
+  }
+
+  note(note, velocity, time, duration) {
+    return {
+      note,
+      velocity,
+      time: Math.round(time),
+      duration: Math.max(1, Math.round(duration))
+    };
+  }
+}
+
+module.exports = BassLineGenerator;
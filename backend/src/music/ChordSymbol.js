@@ -0,0 +1,213 @@
+const MusicTheory = require('./MusicTheory');
+
+// Semitone offsets of the chord degrees used below
+const DEGREES = { 9: 14, 11: 17, 13: 21 };
+const ALTERATIONS = { b5: 6, '#5': 8, b9: 13, '#9': 15, '#11': 18, b13: 20 };
+
+// Lead-sheet chord symbol parser: "C", "Am7", "Fmaj7", "Bb/D", "G7sus4", "C7(b9,#11)",
+// "F#m7b5", "Ebdim7", "Dm(maj7)", "A6/9", "E7alt", "G5"
+class ChordSymbol {
+  // Returns { symbol, root, rootPitchClass, bass, bassPitchClass, quality, intervals }
+  // or null when the symbol can't be read
+  static parse(symbol) {
+    if (typeof symbol !== 'string') return null;
+
+    const text = symbol.trim().replace(/♭/g, 'b').replace(/♯/g, '#').replace(/\s+/g, '');
+    const match = /^([A-G])(bb|##|b|#)?(.*)$/.exec(text);
+    if (!match) return null;
+
+    const root = match[1] + (match[2] || '');
+    let descriptor = match[3];
+    let bass = null;
+
+    // "/D" is a slash bass, but "6/9" is part of the chord
+    const slash = /\/([A-G](?:bb|##|b|#)?)$/.exec(descriptor);
+    if (slash) {
+      bass = slash[1];
+      descriptor = descriptor.slice(0, slash.index);
+    }
+
+    const parsed = this.parseDescriptor(descriptor);
+    if (!parsed) return null;
+
+    return {
+      symbol: text,
+      root,
+      rootPitchClass: MusicTheory.pitchClass(root),
+      bass,
+      bassPitchClass: bass ? MusicTheory.pitchClass(bass) : null,
+      quality: parsed.quality,
+      intervals: parsed.intervals
+    };
+  }
+
+  // Pitch classes sounded by the chord, bass note first when there is one
+  static pitchClasses(chord) {
+    const classes = chord.intervals.map(interval => (chord.rootPitchClass + interval) % 12);
+    if (chord.bassPitchClass !== null && !classes.includes(chord.bassPitchClass)) {
+      classes.unshift(chord.bassPitchClass);
+    }
+    return classes;
+  }
+
+  // Everything after the root and before a slash bass: 'Bbmaj7/D' -> 'maj7'
+  static suffix(chord) {
+    return chord.symbol.trim().slice(chord.root.length).replace(/\/[A-G](?:bb|##|b|#|♭|♯)?$/, '');
+  }
+
+  // Same chord moved by `semitones`, respelled with sharps or flats
+  static transpose(chord, semitones, { preferFlats = false } = {}) {
+    const move = (pitchClass) => (((pitchClass + semitones) % 12) + 12) % 12;
+    const rootPitchClass = move(chord.rootPitchClass);
+    const bassPitchClass = chord.bassPitchClass === null ? null : move(chord.bassPitchClass);
+    const root = MusicTheory.noteName(rootPitchClass, { preferFlats });
+    const bass = bassPitchClass === null ? null : MusicTheory.noteName(bassPitchClass, { preferFlats });
+
+    return {
+      ...chord,
+      symbol: root + this.suffix(chord) + (bass ? `/${bass}` : ''),
+      root,
+      rootPitchClass,
+      bass,
+      bassPitchClass
+    };
+  }
+
+  static parseDescriptor(descriptor) {
+    let rest = descriptor;
+    let third = 4;
+    let fifth = 7;
+    let seventh = null;
+    let quality = 'major';
+    const extensions = new Set();
+    const take = (pattern) => {
+      const found = pattern.exec(rest);
+      if (!found) return null;
+      rest = rest.slice(found[0].length);
+      return found;
+    };
+
+    // Quality prefix; minor-major before minor, major-seventh spellings before the bare "m"
+    if (take(/^(mMaj|m\(maj|mmaj|minmaj|min\(maj|-maj|-Δ|mΔ|m\(Δ)/)) {
+      third = 3;
+      seventh = 11;
+      quality = 'minor-major';
+      take(/^7\)?/);
+      const number = take(/^(9|11|13)\)?/);
+      if (number) this.addExtensions(extensions, Number(number[1]), true);
+    } else if (take(/^(maj|Maj|MAJ|Δ|\^)/)) {
+      const number = take(/^(7|9|11|13)/);
+      // "Cmaj" alone is just a major triad; "CΔ" means maj7
+      if (number || /^[Δ^]/.test(descriptor)) {
+        seventh = 11;
+        quality = 'major-seventh';
+        if (number) this.addExtensions(extensions, Number(number[1]), false);
+      }
+    } else if (take(/^(ø|Ø)/)) {
+      third = 3;
+      fifth = 6;
+      seventh = 10;
+      quality = 'half-diminished';
+      take(/^7/);
+    } else if (take(/^(dim|°|o(?!mit))/)) {
+      third = 3;
+      fifth = 6;
+      quality = 'diminished';
+      if (take(/^7/)) {
+        seventh = 9;
+        quality = 'diminished-seventh';
+      }
+    } else if (take(/^(aug|\+(?!(5|9|11|13)))/)) {
+      fifth = 8;
+      quality = 'augmented';
+    } else if (take(/^(min|mi|m|-)(?!aj)/)) {
+      third = 3;
+      quality = 'minor';
+    } else if (take(/^M$/)) {
+      quality = 'major';
+    } else if (take(/^M(?=7|9|11|13)/)) {
+      seventh = 11;
+      quality = 'major-seventh';
+      const number = take(/^(7|9|11|13)/);
+      this.addExtensions(extensions, Number(number[1]), false);
+    }
+
+    // Chord number: 5 (power), 6, 6/9, 7, 9, 11, 13
+    if (take(/^5(?![0-9])/) && quality === 'major') {
+      return { quality: 'power', intervals: [0, 7] };
+    }
+    if (take(/^(6\/9|69)/)) {
+      extensions.add(9).add(14);
+      if (quality === 'major') quality = 'major-sixth';
+      else if (quality === 'minor') quality = 'minor-sixth';
+    } else if (take(/^6/)) {
+      extensions.add(9);
+      if (quality === 'major') quality = 'major-sixth';
+      else if (quality === 'minor') quality = 'minor-sixth';
+    } else {
+      const number = take(/^(7|9|11|13)/);
+      if (number) {
+        if (seventh === null) seventh = 10;
+        if (quality === 'major') quality = 'dominant';
+        else if (quality === 'minor') quality = 'minor-seventh';
+        else if (quality === 'augmented') quality = 'augmented-seventh';
+        this.addExtensions(extensions, Number(number[1]), third === 3);
+      }
+    }
+
+    // Modifiers, optionally wrapped in parentheses and separated by commas
+    while (rest.length > 0) {
+      if (take(/^[(),]/)) continue;
+
+      let found;
+      if ((found = take(/^sus(2|4)?/))) {
+        third = found[1] === '2' ? 2 : 5;
+        quality = seventh === 10 ? 'dominant-suspended' : 'suspended';
+      } else if ((found = take(/^add(2|4|6|9|11|13)/))) {
+        extensions.add({ 2: 2, 4: 5, 6: 9, 9: 14, 11: 17, 13: 21 }[found[1]]);
+      } else if ((found = take(/^(b|#|-|\+)(5|9|11|13)/))) {
+        const sign = found[1] === '-' ? 'b' : found[1] === '+' ? '#' : found[1];
+        const alteration = ALTERATIONS[sign + found[2]];
+        if (alteration === undefined) return null;
+        if (found[2] === '5') {
+          fifth = alteration;
+        } else {
+          // An altered tension implies a dominant seventh when none was written
+          if (seventh === null) seventh = 10;
+          extensions.delete(DEGREES[found[2]]);
+          extensions.add(alteration);
+        }
+      } else if (take(/^alt/)) {
+        seventh = 10;
+        fifth = 8;
+        extensions.add(13).add(15);
+        quality = 'altered';
+      } else if (take(/^(maj7|M7|Δ7?)/)) {
+        seventh = 11;
+      } else if (take(/^(no3|omit3)/)) {
+        third = null;
+      } else if (take(/^(no5|omit5)/)) {
+        fifth = null;
+      } else {
+        return null;
+      }
+    }
+
+    if (quality === 'minor-seventh' && fifth === 6) quality = 'half-diminished';
+
+    const intervals = [0, third, fifth, seventh, ...extensions]
+      .filter(interval => interval !== null)
+      .sort((a, b) => a - b);
+
+    return { quality, intervals: [...new Set(intervals)] };
+  }
+
+  // 9 -> 9; 11 -> 9, 11; 13 -> 9, (11 on minor chords), 13. A major-third 11 clashes, so it's left out.
+  static addExtensions(extensions, number, minor) {
+    if (number >= 9) extensions.add(DEGREES[9]);
+    if (number >= 11 && (number === 11 || minor)) extensions.add(DEGREES[11]);
+    if (number >= 13) extensions.add(DEGREES[13]);
+  }
+}
+
+module.exports = ChordSymbol;
@@ -0,0 +1,138 @@
+const ChordSymbol = require('./ChordSymbol');
+
+// Which chord tones to keep when a chord has more notes than voices, most important first
+// (intervals above the root; the fifth is the first thing to go). The root is ranked
+// separately: it leads without a bass note and is dropped before the tensions with one.
+const TONE_PRIORITY = [4, 3, 10, 11, 9, 2, 5, 13, 14, 15, 17, 18, 20, 21, 8, 6, 7];
+
+// Keyboard-style voicings: a bass note in the left hand and a close or drop-2 voicing in the
+// right hand, chosen to move as little as possible from the previous chord
+class ChordVoicer {
+  constructor(options = {}) {
+    this.low = options.low || 52; // E3: lowest right-hand note
+    this.high = options.high || 79; // G5: highest right-hand note
+    this.bassLow = options.bassLow || 36; // C2
+    this.maxVoices = options.maxVoices || 4;
+    this.includeBass = options.includeBass !== false;
+  }
+
+  // Voice a whole progression; symbols that can't be parsed are returned as null
+  voiceProgression(symbols) {
+    let previous = null;
+    return symbols.map(symbol => {
+      const chord = typeof symbol === 'string' ? ChordSymbol.parse(symbol) : symbol;
+      if (!chord) return null;
+      const voicing = this.voice(chord, previous);
+      previous = voicing;
+      return voicing;
+    });
+  }
+
+  // Returns { bass, upper: [midi...], notes: [midi...] }
+  voice(chord, previous = null) {
+    const upperClasses = this.selectTones(chord);
+    const candidates = this.candidates(upperClasses);
+    const centre = (this.low + this.high) / 2 - 4;
+
+    let best = candidates[0];
+    let bestCost = Infinity;
+    for (const candidate of candidates) {
+      const cost = previous
+        ? this.movementCost(previous.upper, candidate) + 0.1 * Math.abs(average(candidate) - centre)
+        : Math.abs(average(candidate) - centre) + (candidate[0] % 12 === chord.rootPitchClass ? 0 : 2);
+      if (cost < bestCost) {
+        bestCost = cost;
+        best = candidate;
+      }
+    }
+
+    const bass = this.includeBass ? this.bassNote(chord, best[0]) : null;
+    return { bass, upper: best, notes: bass === null ? best : [bass, ...best] };
+  }
+
+  // Pitch classes for the right hand. With a bass note underneath the root can be dropped
+  // from larger chords, and tensions take priority over the fifth.
+  selectTones(chord) {
+    const rank = (interval) => {
+      if (interval === 0) return this.includeBass ? TONE_PRIORITY.indexOf(6) + 0.5 : -1;
+      const index = TONE_PRIORITY.indexOf(interval);
+      return index === -1 ? TONE_PRIORITY.length : index;
+    };
+    const byPriority = [...chord.intervals].sort((a, b) => rank(a) - rank(b));
+    const count = Math.min(this.maxVoices, byPriority.length);
+    let chosen = byPriority.slice(0, count);
+
+    if (!chosen.includes(0) && (!this.includeBass || chord.intervals.length <= 3)) {
+      chosen = [0, ...chosen.slice(0, count - 1)];
+    }
+
+    return [...new Set(chosen.map(interval => (chord.rootPitchClass + interval) % 12))];
+  }
+
+  // Every inversion of the close voicing, plus drop-2 for four-note chords, in every octave
+  // that fits the register
+  candidates(pitchClasses) {
+    const shapes = [];
+    for (let rotation = 0; rotation < pitchClasses.length; rotation++) {
+      const order = [...pitchClasses.slice(rotation), ...pitchClasses.slice(0, rotation)];
+      const close = [order[0]];
+      for (const pitchClass of order.slice(1)) {
+        let note = pitchClass;
+        while (note <= close[close.length - 1]) note += 12;
+        close.push(note);
+      }
+      shapes.push(close);
+
+      if (close.length === 4) {
+        // Drop the second voice from the top by an octave
+        const drop2 = [close[2] - 12, close[0], close[1], close[3]].sort((a, b) => a - b);
+        shapes.push(drop2);
+      }
+    }
+
+    const voicings = [];
+    for (const shape of shapes) {
+      for (let octave = 0; octave <= 10; octave++) {
+        const notes = shape.map(note => note + octave * 12);
+        if (notes[0] >= this.low && notes[notes.length - 1] <= this.high) {
+          voicings.push(notes);
+        }
+      }
+    }
+
+    // Register too narrow for the shape: fall back to the lowest close voicing above `low`
+    if (voicings.length === 0) {
+      const shape = shapes[0];
+      const octave = Math.ceil((this.low - shape[0]) / 12);
+      voicings.push(shape.map(note => note + octave * 12));
+    }
+
+    return voicings;
+  }
+
+  // Total semitone movement, pairing each voice with its nearest neighbour in the previous chord
+  movementCost(previous, next) {
+    let cost = 0;
+    for (const note of next) {
+      cost += Math.min(...previous.map(other => Math.abs(other - note)));
+    }
+    for (const note of previous) {
+      cost += Math.min(...next.map(other => Math.abs(other - note))) * 0.5;
+    }
+    return cost;
+  }
+
+  // Root (or slash bass) in the octave below the right hand, never above it
+  bassNote(chord, lowestUpper) {
+    const pitchClass = chord.bassPitchClass ?? chord.rootPitchClass;
+    let note = this.bassLow + ((pitchClass - this.bassLow) % 12 + 12) % 12;
+    while (note + 12 < lowestUpper - 7 && note + 12 < this.low) note += 12;
+    return note;
+  }
+}
+
+function average(notes) {
+  return notes.reduce((a, b) => a + b, 0) / notes.length;
+}
+
+module.exports = ChordVoicer;
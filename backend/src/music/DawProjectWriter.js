@@ -0,0 +1,160 @@
+// DAWproject (the open exchange format read by Bitwig, Cubase, Studio One and others):
+// project.xml and metadata.xml for a .dawproject container. Audio is referenced as external
+// files relative to the container, so the stems aren't stored twice in the download.
+class DawProjectWriter {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 48000;
+    this.nextId = 0;
+  }
+
+  // project: { song, duration, genre, stems: [{ name, file, level, pan }], hum: { file, start, duration, sampleRate } | null }
+  // Returns { project, metadata } XML strings
+  write({ song, duration, genre = '', stems = [], hum = null }) {
+    this.nextId = 0;
+    const [numerator, denominator] = song.timeSignature || [4, 4];
+    const master = { track: this.id(), channel: this.id() };
+    const midiTracks = song.tracks.filter(track => track.notes.length > 0);
+
+    const tracks = [
+      ...stems.map(stem => ({
+        ...stem,
+        kind: 'audio',
+        channels: 2,
+        clip: { start: 0, duration, sampleRate: this.sampleRate },
+        id: this.id(),
+        channelId: this.id()
+      })),
+      ...midiTracks.map(track => ({ name: `${track.name} (MIDI)`, source: track, kind: 'notes', level: 1, pan: 0, id: this.id(), channelId: this.id() })),
+      ...(hum ? [{
+        name: 'Original Hum',
+        file: hum.file,
+        kind: 'audio',
+        channels: 1,
+        clip: { start: hum.start, duration: hum.duration, sampleRate: hum.sampleRate },
+        level: 1,
+        pan: 0,
+        id: this.id(),
+        channelId: this.id()
+      }] : [])
+    ];
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<Project version="1.0">',
+      '  <Application name="Hum It Out" version="1.0"/>',
+      '  <Transport>',
+      `    <Tempo unit="bpm" value="${round(song.tempo)}" id="${this.id()}" name="Tempo"/>`,
+      `    <TimeSignature numerator="${numerator}" denominator="${denominator}" id="${this.id()}"/>`,
+      '  </Transport>',
+      '  <Structure>'
+    ];
+
+    for (const track of tracks) {
+      lines.push(
+        `    <Track contentType="${track.kind}" loaded="true" id="${track.id}" name="${escapeXml(track.name)}">`,
+        ...this.channel(track.channelId, { role: 'regular', audioChannels: track.channels || 2, destination: master.channel, level: track.level, pan: track.pan }),
+        '    </Track>'
+      );
+    }
+    lines.push(
+      `    <Track contentType="audio notes" loaded="true" id="${master.track}" name="Master">`,
+      ...this.channel(master.channel, { role: 'master', audioChannels: 2, level: 1, pan: 0 }),
+      '    </Track>',
+      '  </Structure>',
+      `  <Arrangement id="${this.id()}">`,
+      `    <Markers id="${this.id()}">`,
+      ...song.markers.map(marker => `      <Marker time="${round(this.beats(marker.time, song))}" name="${escapeXml(marker.text)}"/>`),
+      '    </Markers>',
+      `    <Lanes timeUnit="beats" id="${this.id()}">`
+    );
+
+    for (const track of tracks) {
+      lines.push(...(track.kind === 'notes' ? this.noteLanes(track, song, duration) : this.audioLanes(track)));
+    }
+
+    lines.push('    </Lanes>', '  </Arrangement>', '</Project>');
+
+    const metadata = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<MetaData>',
+      `  <Title>${escapeXml(song.title)}</Title>`,
+      '  <Artist>Hum It Out</Artist>',
+      `  <Genre>${escapeXml(genre)}</Genre>`,
+      `  <Comment>${escapeXml(`Key: ${song.key}, ${round(song.tempo)} BPM`)}</Comment>`,
+      '</MetaData>'
+    ];
+
+    return { project: lines.join('\n') + '\n', metadata: metadata.join('\n') + '\n' };
+  }
+
+  // Volume is linear gain; pan is normalized, 0 = left, 0.5 = centre, 1 = right
+  channel(id, { role, audioChannels, destination = null, level, pan }) {
+    const target = destination ? ` destination="${destination}"` : '';
+    return [
+      `      <Channel audioChannels="${audioChannels}" role="${role}" solo="false"${target} id="${id}">`,
+      `        <Mute value="false" id="${this.id()}" name="Mute"/>`,
+      `        <Pan unit="normalized" value="${round((pan + 1) / 2)}" min="0" max="1" id="${this.id()}" name="Pan"/>`,
+      `        <Volume unit="linear" value="${round(level)}" min="0" max="2" id="${this.id()}" name="Volume"/>`,
+      '      </Channel>'
+    ];
+  }
+
+  // One audio clip in seconds, so the file plays at its own rate regardless of tempo
+  audioLanes(track) {
+    const { start, duration, sampleRate } = track.clip;
+    return [
+      `      <Lanes track="${track.id}" timeUnit="seconds" id="${this.id()}">`,
+      `        <Clips id="${this.id()}">`,
+      `          <Clip time="${round(start)}" duration="${round(duration)}" playStart="0">`,
+      `            <Audio channels="${track.channels}" duration="${round(duration)}" sampleRate="${sampleRate}" id="${this.id()}">`,
+      `              <File path="${escapeXml(track.file)}" external="true"/>`,
+      '            </Audio>',
+      '          </Clip>',
+      '        </Clips>',
+      '      </Lanes>'
+    ];
+  }
+
+  // One clip of notes over the whole song, in beats
+  noteLanes(track, song, duration) {
+    const channel = track.source.channel & 0x0f;
+    const length = (duration * song.tempo) / 60;
+    const notes = track.source.notes.map(note =>
+      `              <Note time="${round(this.beats(note.time, song))}" duration="${round(this.beats(note.duration, song))}" channel="${channel}" key="${note.note}" vel="${round((note.velocity || 80) / 127)}" rel="0.5"/>`
+    );
+    return [
+      `      <Lanes track="${track.id}" id="${this.id()}">`,
+      `        <Clips id="${this.id()}">`,
+      `          <Clip time="0" duration="${round(length)}" playStart="0">`,
+      `            <Notes id="${this.id()}">`,
+      ...notes,
+      '            </Notes>',
+      '          </Clip>',
+      '        </Clips>',
+      '      </Lanes>'
+    ];
+  }
+
+  beats(ticks, song) {
+    return ticks / song.ticksPerQuarter;
+  }
+
+  id() {
+    return `id${this.nextId++}`;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = DawProjectWriter;
@@ -0,0 +1,367 @@
+const { DRUM_NOTES } = require('./GeneralMidi');
+const { seededRandom } = require('../utils/random');
+
+// Step grids, one character per step: X accent, x hit, o ghost, . rest. A lane's length sets
+// its resolution (16 = sixteenths, 12 = swung triplet eighths, 32 = hi-hat rolls). Fills cover
+// the last `fillBeats` beats of a section's final bar.
+const STYLES = {
+  pop: {
+    aliases: ['pop', 'dance pop', 'synth pop', 'synthpop', 'indie pop', 'k-pop'],
+    swing: 0,
+    humanize: { timing: 6, velocity: 8 },
+    groove: {
+      kick: 'x.....x.x.......',
+      snare: '....x.......x...',
+      closedHat: 'x.x.x.x.x.x.x.x.'
+    },
+    chorus: {
+      kick: 'x.....x.x.x.....',
+      snare: '....X.......X...',
+      closedHat: 'x.x.x.x.x.x.x...',
+      openHat: '..............x.'
+    },
+    fill: {
+      snare: 'x.xx....',
+      highTom: '....x...',
+      midTom: '.....x..',
+      lowTom: '......xx'
+    }
+  },
+  rock: {
+    aliases: ['rock', 'pop rock', 'alternative', 'indie', 'punk', 'grunge', 'metal', 'garage'],
+    swing: 0,
+    humanize: { timing: 8, velocity: 10 },
+    groove: {
+      kick: 'x.......x.x.....',
+      snare: '....X.......X...',
+      closedHat: 'x.x.x.x.x.x.x.x.'
+    },
+    chorus: {
+      kick: 'x.....x.x.x.....',
+      snare: '....X.......X...',
+      ride: 'x.x.x.x.x.x.x.x.'
+    },
+    fill: {
+      kick: 'x.......',
+      snare: 'xxxx....',
+      highTom: '....xx..',
+      lowTom: '......xx'
+    }
+  },
+  hipHop: {
+    aliases: ['hip-hop', 'hip hop', 'hiphop', 'rap', 'boom bap', 'r&b', 'rnb', 'soul', 'neo soul', 'lo-fi', 'lofi'],
+    swing: 0.2,
+    humanize: { timing: 10, velocity: 12 },
+    groove: {
+      kick: 'x......x..x.....',
+      snare: '....x.......x...',
+      closedHat: 'x.x.x.x.x.x.x.x.'
+    },
+    chorus: {
+      kick: 'x......x..x..x..',
+      snare: '....x.......x...',
+      clap: '....x.......x...',
+      closedHat: 'x.x.x.x.x.x.x.o.',
+      openHat: '..............x.'
+    },
+    fill: {
+      kick: 'x..x....',
+      snare: '....x.xx'
+    }
+  },
+  trap: {
+    aliases: ['trap', 'drill', 'phonk'],
+    swing: 0,
+    humanize: { timing: 2, velocity: 6 },
+    groove: {
+      kick: 'x......x..x.....',
+      snare: '........x.......',
+      clap: '........x.......',
+      closedHat: 'x.x.x.x.x.x.x.x.x.x.x.xxx.x.x.x.'
+    },
+    chorus: {
+      kick: 'x......x..x...x.',
+      snare: '........X.......',
+      clap: '........X.......',
+      closedHat: 'x.x.x.xxx.x.x.x.x.x.x.xxxxx.x.x.'
+    },
+    fill: {
+      closedHat: 'xxxxxxxxxxxxxxxx',
+      snare: '......xx'
+    }
+  },
+  house: {
+    aliases: ['house', 'edm', 'electronic', 'dance', 'techno', 'disco', 'electro'],
+    swing: 0.05,
+    humanize: { timing: 2, velocity: 5 },
+    groove: {
+      kick: 'x...x...x...x...',
+      clap: '....x.......x...',
+      openHat: '..x...x...x...x.',
+      shaker: 'oxoxoxoxoxoxoxox'
+    },
+    fill: {
+      kick: 'x...x...',
+      clap: 'x.x.xxxx'
+    }
+  },
+  funk: {
+    aliases: ['funk', 'groove', 'go-go'],
+    swing: 0.05,
+    humanize: { timing: 4, velocity: 10 },
+    groove: {
+      kick: 'x..x......x..x..',
+      snare: '....X..o.o..X..o',
+      closedHat: 'XxXxXxXxXxXxXxXx'
+    },
+    fill: {
+      snare: 'xoxoxxXX'
+    }
+  },
+  jazz: {
+    aliases: ['jazz', 'swing', 'bebop', 'big band', 'jazz ballad'],
+    swing: 0,
+    humanize: { timing: 8, velocity: 12 },
+    groove: {
+      ride: 'x..x.xx..x.x',
+      pedalHat: '...x.....x..',
+      kick: 'o.....o.....',
+      snare: '.....o......'
+    },
+    fill: {
+      snare: 'x.xx.x',
+      kick: '.....X'
+    }
+  },
+  shuffle: {
+    aliases: ['blues', 'shuffle', 'boogie', 'rockabilly'],
+    swing: 0,
+    humanize: { timing: 8, velocity: 10 },
+    groove: {
+      kick: 'x.....x.....',
+      snare: '...x.....x..',
+      closedHat: 'x.xx.xx.xx.x'
+    },
+    fill: {
+      snare: 'x.xx.x',
+      lowTom: '.....x'
+    }
+  },
+  bossa: {
+    aliases: ['bossa', 'bossa nova', 'latin', 'samba', 'mpb'],
+    swing: 0,
+    humanize: { timing: 6, velocity: 8 },
+    groove: {
+      kick: 'x..xx..xx..xx..x',
+      sideStick: 'x..x..x...x..x..',
+      closedHat: 'x.x.x.x.x.x.x.x.'
+    },
+    fill: {
+      sideStick: 'x..x.x..',
+      kick: 'x..xx..x'
+    }
+  },
+  reggae: {
+    aliases: ['reggae', 'dub', 'ska', 'dancehall'],
+    swing: 0.2,
+    humanize: { timing: 6, velocity: 8 },
+    groove: {
+      kick: '........x.......',
+      sideStick: '........x.......',
+      closedHat: 'x.x.x.x.x.x.x.x.'
+    },
+    fill: {
+      snare: 'x..x..x.',
+      kick: '......x.'
+    }
+  },
+  ballad: {
+    aliases: ['ballad', 'piano ballad', 'power ballad', 'slow'],
+    swing: 0,
+    humanize: { timing: 8, velocity: 8 },
+    groove: {
+      kick: 'x.........x.....',
+      sideStick: '....x.......x...',
+      closedHat: 'x...x...x...x...'
+    },
+    chorus: {
+      kick: 'x.........x.....',
+      snare: '....x.......x...',
+      closedHat: 'x.x.x.x.x.x.x.x.'
+    },
+    fill: {
+      highTom: 'x.x.....',
+      midTom: '....x...',
+      snare: '......xx'
+    }
+  },
+  folk: {
+    aliases: ['folk', 'acoustic', 'country', 'americana', 'singer-songwriter', 'indie folk'],
+    swing: 0.1,
+    humanize: { timing: 8, velocity: 10 },
+    groove: {
+      kick: 'x.......x.......',
+      tambourine: '....x.......x...',
+      shaker: 'xoxoxoxoxoxoxoxo'
+    },
+    chorus: {
+      kick: 'x.......x.x.....',
+      snare: '....x.......x...',
+      tambourine: '....x.......x...',
+      shaker: 'xoxoxoxoxoxoxoxo'
+    },
+    fill: {
+      kick: 'x.x.....',
+      snare: '....x.xx'
+    }
+  }
+};
+
+const VELOCITIES = { X: 118, x: 96, o: 52 };
+const TIMEKEEPERS = ['closedHat', 'pedalHat', 'openHat', 'ride', 'shaker', 'tambourine'];
+const CYMBALS_FOR_BRIDGE = { closedHat: 'ride' };
+
+// Order for partial genre matches, most specific first ("trap soul" is trap, "jazz funk" is funk)
+const MATCH_ORDER = ['trap', 'funk', 'reggae', 'bossa', 'jazz', 'shuffle', 'hipHop', 'house', 'ballad', 'folk', 'rock', 'pop'];
+
+// Genre groove library laid out over the song's sections
+class DrumPatterns {
+  constructor(options = {}) {
+    this.ticksPerQuarter = options.ticksPerQuarter || 480;
+    this.beatsPerBar = options.beatsPerBar || 4;
+    this.fillBeats = options.fillBeats || 2;
+    this.humanize = options.humanize !== false;
+    this.random = seededRandom(options.seed || 0xd2a5);
+  }
+
+  static get styles() {
+    return Object.keys(STYLES);
+  }
+
+  // Exact alias first, then the first style with an alias contained in the genre name
+  static styleForGenre(genre) {
+    const text = String(genre || '').toLowerCase().trim();
+    const exact = Object.keys(STYLES).find(name => STYLES[name].aliases.includes(text));
+    if (exact) return exact;
+    const partial = MATCH_ORDER.find(name => STYLES[name].aliases.some(alias => text.includes(alias)));
+    return partial || 'pop';
+  }
+
+  // sections: [{ type, startBar, bars, instruments? }] from Arranger.layoutSections.
+  // Sections whose instruments leave out the drums stay silent.
+  generate(sections, { genre = 'pop', startTick = 0 } = {}) {
+    const styleName = DrumPatterns.styleForGenre(genre);
+    const style = STYLES[styleName];
+    const barTicks = this.ticksPerQuarter * this.beatsPerBar;
+    const plays = (section) => Boolean(section) && (!section.instruments || section.instruments.includes('drums'));
+    const notes = [];
+
+    sections.forEach((section, sectionIndex) => {
+      if (!plays(section)) return;
+
+      const isLast = sectionIndex === sections.length - 1;
+      // Fill into the next section only if the drums carry on there
+      const fillsOut = !isLast && plays(sections[sectionIndex + 1]);
+      const lanes = this.sectionLanes(style, section.type);
+      const dynamics = { intro: 0.85, breakdown: 0.8, verse: 0.95, chorus: 1.08, solo: 1.05 }[section.type] || 1;
+
+      for (let bar = 0; bar < section.bars; bar++) {
+        const barStart = startTick + (section.startBar + bar) * barTicks;
+        const isLastBar = bar === section.bars - 1;
+
+        // Song ending: one final hit instead of the groove
+        if (isLast && isLastBar && section.type === 'outro') {
+          notes.push(this.hit('kick', barStart, 110), this.hit('crash', barStart, 110));
+          continue;
+        }
+
+        const fill = isLastBar && fillsOut && style.fill && section.bars > 1;
+        const grooveEnd = fill ? barTicks - this.fillBeats * this.ticksPerQuarter : barTicks;
+        notes.push(...this.renderLanes(lanes, barStart, 0, grooveEnd, barTicks, style.swing, dynamics));
+
+        if (fill) {
+          const fillTicks = this.fillBeats * this.ticksPerQuarter;
+          notes.push(...this.renderLanes(style.fill, barStart + grooveEnd, 0, fillTicks, fillTicks, style.swing, dynamics));
+        }
+
+        // Crash into every section but the quiet ones
+        if (bar === 0 && sectionIndex > 0 && !['intro', 'breakdown'].includes(section.type)) {
+          notes.push(this.hit('crash', barStart, 105));
+        }
+      }
+    });
+
+    notes.sort((a, b) => a.time - b.time || a.note - b.note);
+    return this.humanize ? this.applyHumanize(notes, style.humanize, startTick) : notes;
+  }
+
+  // Lanes for a section type: the style's own variation when it has one, otherwise a
+  // generic transformation of the main groove
+  sectionLanes(style, type) {
+    if (style[type]) return style[type];
+
+    switch (type) {
+      case 'intro':
+      case 'breakdown': {
+        // Timekeeping only, with a kick on the downbeat
+        const lanes = {};
+        for (const [lane, pattern] of Object.entries(style.groove)) {
+          if (TIMEKEEPERS.includes(lane)) lanes[lane] = pattern;
+        }
+        if (style.groove.kick) lanes.kick = 'x' + '.'.repeat(style.groove.kick.length - 1);
+        return lanes;
+      }
+      case 'bridge':
+      case 'solo': {
+        // Move the hi-hat part to the ride for contrast
+        const lanes = {};
+        for (const [lane, pattern] of Object.entries(style.groove)) {
+          lanes[CYMBALS_FOR_BRIDGE[lane] || lane] = pattern;
+        }
+        return lanes;
+      }
+      default:
+        return style.groove;
+    }
+  }
+
+  // Write each lane's hits that fall inside [from, to) of a span `spanTicks` long
+  renderLanes(lanes, spanStart, from, to, spanTicks, swing, dynamics) {
+    const notes = [];
+    for (const [lane, pattern] of Object.entries(lanes)) {
+      const stepTicks = spanTicks / pattern.length;
+      // Swing delays the off-beat of each pair of steps; triplet grids are already swung
+      const swingTicks = pattern.length % 3 === 0 ? 0 : swing * stepTicks;
+
+      for (let step = 0; step < pattern.length; step++) {
+        const velocity = VELOCITIES[pattern[step]];
+        if (!velocity) continue;
+
+        const offset = step * stepTicks + (step % 2 === 1 ? swingTicks : 0);
+        if (offset < from || offset >= to) continue;
+        notes.push(this.hit(lane, spanStart + offset, velocity * dynamics, stepTicks));
+      }
+    }
+    return notes;
+  }
+
+  hit(lane, time, velocity, stepTicks = this.ticksPerQuarter / 4) {
+    return {
+      note: DRUM_NOTES[lane],
+      velocity: Math.max(1, Math.min(127, Math.round(velocity))),
+      time: Math.round(time),
+      duration: Math.max(30, Math.round(stepTicks / 2))
+    };
+  }
+
+  // Small random timing and velocity offsets so the loop doesn't sound machine-stamped
+  applyHumanize(notes, { timing = 0, velocity = 0 } = {}, startTick = 0) {
+    return notes.map(note => ({
+      ...note,
+      time: Math.max(startTick, Math.round(note.time + (this.random() * 2 - 1) * timing)),
+      velocity: Math.max(1, Math.min(127, Math.round(note.velocity + (this.random() * 2 - 1) * velocity)))
+    }));
+  }
+}
+
+module.exports = DrumPatterns;
@@ -0,0 +1,126 @@
+// General MIDI program numbers (0-based) matched against the agents' free-text
+// instrument descriptions. More specific keywords come first.
+const PROGRAM_KEYWORDS = [
+  ['electric grand', 2],
+  ['honky', 3],
+  ['rhodes', 4],
+  ['electric piano', 4],
+  ['wurlitzer', 5],
+  ['harpsichord', 6],
+  ['clav', 7],
+  ['celesta', 8],
+  ['glockenspiel', 9],
+  ['music box', 10],
+  ['vibraphone', 11],
+  ['vibes', 11],
+  ['marimba', 12],
+  ['xylophone', 13],
+  ['organ', 16],
+  ['accordion', 21],
+  ['harmonica', 22],
+  ['nylon', 24],
+  ['classical guitar', 24],
+  ['acoustic guitar', 25],
+  ['jazz guitar', 26],
+  ['clean electric guitar', 27],
+  ['clean guitar', 27],
+  ['muted guitar', 28],
+  ['overdrive', 29],
+  ['distort', 30],
+  ['acoustic bass', 32],
+  ['upright bass', 32],
+  ['double bass', 32],
+  ['fingerstyle', 33],
+  ['picked bass', 34],
+  ['fretless', 35],
+  ['slap', 36],
+  ['808', 38],
+  ['synth bass', 38],
+  ['sub bass', 38],
+  ['violin', 40],
+  ['viola', 41],
+  ['cello', 42],
+  ['contrabass', 43],
+  ['pizzicato', 45],
+  ['harp', 46],
+  ['string', 48],
+  ['choir', 52],
+  ['voice', 53],
+  ['trumpet', 56],
+  ['trombone', 57],
+  ['tuba', 58],
+  ['french horn', 60],
+  ['horn', 61],
+  ['brass', 61],
+  ['soprano sax', 64],
+  ['alto sax', 65],
+  ['tenor sax', 66],
+  ['sax', 65],
+  ['oboe', 68],
+  ['clarinet', 71],
+  ['piccolo', 72],
+  ['flute', 73],
+  ['whistle', 78],
+  ['square', 80],
+  ['saw', 81],
+  ['lead', 81],
+  ['pad', 88],
+  ['warm', 89],
+  ['sitar', 104],
+  ['banjo', 105],
+  ['steel drum', 114],
+  ['piano', 0],
+  ['keys', 4],
+  ['synth', 81],
+  ['guitar', 25],
+  ['bass', 33]
+];
+
+// Program used when a role has no usable description
+const DEFAULT_PROGRAMS = {
+  chords: 0, // acoustic grand piano
+  bass: 33, // electric bass (finger)
+  melody: 81, // sawtooth lead
+  drums: 0
+};
+
+// Channel 10 (index 9) General MIDI percussion keys
+const DRUM_NOTES = {
+  kick: 36,
+  sideStick: 37,
+  snare: 38,
+  clap: 39,
+  closedHat: 42,
+  lowTom: 45,
+  pedalHat: 44,
+  openHat: 46,
+  midTom: 47,
+  highTom: 50,
+  crash: 49,
+  ride: 51,
+  rideBell: 53,
+  tambourine: 54,
+  cowbell: 56,
+  shaker: 70
+};
+
+const DRUM_CHANNEL = 9;
+
+// "electric bass with slight overdrive" should stay a bass, not become a guitar
+const isBassProgram = (program) => program >= 32 && program <= 39;
+
+function programForInstrument(description, role) {
+  const text = (description || '').toLowerCase();
+  const match = PROGRAM_KEYWORDS.find(([keyword, program]) => (
+    text.includes(keyword) && (role === 'bass') === isBassProgram(program)
+  ));
+  if (match) return match[1];
+  return DEFAULT_PROGRAMS[role] ?? 0;
+}
+
+module.exports = {
+  DRUM_NOTES,
+  DRUM_CHANNEL,
+  DEFAULT_PROGRAMS,
+  programForInstrument
+};
@@ -0,0 +1,335 @@
+const ChordSymbol = require('./ChordSymbol');
+const MusicTheory = require('./MusicTheory');
+
+const STANDARD_TUNING = [40, 45, 50, 55, 59, 64]; // E2 A2 D3 G3 B3 E4
+const STRING_NAMES = ['E', 'A', 'D', 'G', 'B', 'e'];
+
+// Familiar open-position shapes, low E to high e (x = muted). Chords not listed here are
+// fingered by the search in `solve`.
+const OPEN_SHAPES = {
+  C: 'x32010', D: 'xx0232', E: '022100', G: '320003', A: 'x02220',
+  Am: 'x02210', Dm: 'xx0231', Em: '022000',
+  C7: 'x32310', D7: 'xx0212', E7: '020100', G7: '320001', A7: 'x02020', B7: 'x21202',
+  Am7: 'x02010', Dm7: 'xx0211', Em7: '022030',
+  Cmaj7: 'x32000', Dmaj7: 'xx0222', Emaj7: '021100', Fmaj7: 'xx3210', Gmaj7: '320002', Amaj7: 'x02120',
+  Asus2: 'x02200', Dsus2: 'xx0230', Asus4: 'x02230', Dsus4: 'xx0233', Esus4: '022200',
+  A7sus4: 'x02030', D7sus4: 'xx0213', E7sus4: '020200',
+  C6: 'x32210', D6: 'xx0202', E6: '022120', G6: '320000', A6: 'x02222',
+  Am6: 'x02212', Dm6: 'xx0201', Em6: '022020',
+  Cadd9: 'x32030', E5: '022xxx', A5: 'x022xx', D5: 'xx023x',
+  'C/E': '032010', 'C/G': '332010', 'D/F#': '200232', 'G/B': 'x20003', 'Am/G': '3x2210'
+};
+
+const shapeKey = (chord) => `${chord.rootPitchClass}/${chord.bassPitchClass ?? chord.rootPitchClass}:${chord.intervals.join(',')}`;
+
+const OPEN_SHAPE_INDEX = new Map(
+  Object.entries(OPEN_SHAPES).map(([symbol, shape]) => [
+    shapeKey(ChordSymbol.parse(symbol)),
+    [...shape].map(fret => (fret === 'x' ? null : Number(fret)))
+  ])
+);
+
+const MAX_CAPO = 7;
+const TAB_FRETS = 15;
+
+// Guitar chord chart with fingering diagrams, a capo suggestion and melody tablature
+class GuitarChart {
+  constructor(options = {}) {
+    this.tuning = options.tuning || STANDARD_TUNING;
+    this.cache = new Map();
+  }
+
+  // { frets: [low E..high e, null = muted], open } for a parsed chord
+  fingering(chord) {
+    const key = shapeKey(chord);
+    if (!this.cache.has(key)) {
+      const open = OPEN_SHAPE_INDEX.get(key);
+      this.cache.set(key, open ? { frets: open, open: true } : { frets: this.solve(chord), open: false });
+    }
+    return this.cache.get(key);
+  }
+
+  // Capo position that turns the most chords into open shapes, lowest fret on a tie.
+  // Returns { capo, shapes: [chord as fingered with the capo on] }.
+  suggestCapo(chords, key = 'C') {
+    const unique = [...new Map(chords.map(chord => [shapeKey(chord), chord])).values()];
+    let best = { capo: 0, openCount: -1 };
+
+    for (let capo = 0; capo <= MAX_CAPO; capo++) {
+      const openCount = unique.filter(chord => OPEN_SHAPE_INDEX.has(shapeKey(ChordSymbol.transpose(chord, -capo)))).length;
+      if (openCount > best.openCount) best = { capo, openCount };
+    }
+
+    const preferFlats = this.prefersFlats(key, best.capo);
+    return {
+      capo: best.capo,
+      shapes: chords.map(chord => ChordSymbol.transpose(chord, -best.capo, { preferFlats }))
+    };
+  }
+
+  // Shape names follow the key the guitarist is effectively playing in
+  prefersFlats(key, capo) {
+    const parsed = MusicTheory.parseKey(key || 'C');
+    if (!parsed) return false;
+    const pitchClass = (parsed.tonicPitchClass - capo + 12) % 12;
+    const shapeKeyName = MusicTheory.tonicName(pitchClass, parsed.mode);
+    const signature = MusicTheory.keySignature({ tonic: shapeKeyName, tonicPitchClass: pitchClass, mode: parsed.mode });
+    return Boolean(signature && signature.sharps < 0);
+  }
+
+  // Search a four-fret window at every position for a playable voicing: muted strings only
+  // on the bass side, the chord's bass note lowest, the essential tones present and no more
+  // than four fingers (a barre counts as one)
+  solve(chord) {
+    const tones = new Set(ChordSymbol.pitchClasses(chord));
+    const bass = chord.bassPitchClass ?? chord.rootPitchClass;
+    const required = this.requiredTones(chord);
+    const minStrings = chord.quality === 'power' ? 2 : 4;
+    let best = null;
+    let bestCost = Infinity;
+
+    for (let base = 1; base <= 12; base++) {
+      const options = this.tuning.map(open => {
+        const frets = [];
+        if (tones.has(open % 12)) frets.push(0);
+        for (let fret = base; fret < base + 4; fret++) {
+          if (tones.has((open + fret) % 12)) frets.push(fret);
+        }
+        return frets;
+      });
+
+      const search = (string, frets) => {
+        if (string === this.tuning.length) {
+          const cost = this.voicingCost(frets, required, minStrings, base);
+          if (cost < bestCost) {
+            bestCost = cost;
+            best = [...frets];
+          }
+          return;
+        }
+
+        const sounding = frets.some(fret => fret !== null);
+        // Mute only below the first sounding string
+        if (!sounding) search(string + 1, [...frets, null]);
+        for (const fret of options[string]) {
+          // The lowest sounding string has to carry the bass note
+          if (!sounding && (this.tuning[string] + fret) % 12 !== bass) continue;
+          search(string + 1, [...frets, fret]);
+        }
+      };
+      search(0, []);
+    }
+
+    if (!best) {
+      // Nothing playable: fall back to the bass note alone on the low string
+      const fret = (bass - (this.tuning[0] % 12) + 12) % 12;
+      best = this.tuning.map((open, string) => (string === 0 ? fret : null));
+    }
+    return best;
+  }
+
+  // Every chord tone except a perfect fifth, keeping at most four of them
+  requiredTones(chord) {
+    return chord.intervals
+      .filter(interval => interval !== 7)
+      .slice(0, 4)
+      .map(interval => (chord.rootPitchClass + interval) % 12);
+  }
+
+  voicingCost(frets, required, minStrings, base) {
+    const sounding = frets.filter(fret => fret !== null);
+    if (sounding.length < minStrings) return Infinity;
+
+    const classes = new Set(frets.map((fret, string) => (fret === null ? null : (this.tuning[string] + fret) % 12)));
+    if (required.some(pitchClass => !classes.has(pitchClass))) return Infinity;
+
+    const fretted = frets.map((fret, string) => ({ fret, string })).filter(item => item.fret > 0);
+    const fingers = this.fingersNeeded(frets);
+    if (fingers > 4) return Infinity;
+
+    const muted = frets.length - sounding.length;
+    const openStrings = sounding.length - fretted.length;
+    const position = fretted.length ? Math.min(...fretted.map(item => item.fret)) : 0;
+    const stretch = fretted.length ? Math.max(...fretted.map(item => item.fret)) - position : 0;
+    // A four-fret stretch is possible but rarely the friendliest shape
+    const reach = stretch >= 3 ? 3 : stretch * 0.5;
+    return position * 1.5 + muted + fingers * 0.5 + reach - openStrings * 0.3 + (base > 1 && openStrings > 0 ? 1 : 0);
+  }
+
+  // Fretted strings, with notes at the lowest fret merged into one barre when nothing
+  // between them is played open
+  fingersNeeded(frets) {
+    const fretted = frets.filter(fret => fret > 0);
+    if (fretted.length === 0) return 0;
+
+    const lowest = Math.min(...fretted);
+    const barreStrings = frets.map((fret, string) => (fret === lowest ? string : -1)).filter(string => string >= 0);
+    if (barreStrings.length < 2) return fretted.length;
+
+    const coverable = frets.slice(barreStrings[0]).every(fret => fret === null || fret >= lowest);
+    return coverable ? fretted.length - barreStrings.length + 1 : fretted.length;
+  }
+
+  // ASCII chord box: open/muted markers, the nut (or a fret label when played higher up)
+  // and four fret rows, with the compact fret code underneath
+  diagram(name, frets) {
+    const fretted = frets.filter(fret => fret > 0);
+    const highest = fretted.length ? Math.max(...fretted) : 0;
+    const start = highest > 4 ? Math.min(...fretted) : 1;
+    const lines = [name, frets.map(fret => (fret === null ? 'x' : fret === 0 ? 'o' : ' ')).join(' ')];
+
+    lines.push(start === 1 ? '===========' : '-----------');
+    for (let fret = start; fret < start + 4; fret++) {
+      const row = frets.map(value => (value === fret ? '*' : '|')).join(' ');
+      lines.push(fret === start && start > 1 ? `${row} ${start}fr` : row);
+    }
+    lines.push(frets.map(fret => (fret === null ? 'x' : String(fret))).join(''));
+    return lines;
+  }
+
+  // Full chart: capo advice, diagrams for each chord and the progression of every section
+  chart(song) {
+    const chords = (song.chords || []).map(span => span.chord);
+    const { capo, shapes } = this.suggestCapo(chords, song.key);
+    const shapeFor = new Map(chords.map((chord, index) => [chord.symbol, shapes[index]]));
+    const lines = [
+      'Hum It Out - Guitar Chord Chart',
+      '===============================',
+      '',
+      `Key: ${song.key || 'C'}    Tempo: ${Math.round(song.tempo || 120)} BPM    Time: ${(song.timeSignature || [4, 4]).join('/')}`,
+      capo > 0
+        ? `Capo: fret ${capo} - play the shapes below; they sound in the song's key`
+        : 'Capo: none needed',
+      ''
+    ];
+
+    // Diagrams, four to a row, in order of first appearance
+    const seen = new Map();
+    for (const chord of chords) {
+      const shape = shapeFor.get(chord.symbol);
+      if (!seen.has(shape.symbol)) seen.set(shape.symbol, { shape, sounding: chord.symbol });
+    }
+    const diagrams = [...seen.values()].map(({ shape, sounding }) => {
+      const label = capo > 0 && sounding !== shape.symbol ? `${shape.symbol} (${sounding})` : shape.symbol;
+      return this.diagram(label, this.fingering(shape).frets);
+    });
+    for (let i = 0; i < diagrams.length; i += 4) {
+      const row = diagrams.slice(i, i + 4);
+      const height = Math.max(...row.map(diagram => diagram.length));
+      for (let line = 0; line < height; line++) {
+        lines.push(row.map(diagram => (diagram[line] || '').padEnd(18)).join('').trimEnd());
+      }
+      lines.push('');
+    }
+
+    lines.push('Song Structure', '--------------');
+    const barTicks = song.ticksPerQuarter * 4;
+    for (const section of song.sections || []) {
+      const sectionStart = (song.startTick || 0) + section.startBar * barTicks;
+      const bars = (song.chords || [])
+        .filter(span => span.time >= sectionStart && span.time < sectionStart + section.bars * barTicks)
+        .map(span => shapeFor.get(span.chord.symbol).symbol);
+      const label = section.name.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+      lines.push(`${`${label} (${section.bars} bars)`.padEnd(22)}${this.progressionLine(bars)}`);
+    }
+    lines.push('');
+
+    return { capo, text: lines.join('\n') };
+  }
+
+  // '| Am | F | C | G |  x2' when the bars repeat a cycle, every bar otherwise
+  progressionLine(bars) {
+    if (bars.length === 0) return '(tacet)';
+    for (let length = 1; length <= bars.length; length++) {
+      if (bars.length % length !== 0) continue;
+      const cycle = bars.slice(0, length);
+      if (bars.every((bar, index) => bar === cycle[index % length])) {
+        const repeats = bars.length / length;
+        return `| ${cycle.join(' | ')} |${repeats > 1 ? `  x${repeats}` : ''}`;
+      }
+    }
+    return `| ${bars.join(' | ')} |`;
+  }
+
+  // Six-line tab of the melody, one column per eighth note, three bars to a line.
+  // Frets are counted from the capo.
+  tablature(song, capo = 0) {
+    const melody = song.tracks.find(track => track.role === 'melody')?.notes || [];
+    if (melody.length === 0) return null;
+
+    const eighth = song.ticksPerQuarter / 2;
+    const origin = song.startTick || 0;
+    const columnsPerBar = 8;
+    const placed = this.placeNotes(melody.map(note => note.note), capo);
+
+    const columns = new Map();
+    melody.forEach((note, index) => {
+      const column = Math.round((note.time - origin) / eighth);
+      if (column >= 0 && !columns.has(column) && placed[index]) columns.set(column, placed[index]);
+    });
+    if (columns.size === 0) return null;
+
+    const firstBar = Math.floor(Math.min(...columns.keys()) / columnsPerBar);
+    const lastBar = Math.floor(Math.max(...columns.keys()) / columnsPerBar);
+    const lines = [
+      'Hum It Out - Melody Tab',
+      '=======================',
+      '',
+      `Tuning: standard (EADGBE)${capo > 0 ? `    Capo: fret ${capo} (frets counted from the capo)` : ''}`,
+      'One column per eighth note',
+      ''
+    ];
+
+    for (let bar = firstBar; bar <= lastBar; bar += 3) {
+      const bars = [];
+      for (let b = bar; b <= Math.min(lastBar, bar + 2); b++) bars.push(b);
+      lines.push(`Bar ${bar + 1}`);
+
+      for (let string = this.tuning.length - 1; string >= 0; string--) {
+        const cells = bars.map(b => {
+          let cell = '';
+          for (let c = 0; c < columnsPerBar; c++) {
+            const position = columns.get(b * columnsPerBar + c);
+            cell += position && position.string === string ? `-${String(position.fret).padEnd(2, '-')}` : '---';
+          }
+          return cell;
+        });
+        lines.push(`${STRING_NAMES[string]}|${cells.join('|')}|`);
+      }
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  // String and fret for each note, staying close to where the hand already is. Notes
+  // outside the guitar's range move by octaves.
+  placeNotes(pitches, capo) {
+    const lowest = this.tuning[0] + capo;
+    const highest = this.tuning[this.tuning.length - 1] + capo + TAB_FRETS;
+    let hand = 2;
+
+    return pitches.map(original => {
+      let pitch = original;
+      while (pitch < lowest) pitch += 12;
+      while (pitch > highest) pitch -= 12;
+
+      let best = null;
+      let bestCost = Infinity;
+      this.tuning.forEach((open, string) => {
+        const fret = pitch - open - capo;
+        if (fret < 0 || fret > TAB_FRETS) return;
+        const cost = fret === 0 ? 0.5 : Math.abs(fret - hand) + fret * 0.05;
+        if (cost < bestCost) {
+          bestCost = cost;
+          best = { string, fret };
+        }
+      });
+
+      if (best && best.fret > 0) hand = best.fret;
+      return best;
+    });
+  }
+}
+
+module.exports = GuitarChart;
@@ -0,0 +1,128 @@
+// Time-synced lyrics from Whisper's segment and word timestamps: LRC, WebVTT and MIDI
+// lyric events, all on the backing track's timeline
+
+class LyricsWriter {
+  constructor(options = {}) {
+    this.title = options.title || 'Hum It Out Session';
+  }
+
+  // transcription: { segments: [{ start, end, text }], words: [{ word, start, end }] } with
+  // times in the recording. `offset` moves them onto the backing track (the recording's
+  // position in the song). Returns [{ start, end, text, words: [{ start, end, text }] }].
+  lines(transcription, offset = 0) {
+    const segments = (transcription?.segments || []).filter(segment => segment.text && segment.text.trim());
+    const words = (transcription?.words || [])
+      .map(word => ({ start: word.start, end: word.end, text: String(word.word || '').trim() }))
+      .filter(word => word.text && Number.isFinite(word.start));
+
+    const shift = (seconds) => Math.max(0, round(seconds + offset));
+
+    if (segments.length === 0) {
+      // Words without segments: one line per pause of more than a second
+      const lines = [];
+      for (const word of words) {
+        const last = lines[lines.length - 1];
+        if (!last || word.start - last.words[last.words.length - 1].end > 1) {
+          lines.push({ words: [] });
+        }
+        lines[lines.length - 1].words.push(word);
+      }
+      return lines.map(line => this.line(line.words, shift));
+    }
+
+    return segments.map((segment, index) => {
+      const next = segments[index + 1];
+      const inSegment = words.filter(word => word.start >= segment.start - 0.05 && (!next || word.start < next.start - 0.05));
+      if (inSegment.length > 0) return this.line(inSegment, shift);
+      return {
+        start: shift(segment.start),
+        end: shift(segment.end),
+        text: segment.text.trim(),
+        words: []
+      };
+    });
+  }
+
+  line(words, shift) {
+    return {
+      start: shift(words[0].start),
+      end: shift(words[words.length - 1].end),
+      text: words.map(word => word.text).join(' '),
+      words: words.map(word => ({ start: shift(word.start), end: shift(word.end ?? word.start), text: word.text }))
+    };
+  }
+
+  // Enhanced LRC: [mm:ss.xx] per line with <mm:ss.xx> word stamps when words are known
+  toLrc(lines, { duration = null } = {}) {
+    const output = [`[ti:${this.title}]`, '[by:Hum It Out]'];
+    if (duration) output.push(`[length:${lrcTime(duration).slice(0, 5)}]`);
+
+    for (const line of lines) {
+      const text = line.words.length > 0
+        ? line.words.map(word => `<${lrcTime(word.start)}>${word.text}`).join(' ')
+        : line.text;
+      output.push(`[${lrcTime(line.start)}]${text}`);
+    }
+    return output.join('\n') + '\n';
+  }
+
+  // WebVTT cues per line, with inline timestamps for karaoke-style word highlighting
+  toWebVtt(lines) {
+    const output = ['WEBVTT', `NOTE ${this.title} - lyrics timed to the backing track`, ''];
+
+    lines.forEach((line, index) => {
+      const end = Math.max(line.end, line.start + 0.5);
+      const text = line.words.length > 1
+        ? [line.words[0].text, ...line.words.slice(1).map(word => `<${vttTime(word.start)}>${word.text}`)].join(' ')
+        : line.text;
+      output.push(String(index + 1), `${vttTime(line.start)} --> ${vttTime(end)}`, escapeVtt(text), '');
+    });
+    return output.join('\n');
+  }
+
+  // MIDI lyric meta events ({ time, text } in ticks), one per word, with a carriage return
+  // ending each line as karaoke players expect
+  toMidiLyrics(lines, { tempo = 120, ticksPerQuarter = 480 } = {}) {
+    const ticksPerSecond = (tempo / 60) * ticksPerQuarter;
+    const events = [];
+
+    for (const line of lines) {
+      const words = line.words.length > 0 ? line.words : [{ start: line.start, text: line.text }];
+      words.forEach((word, index) => {
+        const last = index === words.length - 1;
+        events.push({
+          time: Math.round(word.start * ticksPerSecond),
+          text: last ? `${word.text}\r` : `${word.text} `
+        });
+      });
+    }
+    return events;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// 75.5 -> '01:15.50'
+function lrcTime(seconds) {
+  const centiseconds = Math.round(seconds * 100);
+  const minutes = Math.floor(centiseconds / 6000);
+  const rest = (centiseconds % 6000) / 100;
+  return `${String(minutes).padStart(2, '0')}:${rest.toFixed(2).padStart(5, '0')}`;
+}
+
+// 75.5 -> '00:01:15.500'
+function vttTime(seconds) {
+  const milliseconds = Math.round(seconds * 1000);
+  const hours = Math.floor(milliseconds / 3600000);
+  const minutes = Math.floor((milliseconds % 3600000) / 60000);
+  const rest = (milliseconds % 60000) / 1000;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${rest.toFixed(3).padStart(6, '0')}`;
+}
+
+function escapeVtt(text) {
+  return text.replace(/&(?![a-z]+;)/g, '&amp;').replace(/-->/g, '->');
+}
+
+module.exports = LyricsWriter;
@@ -0,0 +1,166 @@
+const MusicTheory = require('./MusicTheory');
+
+// Standard MIDI File (format 1) writer
+
+// Order of simultaneous events: note-offs before note-ons so repeated notes retrigger, and a
+// bend reset between them so the next note starts in tune
+const EVENT_ORDER = { meta: 0, program: 1, controller: 2, noteOff: 3, pitchBend: 4, noteOn: 5 };
+
+// Pitch bend range (semitones) set on tracks with slides, wide enough for octave jumps
+const BEND_RANGE = 12;
+
+class MidiWriter {
+  constructor(options = {}) {
+    this.ticksPerQuarter = options.ticksPerQuarter || 480;
+  }
+
+  // song: { title, tempo, timeSignature: [4, 4], key, markers: [{ time, text }],
+  //         tracks: [{ name, channel, program, notes, lyrics?: [{ time, text }] }] }
+  // notes: [{ note, velocity, time, duration, slideTo?, slideDuration? }] with times in ticks
+  write(song) {
+    const tracks = [this.buildConductorTrack(song), ...song.tracks.map(track => this.buildTrack(track))];
+
+    const header = Buffer.alloc(14);
+    header.write('MThd', 0, 'ascii');
+    header.writeUInt32BE(6, 4);
+    header.writeUInt16BE(1, 8); // format 1: simultaneous tracks
+    header.writeUInt16BE(tracks.length, 10);
+    header.writeUInt16BE(this.ticksPerQuarter, 12);
+
+    return Buffer.concat([header, ...tracks.map(events => this.encodeTrack(events))]);
+  }
+
+  // Tempo map, meter, key and markers live on the first track, as DAWs expect
+  buildConductorTrack(song) {
+    const [numerator, denominator] = song.timeSignature || [4, 4];
+    const microsecondsPerQuarter = Math.round(60000000 / (song.tempo || 120));
+    const events = [
+      this.metaEvent(0, 0x03, Buffer.from(song.title || 'Hum It Out', 'utf8')),
+      this.metaEvent(0, 0x51, Buffer.from([
+        (microsecondsPerQuarter >> 16) & 0xff,
+        (microsecondsPerQuarter >> 8) & 0xff,
+        microsecondsPerQuarter & 0xff
+      ])),
+      // 24 MIDI clocks per metronome click, 8 thirty-second notes per quarter
+      this.metaEvent(0, 0x58, Buffer.from([numerator, Math.log2(denominator), 24, 8]))
+    ];
+
+    const keySignature = MusicTheory.keySignature(song.key);
+    if (keySignature) {
+      events.push(this.metaEvent(0, 0x59, Buffer.from([keySignature.sharps & 0xff, keySignature.minor ? 1 : 0])));
+    }
+
+    // Section markers show up as locators/arrangement markers in most DAWs
+    for (const marker of song.markers || []) {
+      events.push(this.metaEvent(Math.max(0, Math.round(marker.time)), 0x06, Buffer.from(marker.text, 'utf8')));
+    }
+
+    return events;
+  }
+
+  buildTrack(track) {
+    const channel = track.channel & 0x0f;
+    const events = [this.metaEvent(0, 0x03, Buffer.from(track.name || '', 'utf8'))];
+
+    if (track.program !== undefined && track.program !== null) {
+      events.push({ time: 0, kind: 'program', data: Buffer.from([0xc0 | channel, track.program & 0x7f]) });
+    }
+
+    const notes = track.notes || [];
+    if (notes.some(note => note.slideTo)) {
+      events.push(...this.bendRangeEvents(channel));
+    }
+
+    for (const note of notes) {
+      const start = Math.max(0, Math.round(note.time));
+      const end = Math.max(start + 1, Math.round(note.time + note.duration));
+      const pitch = note.note & 0x7f;
+      const velocity = Math.max(1, Math.min(127, Math.round(note.velocity || 80)));
+
+      events.push({ time: start, kind: 'noteOn', data: Buffer.from([0x90 | channel, pitch, velocity]) });
+      events.push({ time: end, kind: 'noteOff', data: Buffer.from([0x80 | channel, pitch, 0]) });
+
+      if (note.slideTo) {
+        events.push(...this.slideEvents(channel, note.slideTo - note.note, start, end, note.slideDuration));
+      }
+    }
+
+    // Lyric meta events, shown by karaoke players and DAW lyric/score views
+    for (const lyric of track.lyrics || []) {
+      events.push(this.metaEvent(Math.max(0, Math.round(lyric.time)), 0x05, Buffer.from(lyric.text, 'utf8')));
+    }
+
+    return events;
+  }
+
+  // RPN 0 (pitch bend sensitivity) = BEND_RANGE semitones, then the RPN is closed again
+  bendRangeEvents(channel) {
+    const controllers = [[101, 0], [100, 0], [6, BEND_RANGE], [38, 0], [101, 127], [100, 127]];
+    return controllers.map(([controller, value]) => ({
+      time: 0,
+      kind: 'controller',
+      data: Buffer.from([0xb0 | channel, controller, value])
+    }));
+  }
+
+  // Bend ramp over the last `slideDuration` ticks of a note, reset when it ends
+  slideEvents(channel, semitones, start, end, slideDuration = 60) {
+    const clamped = Math.max(-BEND_RANGE, Math.min(BEND_RANGE, semitones));
+    const slideStart = Math.max(start, end - Math.round(slideDuration));
+    const steps = Math.max(1, Math.round((end - slideStart) / (this.ticksPerQuarter / 32)));
+    const events = [];
+
+    for (let step = 1; step <= steps; step++) {
+      const time = Math.min(end - 1, slideStart + Math.round(((end - slideStart) * step) / steps));
+      events.push(this.pitchBendEvent(channel, time, (clamped / BEND_RANGE) * (step / steps)));
+    }
+    events.push(this.pitchBendEvent(channel, end, 0));
+    return events;
+  }
+
+  // amount: -1 (full range down) to 1 (full range up)
+  pitchBendEvent(channel, time, amount) {
+    const value = Math.max(0, Math.min(16383, Math.round(8192 + amount * 8192)));
+    return { time, kind: 'pitchBend', data: Buffer.from([0xe0 | channel, value & 0x7f, value >> 7]) };
+  }
+
+  metaEvent(time, type, payload) {
+    return {
+      time,
+      kind: 'meta',
+      data: Buffer.concat([Buffer.from([0xff, type]), MidiWriter.encodeVarLength(payload.length), payload])
+    };
+  }
+
+  encodeTrack(events) {
+    const sorted = events
+      .map((event, index) => ({ ...event, index }))
+      .sort((a, b) => a.time - b.time || EVENT_ORDER[a.kind] - EVENT_ORDER[b.kind] || a.index - b.index);
+
+    const chunks = [];
+    let lastTime = 0;
+    for (const event of sorted) {
+      chunks.push(MidiWriter.encodeVarLength(event.time - lastTime), event.data);
+      lastTime = event.time;
+    }
+    chunks.push(Buffer.from([0x00, 0xff, 0x2f, 0x00])); // end of track
+
+    const body = Buffer.concat(chunks);
+    const header = Buffer.alloc(8);
+    header.write('MTrk', 0, 'ascii');
+    header.writeUInt32BE(body.length, 4);
+    return Buffer.concat([header, body]);
+  }
+
+  static encodeVarLength(value) {
+    const bytes = [value & 0x7f];
+    let remaining = value >> 7;
+    while (remaining > 0) {
+      bytes.unshift((remaining & 0x7f) | 0x80);
+      remaining >>= 7;
+    }
+    return Buffer.from(bytes);
+  }
+}
+
+module.exports = MidiWriter;
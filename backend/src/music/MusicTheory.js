@@ -0,0 +1,224 @@
+// Shared pitch, key and scale helpers for analysis, the chord engine and the file writers
+const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const NATURAL_PITCH_CLASSES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Circle of fifths: sharps (positive) or flats (negative) in each major key signature
+const MAJOR_KEY_SIGNATURES = {
+  'Cb': -7, 'Gb': -6, 'Db': -5, 'Ab': -4, 'Eb': -3, 'Bb': -2, 'F': -1,
+  'C': 0, 'G': 1, 'D': 2, 'A': 3, 'E': 4, 'B': 5, 'F#': 6, 'C#': 7
+};
+
+// Semitone steps from the tonic. `degrees` marks which scale degree (0-6) each step spells,
+// so pentatonic and blues scales borrow their letters from the parent heptatonic scale.
+const SCALES = {
+  major: { steps: [0, 2, 4, 5, 7, 9, 11] },
+  dorian: { steps: [0, 2, 3, 5, 7, 9, 10] },
+  phrygian: { steps: [0, 1, 3, 5, 7, 8, 10] },
+  lydian: { steps: [0, 2, 4, 6, 7, 9, 11] },
+  mixolydian: { steps: [0, 2, 4, 5, 7, 9, 10] },
+  minor: { steps: [0, 2, 3, 5, 7, 8, 10] },
+  locrian: { steps: [0, 1, 3, 5, 6, 8, 10] },
+  harmonicMinor: { steps: [0, 2, 3, 5, 7, 8, 11] },
+  melodicMinor: { steps: [0, 2, 3, 5, 7, 9, 11] },
+  majorPentatonic: { steps: [0, 2, 4, 7, 9], degrees: [0, 1, 2, 4, 5] },
+  minorPentatonic: { steps: [0, 3, 5, 7, 10], degrees: [0, 2, 3, 4, 6] },
+  blues: { steps: [0, 3, 5, 6, 7, 10], degrees: [0, 2, 3, 3, 4, 6] },
+  majorBlues: { steps: [0, 2, 3, 4, 7, 9], degrees: [0, 1, 2, 2, 4, 5] }
+};
+
+// Church modes and their offset from the relative major (used for key signatures)
+const MODES = {
+  major: 0, ionian: 0, dorian: 2, phrygian: 4, lydian: 5, mixolydian: 7, minor: 9, aeolian: 9, locrian: 11
+};
+const MODE_ALIASES = { ionian: 'major', aeolian: 'minor', m: 'minor', min: 'minor' };
+
+class MusicTheory {
+  // 'C', 'F#', 'Bb', 'Cbb' -> pitch class 0-11
+  static pitchClass(noteName) {
+    const base = NATURAL_PITCH_CLASSES[noteName[0]];
+    if (base === undefined) return null;
+
+    let offset = 0;
+    for (const accidental of noteName.slice(1)) {
+      if (accidental === '#' || accidental === '♯') offset += 1;
+      else if (accidental === 'b' || accidental === '♭') offset -= 1;
+      else return null;
+    }
+    return (base + offset + 12) % 12;
+  }
+
+  static noteName(pitchClass, { preferFlats = false } = {}) {
+    const index = ((pitchClass % 12) + 12) % 12;
+    return preferFlats ? FLAT_NAMES[index] : SHARP_NAMES[index];
+  }
+
+  // 61 -> 'C#4' (scientific pitch, middle C = C4)
+  static midiToNoteName(midi, options = {}) {
+    const rounded = Math.round(midi);
+    return `${this.noteName(rounded, options)}${Math.floor(rounded / 12) - 1}`;
+  }
+
+  // Accepts the spellings used across the app and by the agents: 'C', 'Am', 'Bbm',
+  // 'A minor', 'F# major', 'D dorian'. Returns { tonic, tonicPitchClass, mode } or null.
+  static parseKey(key) {
+    if (typeof key !== 'string') return null;
+
+    const match = /^\s*([A-Ga-g])([#b♯♭]?)\s*(.*?)\s*$/.exec(key);
+    if (!match) return null;
+
+    const tonic = match[1].toUpperCase() + match[2].replace('♯', '#').replace('♭', 'b');
+    const modeText = match[3].toLowerCase().replace(/[^a-z]/g, '');
+    let mode;
+    if (modeText === '' || modeText === 'maj' || modeText === 'major') mode = 'major';
+    else mode = MODE_ALIASES[modeText] || modeText;
+
+    if (MODES[mode] === undefined) return null;
+    return { tonic, tonicPitchClass: this.pitchClass(tonic), mode };
+  }
+
+  // Back to the app's short form: 'C', 'Am', 'D dorian'
+  static formatKey(key) {
+    const parsed = typeof key === 'string' ? this.parseKey(key) : key;
+    if (!parsed) return null;
+    if (parsed.mode === 'major') return parsed.tonic;
+    if (parsed.mode === 'minor') return `${parsed.tonic}m`;
+    return `${parsed.tonic} ${parsed.mode}`;
+  }
+
+  // Conventional tonic spelling for a key: the enharmonic whose signature has fewer
+  // accidentals. Six-accidental ties go to F# major and Eb minor, as usually written.
+  static tonicName(pitchClass, mode = 'major') {
+    const offset = MODES[mode] ?? 0;
+    const relativeMajor = (((pitchClass - offset) % 12) + 12) % 12;
+    const spellings = [...new Set([SHARP_NAMES[relativeMajor], FLAT_NAMES[relativeMajor], relativeMajor === 11 ? 'Cb' : null])]
+      .filter(name => MAJOR_KEY_SIGNATURES[name] !== undefined);
+
+    const preferSharps = mode === 'major';
+    spellings.sort((a, b) => {
+      const difference = Math.abs(MAJOR_KEY_SIGNATURES[a]) - Math.abs(MAJOR_KEY_SIGNATURES[b]);
+      if (difference !== 0) return difference;
+      return preferSharps ? MAJOR_KEY_SIGNATURES[b] - MAJOR_KEY_SIGNATURES[a] : MAJOR_KEY_SIGNATURES[a] - MAJOR_KEY_SIGNATURES[b];
+    });
+
+    const majorScale = this.spellScale({ tonic: spellings[0], tonicPitchClass: relativeMajor, mode: 'major' });
+    return majorScale[SCALES.major.steps.indexOf(offset)];
+  }
+
+  // Key signature for MIDI/MusicXML: { sharps: -7..7, minor }, or null for unusable keys
+  // (e.g. D# major, which would need double sharps)
+  static keySignature(key) {
+    const parsed = typeof key === 'string' ? this.parseKey(key) : key;
+    if (!parsed) return null;
+
+    const offset = MODES[parsed.mode];
+    const relativeMajor = (parsed.tonicPitchClass - offset + 12) % 12;
+    // Spell the relative major from the tonic's letter so 'Bbm' gives Db (5 flats), not C#
+    const tonicLetter = LETTERS.indexOf(parsed.tonic[0]);
+    const majorLetter = LETTERS[(tonicLetter - SCALES.major.steps.indexOf(offset) + 7) % 7];
+    const majorName = spellPitchClass(relativeMajor, majorLetter);
+    const sharps = MAJOR_KEY_SIGNATURES[majorName];
+
+    if (sharps === undefined) {
+      // Fall back to the enharmonic key with a real signature
+      const alternative = MAJOR_KEY_SIGNATURES[SHARP_NAMES[relativeMajor]] ?? MAJOR_KEY_SIGNATURES[FLAT_NAMES[relativeMajor]];
+      if (alternative === undefined) return null;
+      return { sharps: alternative, minor: parsed.mode === 'minor' };
+    }
+    return { sharps, minor: parsed.mode === 'minor' };
+  }
+
+  // Pitch classes of a scale. `scale` defaults to the key's own mode.
+  static scale(key, scale = null) {
+    const parsed = typeof key === 'string' ? this.parseKey(key) : key;
+    if (!parsed) return null;
+
+    const definition = SCALES[scale || MODE_ALIASES[parsed.mode] || parsed.mode];
+    if (!definition) return null;
+    return definition.steps.map(step => (parsed.tonicPitchClass + step) % 12);
+  }
+
+  // Note names of a scale spelled with one letter per degree ('F' major -> Bb, not A#)
+  static spellScale(key, scale = null) {
+    const parsed = typeof key === 'string' ? this.parseKey(key) : key;
+    if (!parsed) return null;
+
+    const name = scale || MODE_ALIASES[parsed.mode] || parsed.mode;
+    const definition = SCALES[name];
+    if (!definition) return null;
+
+    const tonicLetter = LETTERS.indexOf(parsed.tonic[0]);
+    return definition.steps.map((step, index) => {
+      const degree = definition.degrees ? definition.degrees[index] : index;
+      const letter = LETTERS[(tonicLetter + degree) % 7];
+      return spellPitchClass((parsed.tonicPitchClass + step) % 12, letter);
+    });
+  }
+
+  // Name a pitch class the way the key would write it: diatonic notes take the scale's
+  // spelling, chromatic notes follow the direction of the key signature
+  static spellInKey(pitchClass, key) {
+    const parsed = typeof key === 'string' ? this.parseKey(key) : key;
+    const index = ((pitchClass % 12) + 12) % 12;
+    if (!parsed) return SHARP_NAMES[index];
+
+    const scaleNotes = this.spellScale(parsed);
+    const diatonic = scaleNotes.find(name => this.pitchClass(name) === index);
+    if (diatonic) return diatonic;
+
+    const signature = this.keySignature(parsed);
+    return signature && signature.sharps < 0 ? FLAT_NAMES[index] : SHARP_NAMES[index];
+  }
+
+  // Triads built on each degree of a heptatonic key: C major -> C Dm Em F G Am Bdim
+  static diatonicChords(key, { sevenths = false } = {}) {
+    const parsed = typeof key === 'string' ? this.parseKey(key) : key;
+    if (!parsed) return null;
+
+    const pitchClasses = this.scale(parsed);
+    const names = this.spellScale(parsed);
+    if (pitchClasses.length !== 7) return null;
+
+    return pitchClasses.map((root, degree) => {
+      const third = (pitchClasses[(degree + 2) % 7] - root + 12) % 12;
+      const fifth = (pitchClasses[(degree + 4) % 7] - root + 12) % 12;
+      const seventh = (pitchClasses[(degree + 6) % 7] - root + 12) % 12;
+
+      let suffix = third === 3 ? 'm' : '';
+      if (fifth === 6) suffix = sevenths ? 'm7b5' : 'dim';
+      else if (fifth === 8) suffix = 'aug';
+      else if (sevenths) suffix += seventh === 11 ? (third === 3 ? '(maj7)' : 'maj7') : '7';
+
+      return names[degree] + suffix;
+    });
+  }
+
+  // All 24 major and minor keys in the app's short form, with conventional spellings
+  static allKeys() {
+    const keys = [];
+    for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+      keys.push(this.tonicName(pitchClass, 'major'));
+      keys.push(`${this.tonicName(pitchClass, 'minor')}m`);
+    }
+    return keys;
+  }
+
+  static get scaleNames() {
+    return Object.keys(SCALES);
+  }
+
+  static get modeNames() {
+    return Object.keys(MODES).filter(mode => !MODE_ALIASES[mode]);
+  }
+}
+
+// Spell a pitch class on a given letter: (10, 'B') -> 'Bb', (10, 'A') -> 'A#'
+function spellPitchClass(pitchClass, letter) {
+  let difference = (pitchClass - NATURAL_PITCH_CLASSES[letter] + 12) % 12;
+  if (difference > 6) difference -= 12;
+  if (difference >= 0) return letter + '#'.repeat(difference);
+  return letter + 'b'.repeat(-difference);
+}
+
+module.exports = MusicTheory;
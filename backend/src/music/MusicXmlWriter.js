@@ -0,0 +1,314 @@
+const MusicTheory = require('./MusicTheory');
+const ChordSymbol = require('./ChordSymbol');
+
+// ChordSymbol qualities -> MusicXML <kind> values. The `text` attribute carries the
+// symbol as written, so extensions and alterations display exactly as the agent spelled them.
+const HARMONY_KINDS = {
+  major: 'major',
+  minor: 'minor',
+  dominant: 'dominant',
+  'major-seventh': 'major-seventh',
+  'minor-seventh': 'minor-seventh',
+  'minor-major': 'major-minor',
+  diminished: 'diminished',
+  'diminished-seventh': 'diminished-seventh',
+  'half-diminished': 'half-diminished',
+  augmented: 'augmented',
+  'augmented-seventh': 'augmented-seventh',
+  suspended: 'suspended-fourth',
+  'dominant-suspended': 'dominant',
+  'major-sixth': 'major-sixth',
+  'minor-sixth': 'minor-sixth',
+  power: 'power',
+  altered: 'dominant'
+};
+
+// Written note values in sixteenths, longest first: whole, dotted half, half, dotted quarter...
+const NOTE_VALUES = [
+  [16, 'whole', 0], [12, 'half', 1], [8, 'half', 0], [6, 'quarter', 1],
+  [4, 'quarter', 0], [3, 'eighth', 1], [2, 'eighth', 0], [1, '16th', 0]
+];
+
+const DIVISIONS = 4; // per quarter note: sixteenth-note resolution, the melody's quantize grid
+
+// Lead sheet export: the melody guide on one staff with chord symbols above it,
+// section rehearsal marks and the transcribed lyrics as syllables under the notes
+class MusicXmlWriter {
+  constructor(options = {}) {
+    this.title = options.title || 'Hum It Out Session';
+  }
+
+  // song: as built by FileManager.buildSong (tempo, key, startTick, totalBars, sections,
+  // chords, tracks); the melody comes from the track with role 'melody'
+  write(song, { lyrics = '' } = {}) {
+    const ticksPerStep = song.ticksPerQuarter / DIVISIONS;
+    const [beats, beatType] = song.timeSignature || [4, 4];
+    const stepsPerBar = beats * DIVISIONS * (4 / beatType);
+    const origin = song.startTick || 0;
+    const toStep = (ticks) => Math.round((ticks - origin) / ticksPerStep);
+
+    const melodyTrack = song.tracks.find(track => track.role === 'melody');
+    const melody = (melodyTrack?.notes || [])
+      .map(note => ({ pitch: note.note, start: toStep(note.time), end: toStep(note.time + note.duration) }))
+      .filter(note => note.start >= 0 && note.end > note.start);
+    const chords = (song.chords || []).map(span => ({ ...span, start: toStep(span.time) }));
+    const syllables = MusicXmlWriter.syllables(lyrics);
+
+    const totalBars = Math.max(1, song.totalBars || Math.ceil(Math.max(0, ...melody.map(note => note.end)) / stepsPerBar));
+    const clef = this.clef(melody);
+    let syllableIndex = 0;
+
+    const measures = [];
+    for (let bar = 0; bar < totalBars; bar++) {
+      const barStart = bar * stepsPerBar;
+      const barEnd = barStart + stepsPerBar;
+      const parts = [];
+
+      if (bar === 0) {
+        parts.push(this.attributes(song.key, beats, beatType, clef));
+        parts.push(this.tempoDirection(song.tempo));
+      }
+
+      const section = (song.sections || []).find(item => item.startBar === bar);
+      if (section) parts.push(this.rehearsal(section.name));
+
+      const barChords = chords.filter(span => span.start >= barStart && span.start < barEnd);
+      const barNotes = melody.filter(note => note.start < barEnd && note.end > barStart);
+
+      if (barNotes.length === 0 && barChords.length <= 1) {
+        if (barChords.length === 1) parts.push(this.harmony(barChords[0].chord, barChords[0].symbol));
+        parts.push(`      <note><rest measure="yes"/><duration>${stepsPerBar}</duration></note>`);
+      } else {
+        // Cut the bar into segments at every note edge and chord change, then write each
+        // segment as tied note values
+        const cuts = new Set([barStart, barEnd, ...barChords.map(span => span.start)]);
+        for (const note of barNotes) {
+          cuts.add(Math.max(barStart, note.start));
+          cuts.add(Math.min(barEnd, note.end));
+        }
+        const points = [...cuts].sort((a, b) => a - b);
+
+        for (let i = 0; i < points.length - 1; i++) {
+          const start = points[i];
+          const end = points[i + 1];
+          const chord = barChords.find(span => span.start === start);
+          if (chord) parts.push(this.harmony(chord.chord, chord.symbol));
+
+          const note = barNotes.find(item => item.start <= start && item.end > start);
+          if (!note) {
+            parts.push(...this.rests(end - start));
+            continue;
+          }
+
+          const lyric = note.start === start && syllableIndex < syllables.length ? syllables[syllableIndex++] : null;
+          parts.push(...this.notes(note.pitch, end - start, song.key, {
+            tieFromPrevious: note.start < start,
+            tieToNext: note.end > end,
+            lyric
+          }));
+        }
+      }
+
+      measures.push(`    <measure number="${bar + 1}">\n${parts.join('\n')}\n    </measure>`);
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+      '<score-partwise version="4.0">',
+      `  <work><work-title>${escapeXml(song.title || this.title)}</work-title></work>`,
+      '  <identification>',
+      '    <encoding>',
+      '      <software>Hum It Out</software>',
+      `      <encoding-date>${new Date().toISOString().slice(0, 10)}</encoding-date>`,
+      '    </encoding>',
+      '  </identification>',
+      '  <part-list>',
+      '    <score-part id="P1"><part-name>Melody</part-name></score-part>',
+      '  </part-list>',
+      '  <part id="P1">',
+      ...measures,
+      '  </part>',
+      '</score-partwise>',
+      ''
+    ].join('\n');
+  }
+
+  // Treble clef, or the octave-down tenor treble clef for low (usually male) humming
+  clef(melody) {
+    const pitches = melody.map(note => note.pitch).sort((a, b) => a - b);
+    const median = pitches.length ? pitches[Math.floor(pitches.length / 2)] : 67;
+    return median < 57 ? { sign: 'G', line: 2, octaveChange: -1 } : { sign: 'G', line: 2, octaveChange: 0 };
+  }
+
+  attributes(key, beats, beatType, clef) {
+    const parsed = MusicTheory.parseKey(key || 'C');
+    const signature = MusicTheory.keySignature(parsed) || { sharps: 0 };
+    const mode = parsed ? parsed.mode : 'major';
+    return [
+      '      <attributes>',
+      `        <divisions>${DIVISIONS}</divisions>`,
+      `        <key><fifths>${signature.sharps}</fifths><mode>${mode}</mode></key>`,
+      `        <time><beats>${beats}</beats><beat-type>${beatType}</beat-type></time>`,
+      `        <clef><sign>${clef.sign}</sign><line>${clef.line}</line>${clef.octaveChange ? `<clef-octave-change>${clef.octaveChange}</clef-octave-change>` : ''}</clef>`,
+      '      </attributes>'
+    ].join('\n');
+  }
+
+  tempoDirection(tempo) {
+    const bpm = Math.round(tempo || 120);
+    return [
+      '      <direction placement="above">',
+      `        <direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${bpm}</per-minute></metronome></direction-type>`,
+      `        <sound tempo="${bpm}"/>`,
+      '      </direction>'
+    ].join('\n');
+  }
+
+  rehearsal(name) {
+    const label = name.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+    return `      <direction placement="above"><direction-type><rehearsal>${escapeXml(label)}</rehearsal></direction-type></direction>`;
+  }
+
+  // <harmony> for a parsed chord; `symbol` is the text shown, minus root and slash bass
+  harmony(chord, symbol) {
+    const text = ChordSymbol.suffix({ ...chord, symbol });
+    const lines = [
+      '      <harmony>',
+      `        <root>${this.stepAlter(chord.root, 'root')}</root>`,
+      `        <kind text="${escapeXml(text)}">${HARMONY_KINDS[chord.quality] || 'other'}</kind>`
+    ];
+    if (chord.bass) {
+      lines.push(`        <bass>${this.stepAlter(chord.bass, 'bass')}</bass>`);
+    }
+    lines.push('      </harmony>');
+    return lines.join('\n');
+  }
+
+  stepAlter(name, prefix) {
+    const alter = [...name.slice(1)].reduce((total, sign) => total + (sign === '#' || sign === '♯' ? 1 : -1), 0);
+    return `<${prefix}-step>${name[0]}</${prefix}-step>${alter ? `<${prefix}-alter>${alter}</${prefix}-alter>` : ''}`;
+  }
+
+  rests(steps) {
+    return MusicXmlWriter.splitDuration(steps).map(([duration, type, dots]) => (
+      `      <note><rest/><duration>${duration}</duration><type>${type}</type>${'<dot/>'.repeat(dots)}</note>`
+    ));
+  }
+
+  // One sounding note written as tied values; the lyric goes on the first of them
+  notes(midi, steps, key, { tieFromPrevious = false, tieToNext = false, lyric = null } = {}) {
+    const pitch = this.pitch(midi, key);
+    const values = MusicXmlWriter.splitDuration(steps);
+
+    return values.map(([duration, type, dots], index) => {
+      const tiedBefore = tieFromPrevious || index > 0;
+      const tiedAfter = tieToNext || index < values.length - 1;
+      const ties = [tiedBefore ? 'stop' : null, tiedAfter ? 'start' : null].filter(Boolean);
+
+      const lines = ['      <note>', `        ${pitch}`, `        <duration>${duration}</duration>`];
+      ties.forEach(tie => lines.push(`        <tie type="${tie}"/>`));
+      lines.push(`        <type>${type}</type>`);
+      for (let d = 0; d < dots; d++) lines.push('        <dot/>');
+      if (ties.length) {
+        lines.push(`        <notations>${ties.map(tie => `<tied type="${tie}"/>`).join('')}</notations>`);
+      }
+      if (lyric && index === 0) {
+        lines.push(`        <lyric number="1"><syllabic>${lyric.syllabic}</syllabic><text>${escapeXml(lyric.text)}</text></lyric>`);
+      }
+      lines.push('      </note>');
+      return lines.join('\n');
+    });
+  }
+
+  // Spelled the way the key writes it; Cb and B# belong to the neighbouring octave
+  pitch(midi, key) {
+    const name = MusicTheory.spellInKey(midi % 12, key || 'C');
+    let octave = Math.floor(midi / 12) - 1;
+    if (name.startsWith('Cb')) octave += 1;
+    if (name.startsWith('B#')) octave -= 1;
+    const alter = [...name.slice(1)].reduce((total, sign) => total + (sign === '#' ? 1 : -1), 0);
+    return `<pitch><step>${name[0]}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>`;
+  }
+
+  // Greedy split into written values: 7 sixteenths -> dotted quarter + sixteenth
+  static splitDuration(steps) {
+    const values = [];
+    let remaining = steps;
+    while (remaining > 0) {
+      const value = NOTE_VALUES.find(([length]) => length <= remaining);
+      values.push(value);
+      remaining -= value[0];
+    }
+    return values;
+  }
+
+  // Lyric text -> [{ text, syllabic: single|begin|middle|end }] in singing order
+  static syllables(text) {
+    const result = [];
+    for (const word of String(text || '').split(/\s+/)) {
+      const clean = word.replace(/[^\p{L}\p{N}'’-]/gu, '');
+      if (!clean) continue;
+      const parts = splitSyllables(clean);
+      parts.forEach((part, index) => {
+        let syllabic = 'single';
+        if (parts.length > 1) syllabic = index === 0 ? 'begin' : index === parts.length - 1 ? 'end' : 'middle';
+        result.push({ text: part, syllabic });
+      });
+    }
+    return result;
+  }
+}
+
+// Rough English syllable split on vowel groups: one consonant between vowels starts the next
+// syllable ("mu-sic"), two or more are divided ("hel-lo"). A silent final e stays attached.
+function splitSyllables(word) {
+  const isVowel = (char, index) => /[aeiouäöüéèêáàíóúå]/i.test(char) || (/y/i.test(char) && index > 0);
+  const groups = [];
+  for (let i = 0; i < word.length; i++) {
+    if (isVowel(word[i], i) && (i === 0 || !isVowel(word[i - 1], i - 1))) {
+      let end = i;
+      while (end + 1 < word.length && isVowel(word[end + 1], end + 1)) end++;
+      groups.push([i, end]);
+    }
+  }
+
+  // Silent final e ("love", "time"), except consonant + le ("lit-tle"), and silent
+  // -es / -ed endings ("times", "loved", but "kiss-es", "want-ed")
+  const last = groups[groups.length - 1];
+  const lastIndex = last[0];
+  const before = word[lastIndex - 1] || '';
+  const ending = word.slice(lastIndex).toLowerCase();
+  const silentE = ending === 'e' && !(/l/i.test(before) && !isVowel(word[lastIndex - 2] || 'a', lastIndex - 2));
+  const silentEs = ending === 'es' && !/[szxcg]/i.test(before);
+  const silentEd = ending === 'ed' && !/[td]/i.test(before);
+  if (groups.length > 1 && last[0] === last[1] && (silentE || silentEs || silentEd)) {
+    groups.pop();
+  }
+  if (groups.length <= 1) return [word];
+
+  const parts = [];
+  let start = 0;
+  for (let g = 0; g < groups.length - 1; g++) {
+    const next = groups[g + 1][0];
+    const consonants = next - groups[g][1] - 1;
+    // "ta-ble": the consonant before a final le goes with it
+    const finalLe = next === word.length - 1 && /e/i.test(word[next]) && /l/i.test(word[next - 1]) && consonants >= 2;
+    const cut = finalLe ? next - 2 : groups[g][1] + 1 + (consonants >= 2 ? 1 : 0);
+    parts.push(word.slice(start, cut));
+    start = cut;
+  }
+  parts.push(word.slice(start));
+  return parts.filter(Boolean);
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+module.exports = MusicXmlWriter;
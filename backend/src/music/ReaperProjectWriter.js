@@ -0,0 +1,112 @@
+// REAPER project (.rpp): the stems on named tracks at their mix levels, the MIDI parts as
+// in-project MIDI items, section markers and the original hum, all referenced by relative path
+class ReaperProjectWriter {
+  constructor(options = {}) {
+    this.sampleRate = options.sampleRate || 48000;
+  }
+
+  // project: { song, duration, stems: [{ name, file, level, pan }], hum: { file, start, duration } | null }
+  write({ song, duration, stems = [], hum = null }) {
+    const [numerator, denominator] = song.timeSignature || [4, 4];
+    const lines = [
+      `<REAPER_PROJECT 0.1 "6.0" ${Math.floor(Date.now() / 1000)}`,
+      `  TEMPO ${round(song.tempo)} ${numerator} ${denominator}`,
+      `  SAMPLERATE ${this.sampleRate} 0 0`,
+      '  <NOTES 0 2',
+      `    |${song.title}`,
+      `    |Key: ${song.key}, ${round(song.tempo)} BPM`,
+      '  >'
+    ];
+
+    song.markers.forEach((marker, index) => {
+      lines.push(`  MARKER ${index + 1} ${round(this.seconds(marker.time, song))} ${quote(marker.text)} 0`);
+    });
+
+    for (const stem of stems) {
+      lines.push(...this.track(stem.name, { volume: stem.level, pan: stem.pan }, this.audioItem(stem.file, 0, duration)));
+    }
+
+    for (const track of song.tracks.filter(track => track.notes.length > 0)) {
+      lines.push(...this.track(`${track.name} (MIDI)`, { volume: 1, pan: 0 }, this.midiItem(track, song, duration)));
+    }
+
+    if (hum) {
+      lines.push(...this.track('Original Hum', { volume: 1, pan: 0 }, this.audioItem(hum.file, hum.start, hum.duration)));
+    }
+
+    lines.push('>');
+    return lines.join('\n') + '\n';
+  }
+
+  track(name, { volume, pan }, item) {
+    return [
+      '  <TRACK',
+      `    NAME ${quote(name)}`,
+      `    VOLPAN ${round(volume)} ${round(pan)} -1 -1 1`,
+      ...item.map(line => `    ${line}`),
+      '  >'
+    ];
+  }
+
+  audioItem(file, position, length) {
+    return [
+      '<ITEM',
+      `  POSITION ${round(position)}`,
+      `  LENGTH ${round(length)}`,
+      `  NAME ${quote(file.split('/').pop())}`,
+      '  <SOURCE WAVE',
+      `    FILE ${quote(file)}`,
+      '  >',
+      '>'
+    ];
+  }
+
+  // Events are "E <delta ticks> <status> <data1> <data2>" in hex, at the song's resolution
+  midiItem(track, song, length) {
+    const channel = track.channel & 0x0f;
+    const events = [];
+    for (const note of track.notes) {
+      const start = Math.max(0, Math.round(note.time));
+      const velocity = Math.max(1, Math.min(127, Math.round(note.velocity || 80)));
+      events.push({ time: start, order: 1, bytes: [0x90 | channel, note.note, velocity] });
+      events.push({ time: Math.max(start + 1, Math.round(note.time + note.duration)), order: 0, bytes: [0x80 | channel, note.note, 0] });
+    }
+    events.sort((a, b) => a.time - b.time || a.order - b.order);
+
+    const lines = [
+      '<ITEM',
+      '  POSITION 0',
+      `  LENGTH ${round(length)}`,
+      `  NAME ${quote(track.name)}`,
+      '  <SOURCE MIDI',
+      `    HASDATA 1 ${song.ticksPerQuarter} QN`
+    ];
+    let previous = 0;
+    for (const event of events) {
+      lines.push(`    E ${event.time - previous} ${event.bytes.map(hex).join(' ')}`);
+      previous = event.time;
+    }
+    const end = Math.max(previous, Math.round(length / this.seconds(1, song)));
+    lines.push(`    E ${end - previous} ${hex(0xb0 | channel)} 7b 00`, '  >', '>');
+    return lines;
+  }
+
+  seconds(ticks, song) {
+    return (ticks * 60) / song.tempo / song.ticksPerQuarter;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000000) / 1000000;
+}
+
+function hex(byte) {
+  return byte.toString(16).padStart(2, '0');
+}
+
+// REAPER strings are double-quoted; it has no escape for a double quote inside one
+function quote(text) {
+  return `"${String(text).replace(/"/g, "'")}"`;
+}
+
+module.exports = ReaperProjectWriter;
@@ -0,0 +1,67 @@
+const ChordSymbol = require('../ChordSymbol');
+const ChordVoicer = require('../ChordVoicer');
+
+describe('ChordSymbol.parse', () => {
+  it.each([
+    ['Fmaj7', { root: 'F', rootPitchClass: 5, bass: null, quality: 'major-seventh', intervals: [0, 4, 7, 11] }],
+    ['Bb/D', { root: 'Bb', rootPitchClass: 10, bass: 'D', bassPitchClass: 2, quality: 'major', intervals: [0, 4, 7] }],
+    ['G7sus4', { root: 'G', rootPitchClass: 7, bass: null, quality: 'dominant-suspended', intervals: [0, 5, 7, 10] }],
+    ['F#m7b5', { root: 'F#', rootPitchClass: 6, bass: null, quality: 'half-diminished', intervals: [0, 3, 6, 10] }],
+    ['Ebm(maj7)', { root: 'Eb', rootPitchClass: 3, bass: null, quality: 'minor-major', intervals: [0, 3, 7, 11] }],
+    ['C6/9', { root: 'C', rootPitchClass: 0, bass: null, quality: 'major-sixth', intervals: [0, 4, 7, 9, 14] }]
+  ])('reads %s', (symbol, expected) => {
+    expect(ChordSymbol.parse(symbol)).toMatchObject({ symbol, ...expected });
+  });
+
+  it.each(['H7', 'Cxyz', '7', '', null])('rejects %p', (symbol) => {
+    expect(ChordSymbol.parse(symbol)).toBeNull();
+  });
+
+  it('puts a slash bass that is not a chord tone first', () => {
+    expect(ChordSymbol.pitchClasses(ChordSymbol.parse('C/Bb'))).toEqual([10, 0, 4, 7]);
+  });
+
+  it('transposes the root and bass and keeps the suffix', () => {
+    const chord = ChordSymbol.transpose(ChordSymbol.parse('Bb/D'), 2);
+    expect(chord).toMatchObject({ symbol: 'C/E', rootPitchClass: 0, bassPitchClass: 4 });
+    expect(ChordSymbol.transpose(ChordSymbol.parse('Am7'), 1, { preferFlats: true }).symbol).toBe('Bbm7');
+  });
+});
+
+describe('ChordVoicer', () => {
+  const progression = ['C', 'Am', 'F', 'G7', 'Em7', 'A7', 'Dm7', 'G7sus4', 'Cmaj7', 'Bb/D', 'Fmaj7', 'F#m7b5', 'B7', 'Em'];
+  const voicer = new ChordVoicer();
+  const voicings = voicer.voiceProgression(progression);
+
+  it('keeps the right hand and the bass inside their ranges', () => {
+    for (const voicing of voicings) {
+      expect(Math.min(...voicing.upper)).toBeGreaterThanOrEqual(voicer.low);
+      expect(Math.max(...voicing.upper)).toBeLessThanOrEqual(voicer.high);
+      expect(voicing.bass).toBeGreaterThanOrEqual(voicer.bassLow);
+      expect(voicing.bass).toBeLessThan(voicer.low);
+    }
+  });
+
+  it('sounds the chord tones, with a slash bass in the bass', () => {
+    voicings.forEach((voicing, index) => {
+      const chord = ChordSymbol.parse(progression[index]);
+      const sounded = voicing.notes.map(note => note % 12);
+      expect(ChordSymbol.pitchClasses(chord)).toEqual(expect.arrayContaining(sounded));
+      expect(voicing.bass % 12).toBe(chord.bassPitchClass ?? chord.rootPitchClass);
+    });
+  });
+
+  it('moves each voice by small steps between chords', () => {
+    for (let index = 1; index < voicings.length; index++) {
+      const previous = voicings[index - 1].upper;
+      for (const note of voicings[index].upper) {
+        const step = Math.min(...previous.map(other => Math.abs(other - note)));
+        expect(step).toBeLessThanOrEqual(3);
+      }
+    }
+  });
+
+  it('returns null for symbols it cannot read', () => {
+    expect(voicer.voiceProgression(['C', 'H7', 'G'])[1]).toBeNull();
+  });
+});
@@ -0,0 +1,108 @@
+const MidiWriter = require('../MidiWriter');
+const midiReader = require('./midiReader');
+
+const song = {
+  title: 'Round Trip',
+  tempo: 90,
+  timeSignature: [3, 4],
+  key: 'Bbm',
+  markers: [{ time: 0, text: 'Verse' }, { time: 1920, text: 'Chorus' }],
+  tracks: [
+    {
+      name: 'Piano',
+      channel: 0,
+      program: 4,
+      notes: [
+        { note: 60, velocity: 90, time: 0, duration: 480 },
+        { note: 64, velocity: 70, time: 480, duration: 480 }
+      ],
+      lyrics: [{ time: 0, text: 'Hum ' }, { time: 480, text: 'it' }]
+    },
+    {
+      name: 'Drums',
+      channel: 9,
+      notes: [
+        { note: 36, velocity: 110, time: 0, duration: 120 },
+        { note: 38, velocity: 100, time: 480, duration: 120 }
+      ]
+    }
+  ]
+};
+
+// [delta, description] per event, so the order and spacing are checked together
+function summarize(track) {
+  let lastTime = 0;
+  return track.events.map(event => {
+    const delta = event.time - lastTime;
+    lastTime = event.time;
+
+    if (event.type === 'meta') {
+      const text = [0x03, 0x05, 0x06].includes(event.metaType) ? event.data.toString('utf8') : [...event.data];
+      return [delta, 'meta', event.metaType, text];
+    }
+    if (event.type === 'program') return [delta, 'program', event.channel, event.value];
+    return [delta, event.type, event.channel, event.data1, event.data2];
+  });
+}
+
+describe('MidiWriter', () => {
+  const parsed = midiReader.parse(new MidiWriter().write(song));
+
+  it('writes a format 1 header with a conductor track before the instrument tracks', () => {
+    expect(parsed.format).toBe(1);
+    expect(parsed.ticksPerQuarter).toBe(480);
+    expect(parsed.tracks.map(track => track.name)).toEqual(['Round Trip', 'Piano', 'Drums']);
+  });
+
+  it('puts tempo, meter, key and markers on the conductor track', () => {
+    expect(summarize(parsed.tracks[0])).toEqual([
+      [0, 'meta', 0x03, 'Round Trip'],
+      // 90 BPM = 666667 microseconds per quarter
+      [0, 'meta', 0x51, [0x0a, 0x2c, 0x2b]],
+      // 3/4: denominator as a power of two, 24 clocks per click, 8 thirty-seconds per quarter
+      [0, 'meta', 0x58, [3, 2, 24, 8]],
+      // Bb minor: five flats, minor
+      [0, 'meta', 0x59, [0xfb, 1]],
+      [0, 'meta', 0x06, 'Verse'],
+      [1920, 'meta', 0x06, 'Chorus'],
+      [0, 'meta', 0x2f, []]
+    ]);
+  });
+
+  it('writes the program change, notes and lyrics of a melodic track', () => {
+    expect(summarize(parsed.tracks[1])).toEqual([
+      [0, 'meta', 0x03, 'Piano'],
+      [0, 'meta', 0x05, 'Hum '],
+      [0, 'program', 0, 4],
+      [0, 'noteOn', 0, 60, 90],
+      [480, 'meta', 0x05, 'it'],
+      // The note-off of C comes before the E that starts on the same tick
+      [0, 'noteOff', 0, 60, 0],
+      [0, 'noteOn', 0, 64, 70],
+      [480, 'noteOff', 0, 64, 0],
+      [0, 'meta', 0x2f, []]
+    ]);
+  });
+
+  it('writes drums on channel 10 without a program change', () => {
+    expect(summarize(parsed.tracks[2])).toEqual([
+      [0, 'meta', 0x03, 'Drums'],
+      [0, 'noteOn', 9, 36, 110],
+      [120, 'noteOff', 9, 36, 0],
+      [360, 'noteOn', 9, 38, 100],
+      [120, 'noteOff', 9, 38, 0],
+      [0, 'meta', 0x2f, []]
+    ]);
+  });
+
+  it('encodes delta times as variable-length quantities', () => {
+    expect([...MidiWriter.encodeVarLength(0)]).toEqual([0x00]);
+    expect([...MidiWriter.encodeVarLength(127)]).toEqual([0x7f]);
+    expect([...MidiWriter.encodeVarLength(1920)]).toEqual([0x8f, 0x00]);
+    expect([...MidiWriter.encodeVarLength(0x200000)]).toEqual([0x81, 0x80, 0x80, 0x00]);
+  });
+
+  it('reads back nothing but Standard MIDI Files', () => {
+    expect(() => midiReader.parse(Buffer.from('RIFF0000'))).toThrow('Not a Standard MIDI File');
+  });
+});
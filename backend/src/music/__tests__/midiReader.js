@@ -0,0 +1,83 @@
+// Minimal Standard MIDI File reader, so the tests can read back what MidiWriter wrote.
+// Returns header info and absolute-time events per track.
+function parse(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'MThd') {
+    throw new Error('Not a Standard MIDI File');
+  }
+
+  const headerLength = buffer.readUInt32BE(4);
+  const format = buffer.readUInt16BE(8);
+  const trackCount = buffer.readUInt16BE(10);
+  const ticksPerQuarter = buffer.readUInt16BE(12);
+  const tracks = [];
+  let offset = 8 + headerLength;
+
+  for (let t = 0; t < trackCount; t++) {
+    if (buffer.toString('ascii', offset, offset + 4) !== 'MTrk') {
+      throw new Error(`Track ${t} is missing its MTrk header`);
+    }
+    const length = buffer.readUInt32BE(offset + 4);
+    tracks.push(parseTrack(buffer.subarray(offset + 8, offset + 8 + length)));
+    offset += 8 + length;
+  }
+
+  return { format, ticksPerQuarter, tracks };
+}
+
+function parseTrack(data) {
+  const events = [];
+  let position = 0;
+  let time = 0;
+  let runningStatus = null;
+
+  const readVarLength = () => {
+    let value = 0;
+    let byte;
+    do {
+      byte = data[position++];
+      value = (value << 7) | (byte & 0x7f);
+    } while (byte & 0x80);
+    return value;
+  };
+
+  while (position < data.length) {
+    time += readVarLength();
+    let status = data[position];
+    if (status & 0x80) {
+      position++;
+    } else {
+      status = runningStatus;
+    }
+
+    if (status === 0xff) {
+      const type = data[position++];
+      const length = readVarLength();
+      const payload = data.subarray(position, position + length);
+      position += length;
+      events.push({ time, type: 'meta', metaType: type, data: Buffer.from(payload) });
+      if (type === 0x2f) break;
+    } else if (status === 0xf0 || status === 0xf7) {
+      position += readVarLength();
+    } else {
+      runningStatus = status;
+      const command = status & 0xf0;
+      const channel = status & 0x0f;
+      if (command === 0xc0 || command === 0xd0) {
+        events.push({ time, type: command === 0xc0 ? 'program' : 'aftertouch', channel, value: data[position++] });
+      } else {
+        const data1 = data[position++];
+        const data2 = data[position++];
+        const type = command === 0x90 && data2 > 0 ? 'noteOn'
+          : command === 0x80 || command === 0x90 ? 'noteOff'
+            : command === 0xe0 ? 'pitchBend'
+              : command === 0xb0 ? 'controller' : 'other';
+        events.push({ time, type, channel, data1, data2 });
+      }
+    }
+  }
+
+  const nameEvent = events.find(event => event.type === 'meta' && event.metaType === 0x03);
+  return { name: nameEvent ? nameEvent.data.toString('utf8') : null, events };
+}
+
+module.exports = { parse };
@@ -1,9 +1,23 @@
 const express = require('express');
+const fs = require('fs').promises;
+const path = require('path');
 const logger = require('../utils/logger');
+const AudioTranscoder = require('../services/AudioTranscoder');
+const FileManager = require('../services/FileManager');
+const Session = require('../models/Session');
+const AgentTranscript = require('../models/AgentTranscript');
 const authMiddleware = require('../middleware/auth').authMiddleware;
 
 const router = express.Router();
 
+// Formats each kind of file exists in: the preview only as FileManager cuts it, and the
+// full-length tracks as WAV or any compressed format except the ringtone
+function downloadFormats(file) {
+  return file === 'preview'
+    ? FileManager.previewFormats()
+    : ['wav', ...AudioTranscoder.formats().filter(format => format !== 'm4r')];
+}
+
 // Apply auth middleware to all dashboard routes
 router.use(authMiddleware);
 
@@ -26,10 +40,12 @@ router.get('/sessions', async (req, res) => {
                 'version', gt.version,
                 'backing_track_url', gt.backing_track_url,
                 'midi_url', gt.midi_url,
+                'musicxml_url', gt.musicxml_url,
                 'stems_folder_url', gt.stems_folder_url,
                 'lyrics_url', gt.lyrics_url,
                 'download_package_url', gt.download_package_url,
                 'total_size', gt.total_size,
+                'file_sizes', gt.file_sizes,
                 'download_count', gt.download_count,
                 'created_at', gt.created_at
               )
@@ -84,11 +100,13 @@ router.get('/sessions/:sessionId', async (req, res) => {
                 'version', gt.version,
                 'backing_track_url', gt.backing_track_url,
                 'midi_url', gt.midi_url,
+                'musicxml_url', gt.musicxml_url,
                 'stems_folder_url', gt.stems_folder_url,
                 'lyrics_url', gt.lyrics_url,
                 'download_package_url', gt.download_package_url,
                 'generation_params', gt.generation_params,
                 'total_size', gt.total_size,
+                'file_sizes', gt.file_sizes,
                 'download_count', gt.download_count,
                 'created_at', gt.created_at
               )
@@ -126,6 +144,216 @@ router.get('/sessions/:sessionId', async (req, res) => {
   }
 });
 
+// Download the backing track, a stem or the preview cut in the requested format,
+// e.g. /sessions/:id/download/backing-track?format=mp3&bitrate=320. Compressed copies
+// are transcoded from the WAV on first request and reused afterwards.
+router.get('/sessions/:sessionId/download/:file', async (req, res) => {
+  const db = require('../utils/database').getInstance();
+  
+  try {
+    const userId = req.user.userId;
+    const { sessionId, file } = req.params;
+    const format = String(req.query.format || (file === 'preview' ? 'mp3' : 'wav')).toLowerCase();
+
+    const formats = downloadFormats(file);
+    if (!formats.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported format for ${file}. Choose one of: ${formats.join(', ')}`
+      });
+    }
+
+    const result = await db.query(`
+      SELECT gt.id, gt.backing_track_url, gt.created_at AS generated_at,
+             s.transcribed_lyrics, s.mood_tags, s.detected_key, s.tempo, s.genre_tags
+      FROM generated_tracks gt
+      JOIN sessions s ON s.id = gt.session_id
+      WHERE s.id = $1 AND s.user_id = $2
+      ORDER BY gt.version DESC, gt.created_at DESC
+      LIMIT 1
+    `, [sessionId, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const track = result.rows[0];
+    // Stem names are used as file names, so nothing but plain names gets through
+    if (!track.backing_track_url || !/^[a-z0-9-]+$/.test(file)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    const sessionDir = path.dirname(track.backing_track_url);
+    const source = file === 'backing-track'
+      ? track.backing_track_url
+      : file === 'preview'
+        ? path.join(sessionDir, `preview.${format}`)
+        : path.join(sessionDir, 'stems', `${file}.wav`);
+
+    try {
+      await fs.access(source);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    let filePath = source;
+    if (file !== 'preview' && format !== 'wav') {
+      const transcoder = new AudioTranscoder();
+      if (!(await transcoder.isAvailable())) {
+        return res.status(503).json({
+          success: false,
+          message: 'Audio transcoding is not available'
+        });
+      }
+      // Same tags the pipeline writes, for bitrates it didn't pre-render
+      const tags = FileManager.audioTags({
+        title: new Session(track).generateTitle(),
+        tempo: track.tempo,
+        key: track.detected_key,
+        genre: track.genre_tags?.[0],
+        sessionId,
+        date: new Date(track.generated_at).toISOString()
+      });
+      if (file !== 'backing-track') {
+        tags.title = `${tags.title} (${file.charAt(0).toUpperCase()}${file.slice(1)})`;
+      }
+      filePath = await transcoder.ensureFormat(source, { format, bitrate: req.query.bitrate, tags });
+    }
+
+    await db.query('UPDATE generated_tracks SET download_count = download_count + 1 WHERE id = $1', [track.id]);
+
+    res.download(filePath, `HumItOut_${sessionId}_${path.basename(filePath)}`, {
+      headers: { 'Content-Type': AudioTranscoder.mimeType(format) }
+    });
+
+  } catch (error) {
+    logger.error('Download error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare download'
+    });
+  }
+});
+
+// Waveform peaks (audiowaveform JSON) for the backing track, a stem or the original hum
+router.get('/sessions/:sessionId/peaks/:file', async (req, res) => {
+  const db = require('../utils/database').getInstance();
+
+  try {
+    const { sessionId, file } = req.params;
+    const userId = req.user.userId;
+
+    const result = await db.query(`
+      SELECT gt.backing_track_url
+      FROM generated_tracks gt
+      JOIN sessions s ON s.id = gt.session_id
+      WHERE s.id = $1 AND s.user_id = $2
+      ORDER BY gt.version DESC, gt.created_at DESC
+      LIMIT 1
+    `, [sessionId, userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const track = result.rows[0];
+    const peaksPath = track.backing_track_url && /^[a-z0-9-]+$/.test(file)
+      ? path.join(path.dirname(track.backing_track_url), 'peaks', `${file}.json`)
+      : null;
+
+    try {
+      if (!peaksPath) throw new Error('Invalid file name');
+      await fs.access(peaksPath);
+    } catch (error) {
+      return res.status(404).json({
+        success: false,
+        message: 'Waveform not found'
+      });
+    }
+
+    // Peaks never change once generated
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type('application/json').sendFile(peaksPath);
+
+  } catch (error) {
+    logger.error('Peaks fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch waveform'
+    });
+  }
+});
+
+// How a generation was made: every model call in order, with what was repaired or corrected
+router.get('/sessions/:sessionId/generations/:version/trace', async (req, res) => {
+  const db = require('../utils/database').getInstance();
+
+  try {
+    const { sessionId } = req.params;
+    const version = Number(req.params.version);
+    const userId = req.user.userId;
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version must be a positive integer'
+      });
+    }
+
+    const result = await db.query(`
+      SELECT gt.id, gt.version, gt.created_at, gt.generation_params
+      FROM generated_tracks gt
+      JOIN sessions s ON s.id = gt.session_id
+      WHERE s.id = $1 AND s.user_id = $2 AND gt.version = $3
+      ORDER BY gt.created_at DESC
+      LIMIT 1
+    `, [sessionId, userId, version]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Generation not found'
+      });
+    }
+
+    const track = result.rows[0];
+    const params = track.generation_params || {};
+    const calls = await AgentTranscript.findByTrack(track.id);
+
+    res.json({
+      success: true,
+      generation: {
+        id: track.id,
+        version: track.version,
+        createdAt: track.created_at,
+        models: params.models || {},
+        repairs: params.repairs || {},
+        critiques: params.critiques || {}
+      },
+      calls
+    });
+
+  } catch (error) {
+    logger.error('Generation trace error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load generation trace'
+    });
+  }
+});
+
 // Get user statistics
 router.get('/stats', async (req, res) => {
   const db = require('../utils/database').getInstance();
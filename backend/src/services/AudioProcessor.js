@@ -1,4 +1,3 @@
-const OpenAI = require('openai');
 const fs = require('fs').promises;
 const path = require('path');
 const axios = require('axios');
@@ -6,18 +5,29 @@ const config = require('../config/environment');
 const logger = require('../utils/logger');
 const AG2MusicGenerator = require('../agents/AG2MusicGenerator');
 const FileManager = require('./FileManager');
+const LLMProviders = require('../llm/LLMProviders');
+const Session = require('../models/Session');
+const AgentTranscript = require('../models/AgentTranscript');
+const WavCodec = require('../audio/WavCodec');
+const AudioIngest = require('../audio/AudioIngest');
+const PitchTracker = require('../audio/PitchTracker');
+const NoteSegmenter = require('../audio/NoteSegmenter');
+const KeyDetector = require('../audio/KeyDetector');
+const TempoDetector = require('../audio/TempoDetector');
+const MusicTheory = require('../music/MusicTheory');
 
 class AudioProcessor {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: config.openai.apiKey,
-    });
     this.musicGenerator = new AG2MusicGenerator();
     this.fileManager = new FileManager();
   }
 
-  async processRecording(userId, recordingData) {
+  // onProgress receives { stage, status, summary, sessionId } as each step of the pipeline
+  // starts, completes or fails (see ProcessingService.processJob)
+  async processRecording(userId, recordingData, onProgress = () => {}) {
     const { recordingUrl, callSid, duration, phoneNumber } = recordingData;
+    let sessionId = null;
+    const report = (progress) => onProgress({ ...progress, sessionId });
     
     try {
       logger.info('Starting audio processing:', {
@@ -27,44 +37,86 @@ class AudioProcessor {
         recordingUrl: recordingUrl ? 'provided' : 'missing'
       });
 
-      // Step 1: Download audio file
-      const audioFile = await this.downloadAudio(recordingUrl);
-      
-      // Step 2: Validate audio file
-      await this.validateAudioFile(audioFile);
+      // The session row comes first, so the dashboard has a card to show progress on from the
+      // first step; later steps fill it in
+      const session = await this.openSession(userId, { callSid, audioUrl: recordingUrl });
+      sessionId = session.id;
 
-      // Step 3: Transcribe with OpenAI Whisper
-      const transcription = await this.transcribeAudio(audioFile.path);
-      
-      // Step 4: Analyze musical elements
-      const analysis = await this.analyzeMusicalElements(transcription);
+      const { audioFile, cleanAudio } = await this.runStage(report, 'ingest', async () => {
+        // Step 1: Download audio file
+        const audioFile = await this.downloadAudio(recordingUrl);
+
+        // Step 2: Validate audio file
+        await this.validateAudioFile(audioFile);
+
+        // Step 2b: Decode and clean up the phone audio; silent or clipped recordings stop here
+        const cleanAudio = await this.ingestAudio(session.id, audioFile, { callSid });
+        return { audioFile, cleanAudio };
+      }, ({ cleanAudio }) => `${cleanAudio.duration.toFixed(1)} s of usable audio`);
+
+      // Step 3: Transcribe with Whisper (or the configured transcriber)
+      // Which provider and model answered each step, which agent fields had to be repaired
+      // and what the theory critic changed, saved with the generation; plus every model call,
+      // saved as its transcript
+      const trace = { models: {}, repairs: {}, critiques: {}, transcript: [] };
+      const transcription = await this.runStage(report, 'transcribe',
+        () => this.transcribeAudio(cleanAudio.path, trace),
+        ({ text }) => (text.trim() ? `"${text.trim().slice(0, 60)}${text.trim().length > 60 ? '...' : ''}"` : 'No words, melody only'));
+
+      const { audioAnalysis, analysis } = await this.runStage(report, 'analyse', async () => {
+        // Step 4: Measure the recording: pitch contour, melody notes, key and beat grid
+        const audioAnalysis = await this.analyzeRecordingAudio(cleanAudio.path);
+
+        // Step 5: Analyze musical elements
+        const analysis = await this.analyzeMusicalElements(transcription, audioAnalysis, trace);
+        return { audioAnalysis, analysis };
+      }, ({ analysis }) => `${analysis.tempo} BPM in ${analysis.key}`);
       
-      // Step 5: Create session record
-      const session = await this.createSession(userId, {
-        callSid,
-        audioUrl: recordingUrl,
-        audioFile: audioFile.path,
+      // Step 6: Store the transcription and analysis on the session
+      await this.updateSession(session.id, {
         lyrics: transcription.text,
         duration: transcription.duration,
+        pitchContour: audioAnalysis?.pitchContour,
         ...analysis
       });
 
-      // Step 6: Generate music with OpenAI Multi-Agent System
-      const generatedMusic = await this.musicGenerator.generateMusic(analysis, transcription);
+      // Step 7: Generate music with the multi-agent system, reporting each agent as it runs
+      const generatedMusic = await this.musicGenerator.generateWithLiveUpdates(analysis, transcription, report, trace);
       
-      // Step 7: Create audio files
-      const audioFiles = await this.fileManager.generateAudioFiles(session.id, generatedMusic);
+      // The agents may settle on another of the measured key candidates; the files and the
+      // session row both use the key and tempo the song is finally written in
+      const song = {
+        key: generatedMusic.analysis?.key || analysis.key,
+        tempo: this.fileManager.getTimeline({ ...generatedMusic, recording: audioAnalysis }).tempo
+      };
+
+      // Step 8: Create audio files
+      const audioFiles = await this.fileManager.generateAudioFiles(session.id, {
+        ...generatedMusic,
+        lyrics: generatedMusic.lyrics || transcription.text,
+        // Same title the dashboard shows, so it matches the tags in the files
+        title: new Session({
+          transcribed_lyrics: transcription.text,
+          mood_tags: analysis.mood,
+          detected_key: song.key
+        }).generateTitle(),
+        createdAt: session.created_at,
+        transcription: { segments: transcription.segments, words: transcription.words },
+        recording: audioAnalysis,
+        recordingAudio: { path: cleanAudio.path, duration: cleanAudio.duration, sampleRate: config.audio.ingest.sampleRate }
+      }, report);
       
-      // Step 8: Save results to database
-      await this.saveResults(session.id, audioFiles);
+      // Step 9: Save results to database
+      await this.saveResults(session.id, audioFiles, trace, song);
       
-      // Step 9: Send SMS notification
+      // Step 10: Send SMS notification
       if (phoneNumber) {
         await this.sendSMSNotification(phoneNumber, session.id, audioFiles);
       }
 
       // Cleanup temp files
       await this.cleanup(audioFile.path);
+      await this.cleanup(cleanAudio.path);
       
       return {
         sessionId: session.id,
@@ -84,9 +136,25 @@ class AudioProcessor {
     }
   }
 
+  // Runs one pipeline step, reporting its start and its end: 'completed' with the summary
+  // `summarize` makes of the result, or 'failed' with the error
+  async runStage(report, stage, step, summarize = null) {
+    report({ stage, status: 'started' });
+    try {
+      const result = await step();
+      report({ stage, status: 'completed', summary: summarize ? summarize(result) : null });
+      return result;
+    } catch (error) {
+      report({ stage, status: 'failed', summary: error.message });
+      throw error;
+    }
+  }
+
   async downloadAudio(recordingUrl) {
     try {
-      const response = await axios.get(recordingUrl, {
+      // Twilio serves the recording as MP3 or WAV depending on the extension; ask for WAV
+      const url = /\.(wav|mp3)$/i.test(recordingUrl) ? recordingUrl : `${recordingUrl}.wav`;
+      const response = await axios.get(url, {
         responseType: 'arraybuffer',
         auth: {
           username: config.twilio.accountSid,
@@ -134,28 +202,55 @@ class AudioProcessor {
     return true;
   }
 
-  async transcribeAudio(filePath) {
+  // Writes a cleaned, resampled mono copy of the recording next to the download. A rejected
+  // recording fails its session with the reason, then the error goes up un-retried.
+  async ingestAudio(sessionId, audioFile, { callSid }) {
+    const ingest = new AudioIngest(config.audio.ingest);
+
+    try {
+      const result = ingest.process(await fs.readFile(audioFile.path));
+      const cleanPath = audioFile.path.replace(/\.wav$/i, '_clean.wav');
+      await fs.writeFile(cleanPath, ingest.encode(result));
+
+      logger.info('Recording ingested:', {
+        duration: Math.round(result.duration * 100) / 100,
+        sampleRate: result.sampleRate,
+        ...result.report
+      });
+
+      return { path: cleanPath, duration: result.duration, report: result.report };
+    } catch (error) {
+      if (error.name !== 'RecordingRejectedError') throw error;
+
+      logger.warn('Recording rejected:', { callSid, reason: error.reason, ...error.details });
+      await this.rejectSession(sessionId, error.message);
+      await this.cleanup(audioFile.path);
+      throw error;
+    }
+  }
+
+  async transcribeAudio(filePath, trace = {}) {
     try {
       const audioBuffer = await fs.readFile(filePath);
       
-      const response = await this.openai.audio.transcriptions.create({
-        file: new File([audioBuffer], 'recording.wav', { type: 'audio/wav' }),
-        model: config.openai.whisperModel,
-        language: 'en',
-        response_format: 'verbose_json',
-        temperature: 0.0
-      });
+      const response = await LLMProviders.transcribe('transcriber', {
+        audio: audioBuffer,
+        filename: 'recording.wav',
+        language: 'en'
+      }, trace);
 
       logger.info('Transcription completed:', {
         text: response.text,
         duration: response.duration,
-        segments: response.segments ? response.segments.length : 0
+        segments: response.segments ? response.segments.length : 0,
+        words: response.words ? response.words.length : 0
       });
 
       return {
         text: response.text,
         duration: response.duration,
         segments: response.segments || [],
+        words: response.words || [],
         confidence: this.calculateConfidence(response.segments)
       };
     } catch (error) {
@@ -174,7 +269,48 @@ class AudioProcessor {
     return Math.max(0.1, Math.min(0.95, avgConfidence));
   }
 
-  async analyzeMusicalElements(transcription) {
+  async analyzeRecordingAudio(filePath) {
+    try {
+      const decoded = WavCodec.decode(await fs.readFile(filePath));
+      const pitchContour = new PitchTracker().track(decoded.samples, decoded.sampleRate);
+      const pitchSummary = PitchTracker.summarize(pitchContour);
+      const melody = new NoteSegmenter().segment(pitchContour);
+      const key = new KeyDetector().detect({ melody, pitchContour });
+      const tempo = new TempoDetector().detect(decoded.samples, decoded.sampleRate, melody);
+
+      logger.info('Recording analysis completed:', {
+        sampleRate: decoded.sampleRate,
+        duration: decoded.duration,
+        frames: pitchContour.frames.length,
+        notes: melody.length,
+        key: key ? `${key.key} (${key.confidence})` : 'undetermined',
+        tempo: tempo ? `${tempo.bpm} BPM (${tempo.confidence})` : 'undetermined',
+        ...pitchSummary
+      });
+
+      return { pitchContour, pitchSummary, melody, key, tempo };
+    } catch (error) {
+      // Without measurements we fall back to transcript-only analysis
+      logger.warn('Recording analysis failed, continuing without it:', error.message);
+      return null;
+    }
+  }
+
+  async analyzeMusicalElements(transcription, audioAnalysis = null, trace = {}) {
+    const pitchSummary = audioAnalysis?.pitchSummary;
+    const measuredKey = audioAnalysis?.key
+      ? `\n    - Key measured from the melody: ${audioAnalysis.key.key} (confidence ${audioAnalysis.key.confidence})`
+      : '';
+    const measuredTempo = audioAnalysis?.tempo
+      ? `\n    - Tempo measured from note onsets: ${audioAnalysis.tempo.bpm} BPM (confidence ${audioAnalysis.tempo.confidence})`
+      : '';
+    const pitchEvidence = pitchSummary?.detected
+      ? `Pitch tracking of the recording (measured from the audio):
+    - Voiced (sung/hummed) portion: ${Math.round(pitchSummary.voicedRatio * 100)}% (${pitchSummary.voicedDuration} seconds)
+    - Melodic range: ${pitchSummary.lowestNote} to ${pitchSummary.highestNote} (${pitchSummary.rangeSemitones} semitones)
+    - Median pitch: ${pitchSummary.medianNote}${measuredKey}${measuredTempo}`
+      : 'Pitch tracking of the recording: no clear melody detected';
+
     const prompt = `
     Analyze this audio transcription for musical elements:
     
@@ -182,7 +318,9 @@ class AudioProcessor {
     Duration: ${transcription.duration} seconds
     Segments: ${transcription.segments.length} word segments
     
-    Based on the vocal rhythm, word timing, and content, determine:
+    ${pitchEvidence}
+    
+    Based on the measured pitch, vocal rhythm, word timing, and content, determine:
     1. Estimated tempo (BPM) - analyze rhythm from segment timing
     2. Suggested key signature (C, G, Am, Dm, etc.)
     3. Mood classification (upbeat, melancholy, energetic, chill, romantic, etc.)
@@ -191,6 +329,8 @@ class AudioProcessor {
     6. Overall energy level (1-10 scale)
     
     Consider:
+    - The pitch tracking is measured from the audio; prefer it over guesses from the words
+    - A wordless hum has little text, so rely on the pitch evidence
     - Fast, rhythmic delivery suggests higher tempo
     - Repetitive patterns suggest chorus sections
     - Lyrical content influences mood and genre
@@ -210,23 +350,19 @@ class AudioProcessor {
     `;
 
     try {
-      const response = await this.openai.chat.completions.create({
-        model: config.openai.model,
+      const analysis = await LLMProviders.completeJson('recordingAnalyst', {
         messages: [{ role: 'user', content: prompt }],
-        response_format: { type: "json_object" },
         temperature: 0.3
-      });
-
-      const analysis = JSON.parse(response.choices[0].message.content);
+      }, trace);
       
       logger.info('Musical analysis completed:', analysis);
       
-      return analysis;
+      return this.applyMeasurements({ ...analysis, melodicContour: pitchSummary || null }, audioAnalysis);
     } catch (error) {
       logger.warn('Musical analysis failed, using defaults:', error.message);
       
       // Return default analysis if AI fails
-      return {
+      return this.applyMeasurements({
         tempo: 120,
         key: 'C',
         mood: ['neutral'],
@@ -234,69 +370,154 @@ class AudioProcessor {
         structure: 'verse-chorus',
         energy: 5,
         confidence: 0.3,
-        reasoning: 'Default values used due to analysis failure'
-      };
+        reasoning: 'Default values used due to analysis failure',
+        melodicContour: pitchSummary || null
+      }, audioAnalysis);
+    }
+  }
+
+  // Values measured from the audio replace the model's guesses
+  applyMeasurements(analysis, audioAnalysis) {
+    const measured = { ...analysis };
+
+    if (audioAnalysis?.key) {
+      measured.key = audioAnalysis.key.key;
+      measured.keySource = 'audio';
+      measured.keyConfidence = audioAnalysis.key.confidence;
+      measured.keyCandidates = audioAnalysis.key.candidates;
+    } else {
+      // The model writes keys as 'A minor', 'Bb major', 'D dorian'...; store the app's short form
+      measured.key = MusicTheory.formatKey(analysis.key) || 'C';
+      measured.keySource = 'model';
     }
+
+    if (audioAnalysis?.tempo) {
+      const { bpm, confidence, downbeatOffset, beatsPerBar, beatTimes } = audioAnalysis.tempo;
+      measured.tempo = TempoDetector.songTempo(bpm);
+      measured.tempoSource = 'audio';
+      measured.tempoConfidence = confidence;
+      measured.beatGrid = { bpm, downbeatOffset, beatsPerBar, beatTimes };
+    }
+
+    return measured;
   }
 
-  async createSession(userId, sessionData) {
+  // The call's session row, created as processing before the first step. A retried job picks
+  // up the row its earlier attempt created instead of adding another.
+  async openSession(userId, { callSid, audioUrl }) {
     const db = require('../utils/database').getInstance();
-    
+
     try {
+      if (callSid) {
+        const existing = await db.query(`
+          UPDATE sessions
+          SET processing_status = 'processing', failure_reason = NULL,
+              processing_started_at = NOW(), processing_completed_at = NULL
+          WHERE call_sid = $1 AND user_id = $2
+          RETURNING id, created_at
+        `, [callSid, userId]);
+
+        if (existing.rows.length > 0) return existing.rows[0];
+      }
+
       const result = await db.query(`
         INSERT INTO sessions (
-          user_id, call_sid, original_audio_url, transcribed_lyrics, 
-          tempo, detected_key, mood_tags, genre_tags, audio_duration,
-          processing_status, processing_started_at
+          user_id, call_sid, original_audio_url, processing_status, processing_started_at
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+        VALUES ($1, $2, $3, 'processing', NOW())
         RETURNING id, created_at
+      `, [userId, callSid, audioUrl]);
+
+      return result.rows[0];
+    } catch (error) {
+      throw new Error(`Failed to create session: ${error.message}`);
+    }
+  }
+
+  async updateSession(sessionId, sessionData) {
+    const db = require('../utils/database').getInstance();
+    
+    try {
+      await db.query(`
+        UPDATE sessions
+        SET transcribed_lyrics = $2, tempo = $3, detected_key = $4, mood_tags = $5, genre_tags = $6,
+            audio_duration = $7, pitch_contour = $8, tempo_confidence = $9, beat_grid = $10
+        WHERE id = $1
       `, [
-        userId,
-        sessionData.callSid,
-        sessionData.audioUrl,
+        sessionId,
         sessionData.lyrics,
         sessionData.tempo,
         sessionData.key,
         sessionData.mood || [],
         sessionData.genres || [],
         sessionData.duration,
-        'processing'
+        sessionData.pitchContour ? JSON.stringify(sessionData.pitchContour) : null,
+        sessionData.tempoConfidence || null,
+        sessionData.beatGrid ? JSON.stringify(sessionData.beatGrid) : null
       ]);
+    } catch (error) {
+      throw new Error(`Failed to update session: ${error.message}`);
+    }
+  }
 
-      return result.rows[0];
+  async rejectSession(sessionId, failureReason) {
+    const db = require('../utils/database').getInstance();
+
+    try {
+      await db.query(`
+        UPDATE sessions
+        SET processing_status = 'failed', failure_reason = $2, processing_completed_at = NOW()
+        WHERE id = $1
+      `, [sessionId, failureReason]);
     } catch (error) {
-      throw new Error(`Failed to create session: ${error.message}`);
+      // The rejection itself is what matters to the caller
+      logger.error('Failed to record rejected session:', error);
     }
   }
 
-  async saveResults(sessionId, audioFiles) {
+  // The trace's transcript goes to agent_transcripts; the rest is stored as generation_params.
+  // song: { key, tempo } the files were written in, replacing the measured values on the session
+  async saveResults(sessionId, audioFiles, trace = null, song = {}) {
     const db = require('../utils/database').getInstance();
+    const { transcript = [], ...generationParams } = trace || {};
     
     try {
       await db.query(`
         UPDATE sessions 
-        SET processing_status = $1, processing_completed_at = NOW()
+        SET processing_status = $1, processing_completed_at = NOW(),
+            detected_key = COALESCE($3, detected_key), tempo = COALESCE($4, tempo)
         WHERE id = $2
-      `, ['completed', sessionId]);
+      `, ['completed', sessionId, song.key || null, song.tempo || null]);
 
+      // Each generation of a session is its next version, which the dashboard looks its trace up by
       const result = await db.query(`
         INSERT INTO generated_tracks (
-          session_id, backing_track_url, midi_url, stems_folder_url,
-          lyrics_url, download_package_url, total_size
+          session_id, backing_track_url, midi_url, musicxml_url, stems_folder_url,
+          lyrics_url, download_package_url, total_size, file_sizes, generation_params, version
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
-        RETURNING id
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+                (SELECT COALESCE(MAX(version), 0) + 1 FROM generated_tracks WHERE session_id = $1))
+        RETURNING id, version
       `, [
         sessionId,
         audioFiles.backingTrack,
         audioFiles.midi,
+        audioFiles.musicXml,
         audioFiles.stemsZip,
         audioFiles.lyrics,
         audioFiles.downloadPackage,
-        audioFiles.totalSize
+        audioFiles.totalSize,
+        audioFiles.fileSizes ? JSON.stringify(audioFiles.fileSizes) : null,
+        trace ? JSON.stringify(generationParams) : null
       ]);
 
+      // Losing the transcript shouldn't lose the track
+      try {
+        await AgentTranscript.saveAll(result.rows[0].id, transcript);
+      } catch (error) {
+        logger.warn('Generation saved without its agent transcript:', error.message);
+      }
+
       return result.rows[0];
     } catch (error) {
       throw new Error(`Failed to save results: ${error.message}`);
@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const ffmpegPath = require('ffmpeg-static');
+const config = require('../config/environment');
+const logger = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+// Compressed formats the WAV masters are transcoded to. Bitrates are kbit/s; FLAC is lossless.
+// `tagging` is the metadata flavour the container carries: ID3v2, Vorbis comments or MP4 atoms.
+const FORMATS = {
+  mp3: {
+    extension: 'mp3',
+    tagging: 'id3',
+    mimeType: 'audio/mpeg',
+    bitrates: [128, 192, 256, 320],
+    args: (bitrate) => ['-c:a', 'libmp3lame', '-b:a', `${bitrate}k`]
+  },
+  m4a: {
+    extension: 'm4a',
+    tagging: 'mp4',
+    mimeType: 'audio/mp4',
+    bitrates: [128, 192, 256],
+    args: (bitrate) => ['-c:a', 'aac', '-b:a', `${bitrate}k`, '-movflags', '+faststart']
+  },
+  flac: {
+    extension: 'flac',
+    tagging: 'vorbis',
+    mimeType: 'audio/flac',
+    bitrates: [],
+    args: () => ['-c:a', 'flac', '-compression_level', '8']
+  },
+  ogg: {
+    extension: 'ogg',
+    tagging: 'vorbis',
+    mimeType: 'audio/ogg',
+    bitrates: [128, 192, 256, 320],
+    args: (bitrate) => ['-c:a', 'libvorbis', '-b:a', `${bitrate}k`]
+  },
+  // iPhone ringtone: AAC in an MP4 container with the .m4r extension
+  m4r: {
+    extension: 'm4r',
+    tagging: 'mp4',
+    mimeType: 'audio/mp4',
+    bitrates: [128, 192, 256],
+    args: (bitrate) => ['-c:a', 'aac', '-b:a', `${bitrate}k`, '-f', 'ipod']
+  }
+};
+
+// Transcodes running in this process, by output path, so concurrent downloads of a file that
+// doesn't exist yet share one ffmpeg run
+const inFlight = new Map();
+
+class AudioTranscoder {
+  constructor(options = {}) {
+    this.ffmpegPath = options.ffmpegPath || ffmpegPath;
+    this.defaultBitrate = options.bitrate || config.audio.compressed.bitrate;
+    this.timeout = options.timeout || 120000;
+  }
+
+  static formats() {
+    return Object.keys(FORMATS);
+  }
+
+  static mimeType(format) {
+    return FORMATS[format]?.mimeType || 'audio/wav';
+  }
+
+  async isAvailable() {
+    if (!this.ffmpegPath) return false;
+    try {
+      await fs.access(this.ffmpegPath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Closest supported bitrate for the format, or null for lossless formats
+  resolveBitrate(format, bitrate = this.defaultBitrate) {
+    const spec = this.spec(format);
+    if (spec.bitrates.length === 0) return null;
+
+    const requested = parseInt(bitrate, 10) || this.defaultBitrate;
+    return spec.bitrates.reduce((best, value) =>
+      Math.abs(value - requested) < Math.abs(best - requested) ? value : best
+    );
+  }
+
+  // input.wav -> input.<ext> next to it, or input-<bitrate>k.<ext> for a non-default bitrate
+  outputPath(input, format, bitrate = this.defaultBitrate) {
+    const spec = this.spec(format);
+    const resolved = this.resolveBitrate(format, bitrate);
+    const base = input.replace(/\.wav$/i, '');
+    const suffix = resolved && resolved !== this.resolveBitrate(format) ? `-${resolved}k` : '';
+    return `${base}${suffix}.${spec.extension}`;
+  }
+
+  async transcode(input, output, { format, bitrate = this.defaultBitrate, tags = null } = {}) {
+    const spec = this.spec(format);
+    await this.run([
+      '-i', input,
+      '-map_metadata', '-1',
+      ...this.metadataArgs(format, tags),
+      ...spec.args(this.resolveBitrate(format, bitrate)),
+      output
+    ]);
+    return output;
+  }
+
+  // Short cut of the track with fades at both ends, e.g. a preview or a ringtone
+  async cut(input, output, { format = 'mp3', start = 0, duration = 30, bitrate = this.defaultBitrate, tags = null } = {}) {
+    const spec = this.spec(format);
+    const fadeOut = Math.min(2, duration / 4);
+    await this.run([
+      '-ss', String(Math.max(0, start)),
+      '-t', String(duration),
+      '-i', input,
+      '-map_metadata', '-1',
+      ...this.metadataArgs(format, tags),
+      '-af', `afade=t=in:d=0.05,afade=t=out:st=${Math.max(0, duration - fadeOut)}:d=${fadeOut}`,
+      ...spec.args(this.resolveBitrate(format, bitrate)),
+      output
+    ]);
+    return output;
+  }
+
+  // Transcoded copy of `input`, reusing one that was already written or is being written
+  async ensureFormat(input, { format, bitrate = this.defaultBitrate, tags = null } = {}) {
+    const output = this.outputPath(input, format, bitrate);
+    if (inFlight.has(output)) return inFlight.get(output);
+
+    try {
+      await fs.access(output);
+      return output;
+    } catch (error) {
+      // Not written yet
+    }
+
+    // Another request may have started it while we were checking
+    if (!inFlight.has(output)) {
+      inFlight.set(output, this.transcodeInPlace(input, output, { format, bitrate, tags })
+        .finally(() => inFlight.delete(output)));
+    }
+    return inFlight.get(output);
+  }
+
+  // ffmpeg writes to a temporary name next to `output` (same extension, so the container is
+  // still picked from it) that is renamed into place once complete: a half-written file is
+  // never served or mistaken for a finished one
+  async transcodeInPlace(input, output, options) {
+    const extension = path.extname(output);
+    const partial = `${output.slice(0, -extension.length)}.${crypto.randomBytes(6).toString('hex')}.partial${extension}`;
+    try {
+      await this.transcode(input, partial, options);
+      await fs.rename(partial, output);
+      return output;
+    } catch (error) {
+      await fs.rm(partial, { force: true });
+      throw error;
+    }
+  }
+
+  // -metadata flags for the tags (see WavMetadata for the shape). The WAV's own chunks are
+  // dropped by -map_metadata -1, so everything is written fresh in the container's dialect.
+  metadataArgs(format, tags) {
+    if (!tags) return [];
+    const { tagging } = this.spec(format);
+    const fields = {
+      title: tags.title,
+      artist: tags.artist,
+      album: tags.album,
+      genre: tags.genre,
+      date: tags.date ? String(tags.date).slice(0, 10) : null,
+      comment: tags.comment
+    };
+
+    if (tagging === 'id3') {
+      // Unknown keys become TXXX frames; four-letter frame IDs are written as-is
+      Object.assign(fields, { TBPM: tags.tempo, TKEY: tags.key, session_id: tags.sessionId });
+    } else if (tagging === 'vorbis') {
+      Object.assign(fields, { BPM: tags.tempo, KEY: tags.key, SESSION_ID: tags.sessionId });
+    }
+
+    const args = Object.entries(fields)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .flatMap(([name, value]) => ['-metadata', `${name}=${value}`]);
+
+    // ID3v2.3 rather than ffmpeg's default v2.4, which Windows and older players can't read
+    return tagging === 'id3' ? [...args, '-id3v2_version', '3'] : args;
+  }
+
+  spec(format) {
+    const spec = FORMATS[format];
+    if (!spec) {
+      throw new Error(`Unsupported audio format: ${format}`);
+    }
+    return spec;
+  }
+
+  async run(args) {
+    const started = Date.now();
+    try {
+      await execFileAsync(this.ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', ...args], {
+        timeout: this.timeout,
+        maxBuffer: 1024 * 1024
+      });
+    } catch (error) {
+      const detail = (error.stderr || error.message || '').toString().trim().split('\n').pop();
+      throw new Error(`ffmpeg failed: ${detail}`);
+    }
+
+    logger.info('Audio transcoded:', {
+      output: path.basename(args[args.length - 1]),
+      duration: Date.now() - started
+    });
+  }
+}
+
+module.exports = AudioTranscoder;
@@ -3,6 +3,27 @@ const path = require('path');
 const archiver = require('archiver');
 const config = require('../config/environment');
 const logger = require('../utils/logger');
+const AudioTranscoder = require('./AudioTranscoder');
+const NoteSegmenter = require('../audio/NoteSegmenter');
+const Synthesizer = require('../audio/Synthesizer');
+const WavCodec = require('../audio/WavCodec');
+const WavMetadata = require('../audio/WavMetadata');
+const WaveformPeaks = require('../audio/WaveformPeaks');
+const TempoDetector = require('../audio/TempoDetector');
+const Mixer = require('../audio/Mixer');
+const MidiWriter = require('../music/MidiWriter');
+const MusicXmlWriter = require('../music/MusicXmlWriter');
+const GuitarChart = require('../music/GuitarChart');
+const LyricsWriter = require('../music/LyricsWriter');
+const ReaperProjectWriter = require('../music/ReaperProjectWriter');
+const DawProjectWriter = require('../music/DawProjectWriter');
+const ChordSymbol = require('../music/ChordSymbol');
+const ChordVoicer = require('../music/ChordVoicer');
+const MusicTheory = require('../music/MusicTheory');
+const Arranger = require('../music/Arranger');
+const DrumPatterns = require('../music/DrumPatterns');
+const BassLineGenerator = require('../music/BassLineGenerator');
+const { programForInstrument, DRUM_NOTES, DRUM_CHANNEL } = require('../music/GeneralMidi');
 
 class FileManager {
   constructor() {
@@ -25,44 +46,114 @@ class FileManager {
     }
   }
 
-  async generateAudioFiles(sessionId, musicData) {
+  // onProgress receives { stage: 'render' | 'package', status, summary } as each half starts
+  // and finishes
+  async generateAudioFiles(sessionId, musicData, onProgress = () => {}) {
     const sessionDir = path.join(this.outputDir, sessionId);
     await fs.mkdir(sessionDir, { recursive: true });
 
     const results = {
       backingTrack: null,
       stems: {},
+      formats: {},
       midi: null,
+      musicXml: null,
+      guitarChart: null,
+      melodyTab: null,
       lyrics: null,
+      lyricsLrc: null,
+      lyricsVtt: null,
+      originalHum: null,
+      reaperProject: null,
+      dawProject: null,
       metadata: null,
       downloadPackage: null,
-      totalSize: 0
+      totalSize: 0,
+      fileSizes: null
     };
+    let stage = 'render';
 
     try {
-      // Generate metadata file first
-      results.metadata = await this.createMetadataFile(sessionDir, musicData);
-      
+      onProgress({ stage, status: 'started' });
+
       // Generate lyrics file
       if (musicData.lyrics) {
         results.lyrics = await this.createLyricsFile(sessionDir, musicData.lyrics);
       }
       
       // Generate MIDI file
-      results.midi = await this.generateMIDI(sessionDir, musicData);
+      const song = this.buildSong(musicData);
+      const tags = FileManager.audioTags({
+        title: song.title,
+        tempo: song.tempo,
+        key: song.key,
+        genre: this.getGenre(musicData),
+        sessionId,
+        date: musicData.createdAt ? new Date(musicData.createdAt).toISOString() : undefined
+      });
+      results.midi = await this.generateMIDI(sessionDir, song);
+
+      // Time-synced lyrics from the transcription's timestamps, on the backing track's timeline
+      if (song.lyrics.length > 0) {
+        Object.assign(results, await this.createTimedLyricsFiles(sessionDir, song));
+      }
+
+      // Lead sheet: melody, chord symbols and lyrics as MusicXML
+      results.musicXml = await this.generateMusicXML(sessionDir, song, musicData.lyrics);
+
+      // Guitar chord chart with capo suggestion, plus melody tab when there is a melody
+      Object.assign(results, await this.generateGuitarFiles(sessionDir, song));
       
-      // Generate audio stems (simplified version for demo)
-      results.stems = await this.generateDemoStems(sessionDir, musicData);
+      // Render audio stems with the offline synthesizer
+      const rendered = this.renderTracks(song);
+      results.stems = await this.writeStems(sessionDir, rendered, { song, tags });
       
       // Create backing track (mix of stems)
-      results.backingTrack = await this.createDemoBackingTrack(sessionDir, musicData);
+      const mix = this.mixStems(rendered, musicData);
+      results.backingTrack = await this.createBackingTrack(sessionDir, mix, tags);
+
+      // MP3/M4A/FLAC/OGG copies and a preview cut; the WAVs stay the masters if this fails
+      results.formats = await this.generateCompressedFiles(results, song, tags);
+      onProgress({
+        stage,
+        status: 'completed',
+        summary: `${Object.keys(results.stems).length} stems, ${song.totalBars} bars at ${Math.round(song.tempo)} BPM`
+      });
+      stage = 'package';
+      onProgress({ stage, status: 'started' });
+
+      // REAPER and DAWproject sessions with everything lined up, including the original hum
+      if (musicData.recordingAudio?.path) {
+        results.originalHum = await this.copyOriginalHum(sessionDir, musicData.recordingAudio.path, {
+          tags,
+          song,
+          sampleRate: musicData.recordingAudio.sampleRate
+        });
+      }
+      Object.assign(results, await this.generateDawProjects(sessionDir, song, results, {
+        mixReport: mix.report,
+        recordingAudio: musicData.recordingAudio,
+        genre: this.getGenre(musicData)
+      }));
+
+      // Waveform peaks so the dashboard player can draw before the audio arrives
+      results.peaks = await this.generateWaveformPeaks(sessionDir, results);
+
+      // Metadata goes last so it can describe the files and the mix that were actually produced
+      results.metadata = await this.createMetadataFile(sessionDir, musicData, { results, mixReport: mix.report, song });
       
       // Create download package (ZIP)
       results.downloadPackage = await this.createDownloadPackage(sessionId, results);
       
       // Calculate total size
       results.totalSize = await this.calculateTotalSize(results);
-      
+      results.fileSizes = await this.calculateFileSizes(results);
+      onProgress({
+        stage,
+        status: 'completed',
+        summary: `${(results.totalSize / (1024 * 1024)).toFixed(1)} MB ready to download`
+      });
+
       logger.info('Audio files generated successfully:', {
         sessionId,
         totalSize: results.totalSize,
@@ -73,39 +164,78 @@ class FileManager {
 
     } catch (error) {
       logger.error('Audio file generation failed:', error);
+      onProgress({ stage, status: 'failed', summary: error.message });
       // Cleanup on error
       await this.cleanupFiles(sessionDir);
       throw error;
     }
   }
 
-  async createMetadataFile(sessionDir, musicData) {
+  async createMetadataFile(sessionDir, musicData, { results = {}, mixReport = null, song = null } = {}) {
+    const relative = (filePath) => (filePath ? path.relative(sessionDir, filePath) : null);
+    const stems = {};
+    for (const [name, stemPath] of Object.entries(results.stems || {})) {
+      stems[name] = relative(stemPath);
+    }
+
     const metadata = {
       generatedAt: new Date().toISOString(),
       version: '1.0.0',
       generator: 'Hum It Out v1.0',
+      title: song?.title || musicData.title || null,
+      // Provider and model behind each agent's answer, the fields repaired from defaults and
+      // what the theory critic sent back or corrected
+      models: musicData.models || null,
+      repairs: musicData.repairs || null,
+      critiques: musicData.critiques || null,
       musicData: {
-        tempo: musicData.analysis?.tempo || 120,
-        key: musicData.analysis?.key || 'C',
+        tempo: song?.tempo || musicData.analysis?.tempo || 120,
+        key: song?.key || musicData.analysis?.key || 'C',
         mood: musicData.analysis?.mood || ['neutral'],
         genres: musicData.analysis?.genres || ['pop'],
         chordProgression: musicData.chords?.primaryProgression || ['C', 'Am', 'F', 'G'],
-        structure: musicData.arrangement?.structure || ['intro', 'verse', 'chorus', 'outro']
+        structure: song ? song.sections.map(section => section.name) : ['intro', 'verse', 'chorus', 'outro']
       },
+      arrangement: song ? {
+        totalBars: song.totalBars,
+        sections: song.sections.map(section => ({
+          name: section.name,
+          startBar: section.startBar + 1,
+          bars: section.bars,
+          startSeconds: section.startSeconds,
+          instruments: section.instruments,
+          progression: section.progression
+        })),
+        // Where to place the original recording so it lines up with the melody guide
+        recordingStartSeconds: song.recordingStartSeconds
+      } : null,
       files: {
-        backingTrack: 'backing-track.wav',
-        midi: 'session.mid',
-        lyrics: 'lyrics.txt',
-        stems: {
-          drums: 'stems/drums.wav',
-          bass: 'stems/bass.wav',
-          chords: 'stems/chords-piano.wav',
-          melody: 'stems/melody-guide.wav'
+        backingTrack: relative(results.backingTrack),
+        midi: relative(results.midi),
+        musicXml: relative(results.musicXml),
+        guitarChart: relative(results.guitarChart),
+        melodyTab: relative(results.melodyTab),
+        lyrics: relative(results.lyrics),
+        lyricsLrc: relative(results.lyricsLrc),
+        lyricsVtt: relative(results.lyricsVtt),
+        originalHum: relative(results.originalHum),
+        reaperProject: relative(results.reaperProject),
+        dawProject: relative(results.dawProject),
+        stems,
+        peaks: results.peaks ? {
+          backingTrack: relative(results.peaks.backingTrack),
+          stems: Object.fromEntries(Object.entries(results.peaks.stems).map(([name, peaksPath]) => [name, relative(peaksPath)])),
+          originalHum: relative(results.peaks.originalHum)
+        } : null,
+        formats: {
+          backingTrack: Object.fromEntries(Object.entries(results.formats?.backingTrack || {}).map(([format, filePath]) => [format, relative(filePath)])),
+          preview: Object.fromEntries(Object.entries(results.formats?.preview || {}).map(([format, filePath]) => [format, relative(filePath)]))
         }
       },
+      mix: mixReport,
       usage: {
         daw_compatible: ['GarageBand', 'Logic Pro', 'Ableton Live', 'FL Studio', 'Pro Tools'],
-        file_formats: ['WAV (48kHz/24-bit)', 'MIDI', 'TXT'],
+        file_formats: ['WAV (48kHz/24-bit)', 'MIDI', 'MusicXML', 'TXT (guitar chart and tab)', 'LRC', 'WebVTT', 'REAPER project', 'DAWproject', ...config.audio.compressed.formats.map(format => format.toUpperCase())],
         ready_for: 'immediate import and production'
       }
     };
@@ -143,257 +273,509 @@ Voice to Music AI System
     return lyricsPath;
   }
 
-  async generateMIDI(sessionDir, musicData) {
-    // For demo purposes, create a simple MIDI-like file
-    // In production, you'd use a proper MIDI library
-    const midiData = {
-      format: 'MIDI-like JSON',
-      ticksPerQuarter: 480,
-      tempo: musicData.analysis?.tempo || 120,
+  async createTimedLyricsFiles(sessionDir, song) {
+    const writer = new LyricsWriter({ title: song.title });
+    const lyricsLrc = path.join(sessionDir, 'lyrics.lrc');
+    const lyricsVtt = path.join(sessionDir, 'lyrics.vtt');
+    const duration = (song.startTick / song.ticksPerQuarter + song.totalBars * 4) * (60 / song.tempo);
+
+    await fs.writeFile(lyricsLrc, writer.toLrc(song.lyrics, { duration }));
+    await fs.writeFile(lyricsVtt, writer.toWebVtt(song.lyrics));
+
+    logger.info('Timed lyrics written:', {
+      lines: song.lyrics.length,
+      words: song.lyrics.reduce((total, line) => total + line.words.length, 0),
+      firstLineAt: song.lyrics[0].start
+    });
+
+    return { lyricsLrc, lyricsVtt };
+  }
+
+  // Tempo and grid origin shared by every generated track. The grid starts at the
+  // first downbeat measured in the hum, so the hummed melody lines up with the original
+  // recording once the recording is moved to the start of the first vocal section.
+  getTimeline(musicData) {
+    const beatGrid = musicData.recording?.tempo;
+    const tempo = TempoDetector.songTempo(beatGrid?.bpm || musicData.analysis?.tempo || 120);
+    const ticksPerQuarter = 480;
+    const offsetSeconds = beatGrid?.downbeatOffset || 0;
+
+    return {
+      tempo,
+      ticksPerQuarter,
+      barTicks: ticksPerQuarter * 4,
+      offsetSeconds,
+      offsetTicks: Math.round(offsetSeconds * (tempo / 60) * ticksPerQuarter)
+    };
+  }
+
+  // One song description drives both the MIDI file and the rendered audio
+  buildSong(musicData) {
+    const timeline = this.getTimeline(musicData);
+    const instrumentation = this.getInstrumentation(musicData);
+    const sections = new Arranger().layoutSections(musicData);
+    const sectionStart = (section) => timeline.offsetTicks + section.startBar * timeline.barTicks;
+    const secondsPerTick = 60 / timeline.tempo / timeline.ticksPerQuarter;
+
+    const chords = this.buildChordTimeline(sections, timeline, musicData.analysis?.key);
+    const playing = (role) => chords.filter(span => span.section.instruments.includes(role));
+    const drumNotes = this.generateDrumNotes(musicData, sections, timeline);
+    const bassStyle = BassLineGenerator.styleForGenre(this.getGenre(musicData));
+    const vocalSection = Arranger.firstVocalSection(sections);
+    const melodyStart = sectionStart(vocalSection);
+    const recordingStartSeconds = Math.round((melodyStart - timeline.offsetTicks) * secondsPerTick * 1000) / 1000;
+    const lyricsWriter = new LyricsWriter();
+    const lyrics = lyricsWriter.lines(musicData.transcription, recordingStartSeconds);
+
+    logger.info('Arrangement laid out:', {
+      sections: sections.map(section => `${section.name} (${section.bars} bars: ${section.instruments.join(', ')})`),
+      melodyStartsAt: vocalSection.name
+    });
+
+    return {
+      title: musicData.title || 'Hum It Out Session',
+      tempo: timeline.tempo,
+      ticksPerQuarter: timeline.ticksPerQuarter,
+      timeSignature: [4, 4],
       key: musicData.analysis?.key || 'C',
+      startTick: timeline.offsetTicks,
+      totalBars: sections.reduce((total, section) => total + section.bars, 0),
+      sections: sections.map(section => ({
+        ...section,
+        startSeconds: Math.round(sectionStart(section) * secondsPerTick * 1000) / 1000
+      })),
+      recordingStartSeconds,
+      // Lyric lines in backing-track seconds: [{ start, end, text, words }]
+      lyrics,
+      chords: chords.map(({ symbol, chord, time, duration }) => ({ symbol, chord, time, duration })),
+      markers: sections.map(section => ({
+        time: sectionStart(section),
+        text: section.name.replace(/\b[a-z]/g, letter => letter.toUpperCase())
+      })),
       tracks: [
         {
           name: 'Chords',
+          role: 'chords',
+          stem: 'chords-piano',
           channel: 0,
-          notes: this.generateChordNotes(musicData.chords?.primaryProgression || ['C', 'Am', 'F', 'G'])
+          program: programForInstrument(instrumentation.chords, 'chords'),
+          notes: this.generateChordNotes(playing('chords'))
         },
         {
           name: 'Melody Guide',
+          role: 'melody',
+          stem: 'melody-guide',
           channel: 1,
-          notes: this.generateMelodyNotes(musicData.analysis?.key || 'C')
+          program: programForInstrument(instrumentation.melody, 'melody'),
+          notes: this.generateMelodyNotes(musicData, timeline, melodyStart),
+          lyrics: lyricsWriter.toMidiLyrics(lyrics, timeline)
+        },
+        {
+          name: 'Bass',
+          role: 'bass',
+          stem: 'bass',
+          channel: 2,
+          program: instrumentation.bass
+            ? programForInstrument(instrumentation.bass, 'bass')
+            : BassLineGenerator.programForStyle(bassStyle),
+          notes: this.generateBassNotes(playing('bass'), drumNotes, bassStyle, timeline)
         },
         {
           name: 'Drums',
-          channel: 9,
-          notes: this.generateDrumPattern()
+          role: 'drums',
+          stem: 'drums',
+          channel: DRUM_CHANNEL,
+          notes: drumNotes
         }
       ]
     };
+  }
 
+  async generateMIDI(sessionDir, song) {
     const midiPath = path.join(sessionDir, 'session.mid');
-    
-    // For demo, save as JSON (in production, use proper MIDI format)
-    await fs.writeFile(midiPath + '.json', JSON.stringify(midiData, null, 2));
-    
-    // Create a simple text representation for now
-    const midiText = `MIDI File Generated by Hum It Out
-=====================================
+    const midiBuffer = new MidiWriter({ ticksPerQuarter: song.ticksPerQuarter }).write(song);
+    await fs.writeFile(midiPath, midiBuffer);
 
-Format: Standard MIDI File
-Tempo: ${midiData.tempo} BPM
-Key: ${midiData.key}
-Tracks: ${midiData.tracks.length}
+    logger.info('MIDI file written:', {
+      path: midiPath,
+      tracks: song.tracks.map(track => `${track.name} (${track.notes.length} notes)`),
+      size: midiBuffer.length
+    });
 
-Track List:
-${midiData.tracks.map((track, i) => `  ${i + 1}. ${track.name} (Channel ${track.channel})`).join('\n')}
+    return midiPath;
+  }
 
-Instructions:
-• Import into your favorite DAW
-• All tracks are tempo-locked
-• Adjust instruments as needed
-• Use as foundation for your song
+  async generateMusicXML(sessionDir, song, lyrics = '') {
+    const musicXmlPath = path.join(sessionDir, 'lead-sheet.musicxml');
+    const xml = new MusicXmlWriter().write(song, { lyrics });
+    await fs.writeFile(musicXmlPath, xml, 'utf8');
 
-Generated: ${new Date().toISOString()}
-`;
+    logger.info('Lead sheet written:', { path: musicXmlPath, bars: song.totalBars });
+    return musicXmlPath;
+  }
 
-    await fs.writeFile(midiPath, midiText);
-    return midiPath;
+  async generateGuitarFiles(sessionDir, song) {
+    const guitar = new GuitarChart();
+    const chart = guitar.chart(song);
+    const guitarChart = path.join(sessionDir, 'guitar-chords.txt');
+    await fs.writeFile(guitarChart, chart.text, 'utf8');
+
+    let melodyTab = null;
+    const tab = guitar.tablature(song, chart.capo);
+    if (tab) {
+      melodyTab = path.join(sessionDir, 'melody-tab.txt');
+      await fs.writeFile(melodyTab, tab, 'utf8');
+    }
+
+    logger.info('Guitar chart written:', { capo: chart.capo, melodyTab: Boolean(melodyTab) });
+    return { guitarChart, melodyTab };
+  }
+
+  // Final instrument choices, falling back to the genre specialist's suggestions
+  getInstrumentation(musicData) {
+    return {
+      ...(musicData.genre?.instrumentation || {}),
+      ...(musicData.arrangement?.finalInstrumentation || {})
+    };
+  }
+
+  getGenre(musicData) {
+    return musicData.genre?.primaryGenre || musicData.analysis?.genres?.[0] || 'pop';
   }
 
-  generateChordNotes(chordProgression) {
-    const chordNotes = {
-      'C': [60, 64, 67],   // C-E-G
-      'Am': [57, 60, 64],  // A-C-E  
-      'F': [53, 57, 60],   // F-A-C
-      'G': [55, 59, 62]    // G-B-D
+  // Each section cycles through its progression one chord per bar:
+  // [{ symbol, chord, time, duration, section }] in ticks
+  buildChordTimeline(sections, timeline, key = 'C') {
+    const tonicChord = ChordSymbol.parse(MusicTheory.diatonicChords(key)?.[0] || 'C');
+    const parsed = new Map();
+    const parse = (symbol) => {
+      if (!parsed.has(symbol)) {
+        const chord = ChordSymbol.parse(symbol);
+        if (!chord) {
+          logger.warn('Unrecognized chord symbol, using the key chord instead:', { symbol, key });
+        }
+        parsed.set(symbol, chord || tonicChord);
+      }
+      return parsed.get(symbol);
     };
 
+    const spans = [];
+    for (const section of sections) {
+      for (let bar = 0; bar < section.bars; bar++) {
+        const chord = parse(section.progression[bar % section.progression.length]);
+        spans.push({
+          symbol: chord.symbol,
+          chord,
+          time: timeline.offsetTicks + (section.startBar + bar) * timeline.barTicks,
+          duration: timeline.barTicks,
+          section
+        });
+      }
+    }
+    return spans;
+  }
+
+  generateChordNotes(chords) {
     const notes = [];
-    let time = 0;
-    
-    chordProgression.forEach(chord => {
-      const midiNotes = chordNotes[chord] || chordNotes['C'];
-      midiNotes.forEach(note => {
+    const voicings = new ChordVoicer().voiceProgression(chords.map(span => span.chord));
+
+    voicings.forEach((voicing, index) => {
+      voicing.notes.forEach(note => {
         notes.push({
           note: note,
           velocity: 80,
-          time: time,
-          duration: 1920 // Full measure
+          time: chords[index].time,
+          duration: chords[index].duration
         });
       });
-      time += 1920; // Move to next measure
     });
 
     return notes;
   }
 
-  generateMelodyNotes(key) {
-    // Simple melody in the given key
-    const scales = {
-      'C': [60, 62, 64, 65, 67, 69, 71],
-      'G': [67, 69, 71, 72, 74, 76, 78],
-      'Am': [57, 59, 60, 62, 64, 65, 67]
-    };
-
-    const scale = scales[key] || scales['C'];
-    const melody = [];
-    let time = 0;
-
-    // Generate a simple melody
-    for (let i = 0; i < 16; i++) {
-      const noteIndex = Math.floor(Math.random() * scale.length);
-      melody.push({
-        note: scale[noteIndex],
-        velocity: 70,
-        time: time,
-        duration: 480
-      });
-      time += 480;
+  generateMelodyNotes(musicData, timeline = this.getTimeline(musicData), startTick = timeline.offsetTicks) {
+    // The melody guide is the caller's own hummed melody, quantized to the session beat grid
+    // and starting at `startTick` (the first vocal section)
+    const melody = musicData.recording?.melody;
+    if (!melody || melody.length === 0) {
+      logger.warn('No hummed melody detected, melody guide will be empty');
+      return [];
     }
 
-    return melody;
+    return new NoteSegmenter().quantize(melody, {
+      tempo: timeline.tempo,
+      ticksPerQuarter: timeline.ticksPerQuarter,
+      offset: timeline.offsetSeconds,
+      startTick
+    });
   }
 
-  generateDrumPattern() {
-    // Simple drum pattern
-    const drums = [];
-    const kick = 36;
-    const snare = 38;
-    const hihat = 42;
+  // Genre groove laid out over the arrangement, with fills and section changes
+  generateDrumNotes(musicData, sections, timeline = this.getTimeline(musicData)) {
+    const genre = this.getGenre(musicData);
+    const drums = new DrumPatterns({ ticksPerQuarter: timeline.ticksPerQuarter });
 
-    for (let measure = 0; measure < 4; measure++) {
-      const baseTime = measure * 1920;
-      
-      // Kick on 1 and 3
-      drums.push({ note: kick, velocity: 100, time: baseTime, duration: 240 });
-      drums.push({ note: kick, velocity: 90, time: baseTime + 960, duration: 240 });
-      
-      // Snare on 2 and 4  
-      drums.push({ note: snare, velocity: 95, time: baseTime + 480, duration: 240 });
-      drums.push({ note: snare, velocity: 95, time: baseTime + 1440, duration: 240 });
-      
-      // Hi-hat on all eighth notes
-      for (let i = 0; i < 8; i++) {
-        drums.push({ note: hihat, velocity: 60, time: baseTime + (i * 240), duration: 120 });
-      }
-    }
+    logger.info('Drum pattern selected:', {
+      genre,
+      style: DrumPatterns.styleForGenre(genre)
+    });
+
+    return drums.generate(sections, { genre, startTick: timeline.offsetTicks });
+  }
+
+  // Bass line following the chords, locked to the kick drum
+  generateBassNotes(chords, drumNotes, style, timeline) {
+    const kicks = drumNotes.filter(note => note.note === DRUM_NOTES.kick).map(note => note.time);
+    const notes = new BassLineGenerator({ ticksPerQuarter: timeline.ticksPerQuarter }).generate(chords, { style, kicks });
 
-    return drums;
+    logger.info('Bass line generated:', { style, notes: notes.length });
+    return notes;
+  }
+
+  // Render every track of the song to mono PCM. All stems share one length so they
+  // line up when dropped into a DAW at zero.
+  renderTracks(song) {
+    const synthesizer = new Synthesizer({ sampleRate: config.audio.sampleRate });
+    const tracks = song.tracks.filter(track => track.notes.length > 0);
+    const duration = Math.max(0, ...tracks.map(track => synthesizer.trackDuration(track, song)));
+
+    return tracks.map(track => ({
+      name: track.stem,
+      role: track.role,
+      samples: synthesizer.renderTrack(track, song, duration)
+    }));
   }
 
-  async generateDemoStems(sessionDir, musicData) {
+  async writeStems(sessionDir, rendered, { song = null, tags = null } = {}) {
     const stemsDir = path.join(sessionDir, 'stems');
     await fs.mkdir(stemsDir, { recursive: true });
 
-    // For demo purposes, create placeholder audio files
-    // In production, these would be real audio files generated by Tone.js
-    
     const stems = {};
-    const stemTypes = ['drums', 'bass', 'chords-piano', 'melody-guide'];
-    
-    for (const stemType of stemTypes) {
-      const stemPath = path.join(stemsDir, `${stemType}.wav`);
-      
-      // Create demo content for each stem
-      const demoContent = this.createDemoAudioContent(stemType, musicData);
-      await fs.writeFile(stemPath, demoContent);
-      
-      stems[stemType] = stemPath;
+    for (const stem of rendered) {
+      const stemPath = path.join(stemsDir, `${stem.name}.wav`);
+      // Dense voicings can sum past full scale; pull those stems down rather than clip them
+      let peak = 0;
+      for (const sample of stem.samples) peak = Math.max(peak, Math.abs(sample));
+      const samples = peak > 0.99 ? stem.samples.map(sample => (sample * 0.99) / peak) : stem.samples;
+
+      const stemTags = tags && { ...tags, title: this.stemTitle(tags.title, song, stem.name) };
+      await fs.writeFile(stemPath, this.encodeAudio(new Array(config.audio.channels).fill(samples), stemTags));
+      stems[stem.name] = stemPath;
     }
 
+    logger.info('Stems rendered:', {
+      stems: Object.keys(stems),
+      duration: rendered.length > 0 ? rendered[0].samples.length / config.audio.sampleRate : 0
+    });
+
     return stems;
   }
 
-  createDemoAudioContent(stemType, musicData) {
-    const tempo = musicData.analysis?.tempo || 120;
-    const key = musicData.analysis?.key || 'C';
-    
-    // Create text content representing what the audio would contain
-    return `Hum It Out - ${stemType} Track
-=====================================
+  mixStems(rendered, musicData) {
+    const arrangement = musicData.arrangement || {};
+    const mixer = new Mixer({
+      sampleRate: config.audio.sampleRate,
+      targetLoudness: config.audio.targetLoudness,
+      peakCeiling: config.audio.peakCeiling
+    });
+
+    const mix = mixer.mix(rendered, { levels: arrangement.mixLevels, pans: arrangement.panning });
+    logger.info('Mixdown completed:', {
+      integratedLoudness: mix.report.integratedLoudness,
+      peak: mix.report.peak,
+      limiterMaxReduction: mix.report.limiterMaxReduction
+    });
+
+    return mix;
+  }
+
+  async createBackingTrack(sessionDir, mix, tags = null) {
+    const backingTrackPath = path.join(sessionDir, 'backing-track.wav');
+    await fs.writeFile(backingTrackPath, this.encodeAudio(mix.channels, tags, {
+      loudness: { integrated: mix.report.integratedLoudness, peak: mix.report.peak }
+    }));
+    return backingTrackPath;
+  }
 
-Demo Audio File (Text Representation)
-In production, this would be a real WAV file.
+  // The time reference lets BWF-aware DAWs drop the hum at its place in the song
+  async copyOriginalHum(sessionDir, recordingPath, { tags = null, song = null, sampleRate = 16000 } = {}) {
+    const humPath = path.join(sessionDir, 'original-hum.wav');
+    try {
+      const recording = await fs.readFile(recordingPath);
+      await fs.writeFile(humPath, tags
+        ? WavMetadata.embed(recording, { ...tags, title: `${tags.title} (Original Hum)` }, {
+          timeReference: (song?.recordingStartSeconds || 0) * sampleRate
+        })
+        : recording);
+      return humPath;
+    } catch (error) {
+      logger.warn('Original hum not copied:', { error: error.message });
+      return null;
+    }
+  }
 
-Track: ${stemType}
-Tempo: ${tempo} BPM
-Key: ${key}
-Duration: ~30 seconds
-Format: WAV (48kHz/24-bit stereo)
+  async generateDawProjects(sessionDir, song, results, { mixReport, recordingAudio = null, genre = '' }) {
+    const relative = (filePath) => path.relative(sessionDir, filePath).split(path.sep).join('/');
+    const project = {
+      song,
+      genre,
+      duration: mixReport.duration,
+      // Raw stems at the levels and pans the mixdown used
+      stems: Object.entries(results.stems).map(([name, stemPath]) => ({
+        name: song.tracks.find(track => track.stem === name)?.name || name,
+        file: relative(stemPath),
+        level: mixReport.stems?.[name]?.level ?? 1,
+        pan: mixReport.stems?.[name]?.pan ?? 0
+      })),
+      hum: results.originalHum ? {
+        file: relative(results.originalHum),
+        start: song.recordingStartSeconds,
+        duration: recordingAudio.duration,
+        sampleRate: recordingAudio.sampleRate
+      } : null
+    };
 
-Content:
-${this.getTrackDescription(stemType, musicData)}
+    const reaperProject = path.join(sessionDir, 'session.rpp');
+    await fs.writeFile(reaperProject, new ReaperProjectWriter({ sampleRate: config.audio.sampleRate }).write(project));
 
-To play this track:
-1. Replace this file with real audio generated by Tone.js
-2. Import into your DAW
-3. Adjust levels and effects as needed
+    const dawProject = path.join(sessionDir, 'session.dawproject');
+    const { project: projectXml, metadata } = new DawProjectWriter({ sampleRate: config.audio.sampleRate }).write(project);
+    await new Promise((resolve, reject) => {
+      const output = require('fs').createWriteStream(dawProject);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      output.on('close', resolve);
+      archive.on('error', reject);
+      archive.pipe(output);
+      archive.append(projectXml, { name: 'project.xml' });
+      archive.append(metadata, { name: 'metadata.xml' });
+      archive.finalize();
+    });
 
-Generated: ${new Date().toISOString()}
-`;
+    logger.info('DAW projects written:', {
+      stems: project.stems.length,
+      hum: Boolean(project.hum)
+    });
+
+    return { reaperProject, dawProject };
   }
 
-  getTrackDescription(stemType, musicData) {
-    const descriptions = {
-      'drums': `• Kick on beats 1 and 3
-• Snare on beats 2 and 4  
-• Hi-hat eighth notes
-• Tempo: ${musicData.analysis?.tempo || 120} BPM`,
-      
-      'bass': `• Root notes of chord progression
-• ${(musicData.chords?.primaryProgression || ['C', 'Am', 'F', 'G']).join(' - ')}
-• Walking bass line pattern
-• Synced to drums`,
-      
-      'chords-piano': `• Piano chord progression
-• Chords: ${(musicData.chords?.primaryProgression || ['C', 'Am', 'F', 'G']).join(' - ')}
-• Key: ${musicData.analysis?.key || 'C'}
-• Whole note rhythm`,
-      
-      'melody-guide': `• Clean melody line from hummed input
-• Quantized to ${musicData.analysis?.key || 'C'} scale
-• Guide for vocal recording
-• Tempo-locked to backing track`
+  // peaks/<file>.json for the backing track, each stem and the original hum, named the way the
+  // dashboard's download route names files: { backingTrack, stems: { drums, ... }, originalHum }
+  async generateWaveformPeaks(sessionDir, results) {
+    const peaksDir = path.join(sessionDir, 'peaks');
+    await fs.mkdir(peaksDir, { recursive: true });
+    const waveformPeaks = new WaveformPeaks();
+    const peaks = { backingTrack: null, stems: {}, originalHum: null };
+
+    const write = async (audioPath, name) => {
+      try {
+        const decoded = WavCodec.decode(await fs.readFile(audioPath));
+        const peaksPath = path.join(peaksDir, `${name}.json`);
+        await fs.writeFile(peaksPath, JSON.stringify(waveformPeaks.compute(decoded.channelData, decoded.sampleRate)));
+        return peaksPath;
+      } catch (error) {
+        logger.warn('Waveform peaks not generated:', { file: path.basename(audioPath), error: error.message });
+        return null;
+      }
     };
 
-    return descriptions[stemType] || 'Audio content description';
+    peaks.backingTrack = await write(results.backingTrack, 'backing-track');
+    for (const [name, stemPath] of Object.entries(results.stems || {})) {
+      peaks.stems[name] = await write(stemPath, name);
+    }
+    if (results.originalHum) {
+      peaks.originalHum = await write(results.originalHum, 'original-hum');
+    }
+
+    return peaks;
   }
 
-  async createDemoBackingTrack(sessionDir, musicData) {
-    const backingTrackPath = path.join(sessionDir, 'backing-track.wav');
-    
-    const backingTrackContent = `Hum It Out - Full Backing Track
-========================================
-
-Demo Mixed Track (Text Representation)
-In production, this would be a mixed WAV file.
-
-Track Details:
-• Tempo: ${musicData.analysis?.tempo || 120} BPM
-• Key: ${musicData.analysis?.key || 'C'}
-• Duration: ~30 seconds
-• Format: WAV (48kHz/24-bit stereo)
-
-Mix Contains:
-• Drums (level: 85%)
-• Bass (level: 75%)
-• Piano chords (level: 60%)
-• Melody guide (level: 90%)
-
-Chord Progression:
-${(musicData.chords?.primaryProgression || ['C', 'Am', 'F', 'G']).join(' - ')}
-
-Usage:
-• Import into DAW for immediate playback
-• Use as backing for live performance
-• Reference for vocal recording
-• Foundation for further production
-
-Generated: ${new Date().toISOString()}
-`;
+  // { backingTrack: { mp3, ... }, stems: { drums: { mp3, ... } }, preview: { mp3, m4r } }
+  async generateCompressedFiles(results, song, tags = null) {
+    const transcoder = new AudioTranscoder();
+    const { formats, previewSeconds } = config.audio.compressed;
+    const compressed = { backingTrack: {}, stems: {}, preview: {} };
 
-    await fs.writeFile(backingTrackPath, backingTrackContent);
-    return backingTrackPath;
+    if (!(await transcoder.isAvailable())) {
+      logger.warn('ffmpeg not available, skipping compressed formats:', { ffmpeg: transcoder.ffmpegPath });
+      return compressed;
+    }
+
+    for (const name of Object.keys(results.stems)) {
+      compressed.stems[name] = {};
+    }
+
+    const sources = [
+      [compressed.backingTrack, results.backingTrack, tags],
+      ...Object.entries(results.stems).map(([name, stemPath]) => [
+        compressed.stems[name],
+        stemPath,
+        tags && { ...tags, title: this.stemTitle(tags.title, song, name) }
+      ])
+    ];
+
+    for (const format of formats) {
+      for (const [target, input, fileTags] of sources) {
+        try {
+          target[format] = await transcoder.transcode(input, transcoder.outputPath(input, format), { format, tags: fileTags });
+        } catch (error) {
+          logger.warn('Transcoding failed:', { input: path.basename(input), format, error: error.message });
+        }
+      }
+    }
+
+    // The preview starts at the first chorus, the part people recognise
+    const hook = song.sections.find(section => section.type === 'chorus') || Arranger.firstVocalSection(song.sections);
+    const sessionDir = path.dirname(results.backingTrack);
+    for (const format of FileManager.previewFormats()) {
+      try {
+        compressed.preview[format] = await transcoder.cut(results.backingTrack, path.join(sessionDir, `preview.${format}`), {
+          format,
+          start: hook?.startSeconds || 0,
+          duration: previewSeconds,
+          tags: tags && { ...tags, title: `${tags.title} (Preview)` }
+        });
+      } catch (error) {
+        logger.warn('Preview cut failed:', { format, error: error.message });
+      }
+    }
+
+    return compressed;
+  }
+
+  encodeAudio(channelData, tags = null, metadataOptions = {}) {
+    const buffer = WavCodec.encode(channelData, {
+      sampleRate: config.audio.sampleRate,
+      bitsPerSample: config.audio.bitDepth
+    });
+    return tags ? WavMetadata.embed(buffer, tags, metadataOptions) : buffer;
+  }
+
+  // The preview is cut for sharing and as an iPhone ringtone, nothing else
+  static previewFormats() {
+    return ['mp3', 'm4r'];
+  }
+
+  // Title, tempo, key and genre embedded in every audio file we ship
+  static audioTags({ title, tempo, key, genre, sessionId, date = new Date().toISOString() }) {
+    const bpm = Math.round(tempo);
+    return {
+      title: title || 'Hum It Out Session',
+      artist: 'Hum It Out',
+      album: 'Hum It Out',
+      genre,
+      date,
+      comment: `Key of ${key}, ${bpm} BPM. Session ${sessionId}`,
+      tempo: bpm,
+      key,
+      sessionId,
+      software: 'Hum It Out v1.0'
+    };
+  }
+
+  stemTitle(title, song, stemName) {
+    const trackName = song.tracks.find(track => track.stem === stemName)?.name || stemName;
+    return `${title} (${trackName})`;
   }
 
   async createDownloadPackage(sessionId, files) {
@@ -429,7 +811,15 @@ Generated: ${new Date().toISOString()}
                 archive.file(stemPath, { name: `stems/${path.basename(stemPath)}` });
               }
             });
-          } else if (require('fs').existsSync(filePath)) {
+          } else if (key === 'formats' && typeof filePath === 'object') {
+            // Compressed backing tracks and the preview; compressed stems stay on the dashboard
+            const extras = [...Object.values(filePath.backingTrack || {}), ...Object.values(filePath.preview || {})];
+            extras.forEach(extraPath => {
+              if (require('fs').existsSync(extraPath)) {
+                archive.file(extraPath, { name: path.basename(extraPath) });
+              }
+            });
+          } else if (typeof filePath === 'string' && require('fs').existsSync(filePath)) {
             archive.file(filePath, { name: path.basename(filePath) });
           }
         }
@@ -445,21 +835,32 @@ This package contains all your generated music files:
 
 📁 Files Included:
 • backing-track.wav - Full mixed track ready to play
+• backing-track.mp3 / .m4a / .flac / .ogg - The same mix, compressed for phones and sharing
+• preview.mp3 / preview.m4r - A short cut from the chorus, for previews and ringtones
 • session.mid - MIDI file for DAW import  
+• lead-sheet.musicxml - Sheet music: melody, chord symbols and lyrics
+• guitar-chords.txt - Chord diagrams, capo suggestion and song structure
+• melody-tab.txt - Guitar tab of the melody (when a melody was detected)
 • lyrics.txt - Transcribed lyrics and notes
+• lyrics.lrc / lyrics.vtt - Lyrics timed to the backing track (karaoke players, video editors)
+• session.rpp - REAPER project: stems, MIDI, markers and your hum, already lined up
+• session.dawproject - The same session for Bitwig, Cubase, Studio One and other DAWproject apps
+• original-hum.wav - Your recording, cleaned up
 • metadata.json - Technical details and settings
 • stems/ - Individual track files for mixing
   • drums.wav
-  • bass.wav  
+  • bass.wav
   • chords-piano.wav
   • melody-guide.wav
 
 🎚️ DAW Import Instructions:
 1. Extract all files to a folder
+   (REAPER, Bitwig, Cubase, Studio One: just open session.rpp or session.dawproject and skip the rest)
 2. Open your DAW (GarageBand, Logic Pro, Ableton, etc.)
 3. Import backing-track.wav for immediate playback
 4. Import session.mid for full MIDI editing
 5. Import individual stems for advanced mixing
+6. Open lead-sheet.musicxml in MuseScore, Sibelius, Finale or Dorico for sheet music
 
 🎵 Usage Tips:
 • All files are tempo-locked and will sync automatically
@@ -495,6 +896,13 @@ Happy music making!
             const stats = await fs.stat(stemPath);
             totalSize += stats.size;
           }
+        } else if (key === 'formats' && typeof filePath === 'object') {
+          const { backingTrack = {}, stems = {}, preview = {} } = filePath;
+          const formatPaths = [...Object.values(backingTrack), ...Object.values(preview), ...Object.values(stems).flatMap(Object.values)];
+          for (const formatPath of formatPaths) {
+            const stats = await fs.stat(formatPath);
+            totalSize += stats.size;
+          }
         } else if (filePath && typeof filePath === 'string') {
           const stats = await fs.stat(filePath);
           totalSize += stats.size;
@@ -507,6 +915,42 @@ Happy music making!
     return totalSize;
   }
 
+  // Bytes per audio format: { wav: { backingTrack, stems: { drums, ... } }, mp3: { ..., preview } }
+  async calculateFileSizes(files) {
+    const sizes = {};
+    const add = async (format, filePath, setter) => {
+      try {
+        const stats = await fs.stat(filePath);
+        sizes[format] = sizes[format] || { backingTrack: null, stems: {} };
+        setter(sizes[format], stats.size);
+      } catch (error) {
+        // File might not exist, skip
+      }
+    };
+
+    if (files.backingTrack) {
+      await add('wav', files.backingTrack, (entry, size) => { entry.backingTrack = size; });
+    }
+    for (const [name, stemPath] of Object.entries(files.stems || {})) {
+      await add('wav', stemPath, (entry, size) => { entry.stems[name] = size; });
+    }
+
+    const formats = files.formats || {};
+    for (const [format, filePath] of Object.entries(formats.backingTrack || {})) {
+      await add(format, filePath, (entry, size) => { entry.backingTrack = size; });
+    }
+    for (const [name, stemFormats] of Object.entries(formats.stems || {})) {
+      for (const [format, filePath] of Object.entries(stemFormats)) {
+        await add(format, filePath, (entry, size) => { entry.stems[name] = size; });
+      }
+    }
+    for (const [format, filePath] of Object.entries(formats.preview || {})) {
+      await add(format, filePath, (entry, size) => { entry.preview = size; });
+    }
+
+    return sizes;
+  }
+
   async cleanupFiles(directory) {
     try {
       await fs.rm(directory, { recursive: true, force: true });
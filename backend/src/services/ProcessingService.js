@@ -94,9 +94,10 @@ class ProcessingService {
         job.attempts++;
         job.status = 'failed';
         job.lastError = error.message;
+        job.rejected = error.name === 'RecordingRejectedError';
 
-        // Retry if under max attempts
-        if (job.attempts < job.maxAttempts) {
+        // Retry if under max attempts; a rejected recording fails the same way every time
+        if (error.retryable !== false && job.attempts < job.maxAttempts) {
           job.status = 'retrying';
           this.processingQueue.push(job);
           logger.info('Job queued for retry:', {
@@ -135,6 +136,7 @@ class ProcessingService {
     }
 
     const audioProcessor = new AudioProcessor();
+    const onProgress = this.progressReporter(io, job);
 
     if (job.type === 'process_recording') {
       // Process new recording
@@ -143,7 +145,7 @@ class ProcessingService {
         callSid: job.callSid,
         duration: job.duration,
         phoneNumber: job.phoneNumber
-      });
+      }, onProgress);
 
       // Notify frontend of completion
       if (io && job.userId) {
@@ -161,7 +163,8 @@ class ProcessingService {
       const result = await audioProcessor.regenerateSession(
         job.sessionId,
         job.userId,
-        job.options
+        job.options,
+        onProgress
       );
 
       // Notify frontend of completion
@@ -186,6 +189,34 @@ class ProcessingService {
     });
   }
 
+  // Forwards the pipeline's progress to the user's room as processing_progress events:
+  // { jobId, callSid, sessionId, stage, status, summary, at }. A new recording's session row is
+  // created before its first step; a session_update announces it along with the first event,
+  // so the dashboard loads its card.
+  static progressReporter(io, job) {
+    let sessionId = job.sessionId || null;
+
+    return (progress) => {
+      if (!io || !job.userId) return;
+      const room = io.to(`user_${job.userId}`);
+
+      if (progress.sessionId && progress.sessionId !== sessionId) {
+        sessionId = progress.sessionId;
+        room.emit('session_update', { sessionId, status: 'processing' });
+      }
+
+      room.emit('processing_progress', {
+        jobId: job.id,
+        callSid: job.callSid || null,
+        sessionId,
+        stage: progress.stage,
+        status: progress.status,
+        summary: progress.summary || null,
+        at: new Date()
+      });
+    };
+  }
+
   static async handleJobFailure(job) {
     logger.error('Job permanently failed:', {
       jobId: job.id,
@@ -203,9 +234,10 @@ class ProcessingService {
         await db.query(`
           UPDATE sessions 
           SET processing_status = 'failed', 
+              failure_reason = $3,
               processing_completed_at = NOW()
           WHERE call_sid = $1 AND user_id = $2
-        `, [job.callSid, job.userId]);
+        `, [job.callSid, job.userId, job.lastError]);
       } catch (error) {
         logger.error('Failed to update session status:', error);
       }
@@ -218,6 +250,7 @@ class ProcessingService {
         jobId: job.id,
         sessionId: job.sessionId || job.callSid,
         error: job.lastError,
+        rejected: job.rejected || false,
         failedAt: new Date()
       });
     }
@@ -230,7 +263,9 @@ class ProcessingService {
         
         await twilioService.sendSMS(
           job.phoneNumber,
-          '🎵 Hum It Out: Sorry, we encountered an issue processing your recording. Please try again or contact support if the problem persists.'
+          job.rejected
+            ? `🎵 Hum It Out: We couldn't use your recording. ${job.lastError} Call back any time to try again.`
+            : '🎵 Hum It Out: Sorry, we encountered an issue processing your recording. Please try again or contact support if the problem persists.'
         );
       }
     } catch (error) {
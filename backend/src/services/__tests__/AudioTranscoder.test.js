@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AudioTranscoder = require('../AudioTranscoder');
+
+describe('AudioTranscoder.ensureFormat', () => {
+  let dir;
+  let input;
+  let transcoder;
+  let runs;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcoder-'));
+    input = path.join(dir, 'backing-track.wav');
+    fs.writeFileSync(input, 'RIFF');
+    transcoder = new AudioTranscoder({ bitrate: 192 });
+    runs = [];
+
+    // Stands in for ffmpeg: writes the last argument (the output) a little later
+    jest.spyOn(transcoder, 'run').mockImplementation(async (args) => {
+      const output = args[args.length - 1];
+      runs.push(output);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      fs.writeFileSync(output, 'encoded');
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes to a temporary file and renames it into place', async () => {
+    const output = await transcoder.ensureFormat(input, { format: 'mp3' });
+
+    expect(output).toBe(path.join(dir, 'backing-track.mp3'));
+    expect(runs).toEqual([expect.stringMatching(/backing-track\.[0-9a-f]{12}\.partial\.mp3$/)]);
+    expect(fs.readdirSync(dir).sort()).toEqual(['backing-track.mp3', 'backing-track.wav']);
+  });
+
+  it('runs ffmpeg once for concurrent requests of the same file', async () => {
+    const outputs = await Promise.all([
+      transcoder.ensureFormat(input, { format: 'ogg' }),
+      // A second instance, as each download request makes its own
+      new AudioTranscoder({ bitrate: 192 }).ensureFormat(input, { format: 'ogg' }),
+      transcoder.ensureFormat(input, { format: 'ogg' })
+    ]);
+
+    expect(outputs).toEqual(Array(3).fill(path.join(dir, 'backing-track.ogg')));
+    expect(runs).toHaveLength(1);
+  });
+
+  it('reuses a file that was already written', async () => {
+    fs.writeFileSync(path.join(dir, 'backing-track-320k.mp3'), 'encoded');
+
+    await expect(transcoder.ensureFormat(input, { format: 'mp3', bitrate: 320 })).resolves.toBe(path.join(dir, 'backing-track-320k.mp3'));
+    expect(runs).toEqual([]);
+  });
+
+  it('leaves nothing behind when ffmpeg fails, and tries again next time', async () => {
+    transcoder.run.mockImplementationOnce(async (args) => {
+      fs.writeFileSync(args[args.length - 1], 'trunc');
+      throw new Error('ffmpeg failed: Conversion failed!');
+    });
+
+    await expect(transcoder.ensureFormat(input, { format: 'flac' })).rejects.toThrow('Conversion failed!');
+    expect(fs.readdirSync(dir)).toEqual(['backing-track.wav']);
+
+    await expect(transcoder.ensureFormat(input, { format: 'flac' })).resolves.toBe(path.join(dir, 'backing-track.flac'));
+  });
+});
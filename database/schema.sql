@@ -32,7 +32,7 @@ CREATE TABLE IF NOT EXISTS sessions (
     original_audio_url VARCHAR(500) NOT NULL,
     transcribed_lyrics TEXT,
     tempo INTEGER,
-    detected_key VARCHAR(10),
+    detected_key VARCHAR(20), -- 'C', 'Bbm', 'D dorian'
     mood_tags TEXT[],
     genre_tags TEXT[],
     processing_status VARCHAR(20) DEFAULT 'pending',
@@ -40,6 +40,10 @@ CREATE TABLE IF NOT EXISTS sessions (
     processing_completed_at TIMESTAMP WITH TIME ZONE,
     audio_duration DECIMAL(8,3),
     audio_size INTEGER,
+    pitch_contour JSONB,
+    tempo_confidence DECIMAL(4,3),
+    beat_grid JSONB,
+    failure_reason TEXT, -- why processing failed, e.g. a silent or clipped recording
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
@@ -55,6 +59,7 @@ CREATE TABLE IF NOT EXISTS generated_tracks (
     version INTEGER DEFAULT 1,
     backing_track_url VARCHAR(500),
     midi_url VARCHAR(500),  
+    musicxml_url VARCHAR(500),
     stems_folder_url VARCHAR(500),
     lyrics_url VARCHAR(500),
     metadata_url VARCHAR(500),
@@ -70,6 +75,27 @@ CREATE TABLE IF NOT EXISTS generated_tracks (
     CONSTRAINT generated_tracks_size_check CHECK (total_size >= 0)
 );
 
+-- Agent transcripts table: every model call behind a generated track, in call order
+CREATE TABLE IF NOT EXISTS agent_transcripts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    track_id UUID REFERENCES generated_tracks(id) ON DELETE CASCADE,
+    sequence INTEGER NOT NULL,
+    agent VARCHAR(50) NOT NULL, -- 'transcriber', 'recordingAnalyst', 'musicAnalyst', ...
+    attempt INTEGER DEFAULT 1, -- re-prompts and critiques call the same agent again
+    provider VARCHAR(50),
+    model VARCHAR(100),
+    prompt JSONB, -- chat messages sent, or the transcription request
+    raw_response TEXT,
+    parsed_output JSONB, -- on an agent's last call, the value the pipeline went on with
+    latency_ms INTEGER,
+    usage JSONB, -- token counts as the provider reports them
+    fallback BOOLEAN DEFAULT false,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT agent_transcripts_sequence_check CHECK (sequence >= 1)
+);
+
 -- Call logs table: Security and analytics
 CREATE TABLE IF NOT EXISTS call_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -106,6 +132,16 @@ CREATE TABLE IF NOT EXISTS processing_jobs (
     CONSTRAINT processing_jobs_priority_check CHECK (priority BETWEEN 1 AND 10)
 );
 
+-- Columns added after the initial release (CREATE TABLE IF NOT EXISTS skips existing tables).
+-- session_details_view selects s.*, so it is dropped here and recreated below with the new columns.
+DROP VIEW IF EXISTS session_details_view;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS pitch_contour JSONB;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS tempo_confidence DECIMAL(4,3);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS beat_grid JSONB;
+ALTER TABLE sessions ALTER COLUMN detected_key TYPE VARCHAR(20);
+ALTER TABLE generated_tracks ADD COLUMN IF NOT EXISTS musicxml_url VARCHAR(500);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS failure_reason TEXT;
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_users_pin ON users(pin);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
@@ -122,6 +158,8 @@ CREATE INDEX IF NOT EXISTS idx_tracks_session_id ON generated_tracks(session_id)
 CREATE INDEX IF NOT EXISTS idx_tracks_version ON generated_tracks(session_id, version);
 CREATE INDEX IF NOT EXISTS idx_tracks_expires_at ON generated_tracks(expires_at);
 
+CREATE INDEX IF NOT EXISTS idx_transcripts_track_id ON agent_transcripts(track_id, sequence);
+
 CREATE INDEX IF NOT EXISTS idx_call_logs_phone ON call_logs(phone_number);
 CREATE INDEX IF NOT EXISTS idx_call_logs_created_at ON call_logs(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_call_logs_action ON call_logs(action);
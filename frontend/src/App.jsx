@@ -8,7 +8,7 @@ import './styles/app.css';
 
 function App() {
   const { user, loading, login, logout, register } = useAuth();
-  const { connectionStatus, sessionUpdates } = useWebSocket(user?.id);
+  const { connectionStatus, sessionUpdates, pipelineProgress } = useWebSocket(user?.id);
   const [showAuthModal, setShowAuthModal] = useState(false);
 
   useEffect(() => {
@@ -31,6 +31,7 @@ function App() {
           user={user} 
           connectionStatus={connectionStatus}
           sessionUpdates={sessionUpdates}
+          pipelineProgress={pipelineProgress}
           onLogout={logout}
         />
       ) : (
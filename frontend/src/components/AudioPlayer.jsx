@@ -1,70 +1,106 @@
 import React, { useRef, useEffect, useState } from 'react';
 import WaveSurfer from 'wavesurfer.js';
 import { Play, Pause, Volume2, VolumeX, RotateCcw } from 'lucide-react';
+import { dashboard } from '../utils/api';
+
+// Picks the coarsest zoom level that still has a peak per pixel, scaled to -1..1 for wavesurfer
+function selectPeaks(waveform, width) {
+  const level = waveform.levels.find(candidate => candidate.length >= width) || waveform.levels[waveform.levels.length - 1];
+  const scale = 2 ** (level.bits - 1);
+  return {
+    data: level.data.map(value => value / scale),
+    duration: waveform.duration
+  };
+}
 
-function AudioPlayer({ audioUrl, title, duration }) {
+// With sessionId, precomputed peaks for `file` are drawn straight away and the audio streams;
+// without them (or if they fail to load) wavesurfer downloads and decodes the whole file first
+function AudioPlayer({ audioUrl, sessionId, file = 'backing-track', title, duration }) {
   const waveformRef = useRef(null);
   const wavesurfer = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [totalDuration, setTotalDuration] = useState(duration || 0);
   const [volume, setVolume] = useState(0.7);
+  const volumeRef = useRef(volume);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
     if (!audioUrl || !waveformRef.current) return;
+    let cancelled = false;
+
+    const create = (peaks) => {
+      if (cancelled) return;
+
+      // Initialize WaveSurfer
+      wavesurfer.current = WaveSurfer.create({
+        container: waveformRef.current,
+        waveColor: '#58a6ff',
+        progressColor: '#1f6feb',
+        cursorColor: '#f0f6fc',
+        barWidth: 2,
+        barRadius: 3,
+        responsive: true,
+        height: 60,
+        normalize: true,
+        backend: peaks ? 'MediaElement' : 'WebAudio',
+        mediaControls: false
+      });
+
+      // Event listeners
+      wavesurfer.current.on('ready', () => {
+        setTotalDuration(wavesurfer.current.getDuration());
+        setIsLoading(false);
+        wavesurfer.current.setVolume(volumeRef.current);
+      });
+
+      wavesurfer.current.on('audioprocess', () => {
+        setCurrentTime(wavesurfer.current.getCurrentTime());
+      });
+
+      wavesurfer.current.on('seek', () => {
+        setCurrentTime(wavesurfer.current.getCurrentTime());
+      });
+
+      wavesurfer.current.on('finish', () => {
+        setIsPlaying(false);
+        setCurrentTime(0);
+      });
+
+      wavesurfer.current.on('error', (error) => {
+        console.error('WaveSurfer error:', error);
+        setError('Failed to load audio');
+        setIsLoading(false);
+      });
+
+      // Load audio
+      if (peaks) {
+        wavesurfer.current.load(audioUrl, [peaks.data], peaks.duration);
+        wavesurfer.current.setVolume(volumeRef.current);
+        setTotalDuration(peaks.duration);
+        setIsLoading(false);
+      } else {
+        wavesurfer.current.load(audioUrl);
+      }
+    };
 
-    // Initialize WaveSurfer
-    wavesurfer.current = WaveSurfer.create({
-      container: waveformRef.current,
-      waveColor: '#58a6ff',
-      progressColor: '#1f6feb',
-      cursorColor: '#f0f6fc',
-      barWidth: 2,
-      barRadius: 3,
-      responsive: true,
-      height: 60,
-      normalize: true,
-      backend: 'WebAudio',
-      mediaControls: false
-    });
-
-    // Event listeners
-    wavesurfer.current.on('ready', () => {
-      setTotalDuration(wavesurfer.current.getDuration());
-      setIsLoading(false);
-      wavesurfer.current.setVolume(volume);
-    });
-
-    wavesurfer.current.on('audioprocess', () => {
-      setCurrentTime(wavesurfer.current.getCurrentTime());
-    });
-
-    wavesurfer.current.on('seek', () => {
-      setCurrentTime(wavesurfer.current.getCurrentTime());
-    });
-
-    wavesurfer.current.on('finish', () => {
-      setIsPlaying(false);
-      setCurrentTime(0);
-    });
-
-    wavesurfer.current.on('error', (error) => {
-      console.error('WaveSurfer error:', error);
-      setError('Failed to load audio');
-      setIsLoading(false);
-    });
-
-    // Load audio
-    wavesurfer.current.load(audioUrl);
+    if (sessionId) {
+      dashboard.getPeaks(sessionId, file)
+        .then(response => create(selectPeaks(response.data, waveformRef.current?.clientWidth || 0)))
+        .catch(() => create(null));
+    } else {
+      create(null);
+    }
 
     return () => {
+      cancelled = true;
       if (wavesurfer.current) {
         wavesurfer.current.destroy();
+        wavesurfer.current = null;
       }
     };
-  }, [audioUrl, volume]);
+  }, [audioUrl, sessionId, file]);
 
   const togglePlayback = () => {
     if (!wavesurfer.current || isLoading) return;
@@ -79,6 +115,7 @@ function AudioPlayer({ audioUrl, title, duration }) {
 
   const handleVolumeChange = (newVolume) => {
     setVolume(newVolume);
+    volumeRef.current = newVolume;
     if (wavesurfer.current) {
       wavesurfer.current.setVolume(newVolume);
     }
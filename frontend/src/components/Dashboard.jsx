@@ -5,7 +5,7 @@ import ConnectionStatus from './ConnectionStatus';
 import { Phone, Music, Download, Users } from 'lucide-react';
 import { api } from '../utils/api';
 
-function Dashboard({ user, connectionStatus, sessionUpdates, onLogout }) {
+function Dashboard({ user, connectionStatus, sessionUpdates, pipelineProgress = {}, onLogout }) {
   const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [stats, setStats] = useState({
@@ -46,6 +46,12 @@ function Dashboard({ user, connectionStatus, sessionUpdates, onLogout }) {
     }
   };
 
+  // Latest job for the session (a session can be regenerated)
+  const progressFor = (session) => {
+    const jobs = Object.values(pipelineProgress).filter(job => job.sessionId === session.id);
+    return jobs[jobs.length - 1] || null;
+  };
+
   const handleSessionUpdate = () => {
     loadUserSessions();
     loadUserStats();
@@ -160,6 +166,7 @@ function Dashboard({ user, connectionStatus, sessionUpdates, onLogout }) {
               <SessionCard 
                 key={session.id} 
                 session={session}
+                progress={progressFor(session)}
                 onUpdate={handleSessionUpdate}
               />
             ))}
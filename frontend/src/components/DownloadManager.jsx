@@ -1,14 +1,20 @@
 import React, { useState } from 'react';
-import { Download, Package, Music, FileText, Disc3 } from 'lucide-react';
+import { Download, Package, Music, FileText, FileMusic, Disc3, Smartphone } from 'lucide-react';
+import { dashboard } from '../utils/api';
+
+const AUDIO_FORMATS = ['wav', 'mp3', 'm4a', 'flac', 'ogg'];
+const PREVIEW_FORMATS = ['mp3', 'm4r'];
 
 function DownloadManager({ tracks, sessionId }) {
   const [downloadCounts, setDownloadCounts] = useState({});
+  const [formats, setFormats] = useState({ 'backing-track': 'wav', preview: 'mp3' });
   
   if (!tracks || tracks.length === 0) {
     return null;
   }
 
   const track = tracks[0]; // Use the first/latest track version
+  const fileSizes = track.file_sizes || {};
 
   const downloadItems = [
     {
@@ -18,8 +24,23 @@ function DownloadManager({ tracks, sessionId }) {
       url: track.backing_track_url,
       icon: <Music />,
       type: 'audio/wav',
+      file: 'backing-track',
+      formats: AUDIO_FORMATS,
+      size: fileSizes[formats['backing-track']]?.backingTrack,
       className: 'download-backing-track'
     },
+    {
+      id: 'preview',
+      name: 'Preview / Ringtone',
+      description: 'Short cut from the chorus (MP3, or M4R for iPhone)',
+      url: fileSizes.mp3?.preview ? track.backing_track_url : null,
+      icon: <Smartphone />,
+      type: 'audio/mpeg',
+      file: 'preview',
+      formats: PREVIEW_FORMATS,
+      size: fileSizes[formats.preview]?.preview,
+      className: 'download-preview'
+    },
     {
       id: 'midi',
       name: 'MIDI File',
@@ -29,6 +50,15 @@ function DownloadManager({ tracks, sessionId }) {
       type: 'audio/midi',
       className: 'download-midi'
     },
+    {
+      id: 'lead-sheet',
+      name: 'Lead Sheet',
+      description: 'MusicXML with melody, chords and lyrics',
+      url: track.musicxml_url,
+      icon: <FileMusic />,
+      type: 'application/vnd.recordare.musicxml+xml',
+      className: 'download-lead-sheet'
+    },
     {
       id: 'stems',
       name: 'Stems Package',
@@ -62,16 +92,27 @@ function DownloadManager({ tracks, sessionId }) {
         [item.id]: (prev[item.id] || 0) + 1
       }));
 
+      // Audio goes through the API so the chosen format can be transcoded on request
+      const format = formats[item.id];
+      let href = item.url;
+      if (item.file) {
+        const response = await dashboard.downloadFile(sessionId, item.file, { format });
+        href = URL.createObjectURL(response.data);
+      }
+
       // Create download link
       const link = document.createElement('a');
-      link.href = item.url;
-      link.download = `HumItOut_${sessionId}_${item.id}.${getFileExtension(item.type)}`;
+      link.href = href;
+      link.download = `HumItOut_${sessionId}_${item.id}.${format || getFileExtension(item.type)}`;
       link.target = '_blank';
       
       // Trigger download
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
+      if (href !== item.url) {
+        URL.revokeObjectURL(href);
+      }
 
       // Optional: Track download analytics
       if (window.gtag) {
@@ -92,12 +133,20 @@ function DownloadManager({ tracks, sessionId }) {
     const extensions = {
       'audio/wav': 'wav',
       'audio/midi': 'mid',
+      'application/vnd.recordare.musicxml+xml': 'musicxml',
       'application/zip': 'zip',
       'text/plain': 'txt'
     };
     return extensions[mimeType] || 'file';
   };
 
+  const formatSize = (bytes) => {
+    if (!bytes) return null;
+    return bytes >= 1024 * 1024
+      ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+      : `${Math.round(bytes / 1024)} KB`;
+  };
+
   const handleDownloadAll = () => {
     // Download all available files with a small delay between each
     downloadItems.forEach((item, index) => {
@@ -133,7 +182,10 @@ function DownloadManager({ tracks, sessionId }) {
               </div>
               <div className="download-details">
                 <div className="download-name">{item.name}</div>
-                <div className="download-description">{item.description}</div>
+                <div className="download-description">
+                  {item.description}
+                  {formatSize(item.size) && ` · ${formatSize(item.size)}`}
+                </div>
               </div>
             </div>
 
@@ -143,6 +195,20 @@ function DownloadManager({ tracks, sessionId }) {
                   {downloadCounts[item.id]}× downloaded
                 </span>
               )}
+
+              {item.formats && (
+                <select
+                  value={formats[item.id]}
+                  onChange={(e) => setFormats(prev => ({ ...prev, [item.id]: e.target.value }))}
+                  disabled={!item.url}
+                  className="download-format"
+                  title="File format"
+                >
+                  {item.formats.map(format => (
+                    <option key={format} value={format}>{format.toUpperCase()}</option>
+                  ))}
+                </select>
+              )}
               
               <button
                 onClick={() => handleDownload(item)}
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronRight } from 'lucide-react';
+import { dashboard } from '../utils/api';
+
+const AGENT_LABELS = {
+  transcriber: 'Transcriber',
+  recordingAnalyst: 'Recording analyst',
+  musicAnalyst: 'MusicAnalyst',
+  chordComposer: 'ChordComposer',
+  genreSpecialist: 'GenreSpecialist',
+  arrangementDirector: 'ArrangementDirector'
+};
+
+const formatJson = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+// Raw replies are JSON text; indent them when they parse
+const formatResponse = (response) => {
+  try {
+    return JSON.stringify(JSON.parse(response), null, 2);
+  } catch (error) {
+    return response;
+  }
+};
+
+const formatPrompt = (prompt) => (Array.isArray(prompt)
+  ? prompt.map(message => `[${message.role}]\n${message.content}`).join('\n\n')
+  : formatJson(prompt));
+
+// "How this was made": the generation's model calls, loaded the first time the panel opens
+function GenerationTrace({ sessionId, version }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [trace, setTrace] = useState(null);
+  const [error, setError] = useState(null);
+
+  const toggle = async () => {
+    setIsOpen(!isOpen);
+    if (isOpen || trace) return;
+
+    setError(null);
+    try {
+      const response = await dashboard.getTrace(sessionId, version);
+      setTrace(response.data);
+    } catch (loadError) {
+      console.error('Failed to load generation trace:', loadError);
+      setError('Could not load how this track was made.');
+    }
+  };
+
+  return (
+    <div className="detail-section generation-trace">
+      <button className="trace-toggle" onClick={toggle}>
+        {isOpen ? <ChevronDown className="trace-chevron" /> : <ChevronRight className="trace-chevron" />}
+        <h4>How this was made</h4>
+      </button>
+
+      {isOpen && error && <div className="trace-error">{error}</div>}
+      {isOpen && !error && !trace && <div className="trace-loading">Loading...</div>}
+
+      {isOpen && trace && (
+        trace.calls.length === 0 ? (
+          <div className="trace-empty">No agent transcript was recorded for this version.</div>
+        ) : (
+          <ol className="trace-calls">
+            {trace.calls.map(call => {
+              const repairs = trace.generation.repairs[call.agent] || [];
+              const notes = trace.generation.critiques[call.agent] || [];
+              const isLast = !trace.calls.some(other => other.agent === call.agent && other.sequence > call.sequence);
+
+              return (
+                <li key={call.sequence} className={`trace-call ${call.fallback || call.error ? 'trace-call-failed' : ''}`}>
+                  <details>
+                    <summary>
+                      <span className="trace-agent">
+                        {AGENT_LABELS[call.agent] || call.agent}
+                        {call.attempt > 1 && ` · attempt ${call.attempt}`}
+                      </span>
+                      <span className="trace-meta">
+                        {[
+                          call.model && `${call.provider}/${call.model}`,
+                          call.latency_ms !== null && `${(call.latency_ms / 1000).toFixed(1)}s`,
+                          call.usage?.total_tokens && `${call.usage.total_tokens} tokens`,
+                          call.fallback && 'fell back to defaults'
+                        ].filter(Boolean).join(' · ')}
+                      </span>
+                    </summary>
+
+                    {call.error && <div className="trace-error">{call.error}</div>}
+
+                    {isLast && (repairs.length > 0 || notes.length > 0) && (
+                      <ul className="trace-notes">
+                        {repairs.map(field => (
+                          <li key={`repair-${field}`}>Repaired from defaults: {field}</li>
+                        ))}
+                        {notes.map((note, index) => (
+                          <li key={`note-${index}`}>
+                            {note.action === 'critiqued' ? 'Sent back' : 'Corrected'}: {note.message}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <h5>Prompt</h5>
+                    <pre className="trace-text">{formatPrompt(call.prompt)}</pre>
+
+                    {call.raw_response && (
+                      <>
+                        <h5>Raw response</h5>
+                        <pre className="trace-text">{formatResponse(call.raw_response)}</pre>
+                      </>
+                    )}
+
+                    {call.parsed_output && (
+                      <>
+                        <h5>{isLast ? 'Used by the pipeline' : 'Parsed output'}</h5>
+                        <pre className="trace-text">{formatJson(call.parsed_output)}</pre>
+                      </>
+                    )}
+                  </details>
+                </li>
+              );
+            })}
+          </ol>
+        )
+      )}
+    </div>
+  );
+}
+
+export default GenerationTrace;
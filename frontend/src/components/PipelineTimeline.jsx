@@ -0,0 +1,61 @@
+import React, { useEffect, useState } from 'react';
+
+// Steps in the order the backend runs them (AudioProcessor.processRecording)
+const STAGES = [
+  { id: 'ingest', label: 'Cleaning up the recording', icon: '🎙️' },
+  { id: 'transcribe', label: 'Transcribing', icon: '📝' },
+  { id: 'analyse', label: 'Analysing the melody', icon: '📈' },
+  { id: 'musicAnalyst', label: 'MusicAnalyst', icon: '🎵' },
+  { id: 'chordComposer', label: 'ChordComposer', icon: '🎹' },
+  { id: 'genreSpecialist', label: 'GenreSpecialist', icon: '🎸' },
+  { id: 'arrangementDirector', label: 'ArrangementDirector', icon: '🎚️' },
+  { id: 'render', label: 'Rendering stems', icon: '🔊' },
+  { id: 'package', label: 'Packaging downloads', icon: '📦' }
+];
+
+const formatElapsed = (milliseconds) => {
+  const seconds = Math.max(0, milliseconds) / 1000;
+  return seconds < 60 ? `${seconds.toFixed(1)}s` : `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+};
+
+// Live view of a job's processing_progress events (see useWebSocket)
+function PipelineTimeline({ progress }) {
+  const [now, setNow] = useState(Date.now());
+  const running = STAGES.some(stage => progress.stages[stage.id]?.status === 'started');
+
+  // Tick while a step is running so its elapsed time counts up
+  useEffect(() => {
+    if (!running) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  return (
+    <ol className="pipeline-timeline">
+      {STAGES.map(stage => {
+        const step = progress.stages[stage.id];
+        const status = step?.status || 'pending';
+        const elapsed = step?.startedAt
+          ? formatElapsed(new Date(status === 'started' ? now : step.at) - new Date(step.startedAt))
+          : null;
+
+        return (
+          <li key={stage.id} className={`pipeline-step pipeline-${status}`}>
+            <span className="pipeline-marker">
+              {status === 'started' ? <span className="processing-spinner" /> : stage.icon}
+            </span>
+            <div className="pipeline-body">
+              <div className="pipeline-label">
+                <span>{stage.label}</span>
+                {elapsed && <span className="pipeline-elapsed">{elapsed}</span>}
+              </div>
+              {step?.summary && <div className="pipeline-summary">{step.summary}</div>}
+            </div>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+export default PipelineTimeline;
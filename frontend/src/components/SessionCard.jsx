@@ -1,10 +1,13 @@
 import React, { useState } from 'react';
 import AudioPlayer from './AudioPlayer';
 import DownloadManager from './DownloadManager';
+import PipelineTimeline from './PipelineTimeline';
+import GenerationTrace from './GenerationTrace';
 import { Clock, Music, Key, Zap, MoreHorizontal } from 'lucide-react';
 import { formatDistanceToNow } from '../utils/dateUtils';
+import { files } from '../utils/api';
 
-function SessionCard({ session, onUpdate }) {
+function SessionCard({ session, progress, onUpdate }) {
   const [isExpanded, setIsExpanded] = useState(false);
   
   const getStatusColor = (status) => {
@@ -103,24 +106,33 @@ function SessionCard({ session, onUpdate }) {
       {/* Audio Player */}
       {session.processing_status === 'completed' && session.generated_tracks?.[0] && (
         <AudioPlayer
-          audioUrl={session.generated_tracks[0].backing_track_url}
+          audioUrl={files.getDownloadUrl(
+            session.id,
+            session.generated_tracks[0].file_sizes?.mp3?.backingTrack ? 'backing-track.mp3' : 'backing-track.wav'
+          )}
+          sessionId={session.id}
           title={generateTitle(session)}
           duration={session.audio_duration}
         />
       )}
 
-      {/* Processing Status */}
-      {session.processing_status === 'processing' && (
+      {/* Processing Status: the live timeline once progress events arrive */}
+      {session.processing_status === 'processing' && (progress ? (
+        <PipelineTimeline progress={progress} />
+      ) : (
         <div className="processing-status">
           <div className="processing-spinner"></div>
           <span>AI agents are creating your music...</span>
         </div>
-      )}
+      ))}
 
       {/* Failed Status */}
+      {session.processing_status === 'failed' && progress && (
+        <PipelineTimeline progress={progress} />
+      )}
       {session.processing_status === 'failed' && (
         <div className="failed-status">
-          <span>Processing failed. Please try again.</span>
+          <span>{session.failure_reason || 'Processing failed. Please try again.'}</span>
           <button className="retry-btn" onClick={() => onUpdate()}>
             Retry
           </button>
@@ -172,6 +184,14 @@ function SessionCard({ session, onUpdate }) {
               sessionId={session.id}
             />
           )}
+
+          {/* Agent transcript of the latest generation */}
+          {session.processing_status === 'completed' && session.generated_tracks?.[0] && (
+            <GenerationTrace
+              sessionId={session.id}
+              version={session.generated_tracks[0].version}
+            />
+          )}
         </div>
       )}
     </div>
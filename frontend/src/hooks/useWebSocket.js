@@ -5,6 +5,8 @@ export function useWebSocket(userId) {
   const [socket, setSocket] = useState(null);
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
   const [sessionUpdates, setSessionUpdates] = useState({});
+  // Per job: { jobId, callSid, sessionId, stages: { [stage]: { status, summary, startedAt, at } } }
+  const [pipelineProgress, setPipelineProgress] = useState({});
 
   useEffect(() => {
     if (!userId) return;
@@ -61,6 +63,30 @@ export function useWebSocket(userId) {
       }));
     });
 
+    newSocket.on('processing_progress', (data) => {
+      setPipelineProgress(prev => {
+        const job = prev[data.jobId] || { jobId: data.jobId, stages: {} };
+        const stage = job.stages[data.stage] || {};
+        return {
+          ...prev,
+          [data.jobId]: {
+            ...job,
+            callSid: data.callSid,
+            sessionId: data.sessionId,
+            stages: {
+              ...job.stages,
+              [data.stage]: {
+                status: data.status,
+                summary: data.summary,
+                startedAt: data.status === 'started' ? data.at : stage.startedAt,
+                at: data.at
+              }
+            }
+          }
+        };
+      });
+    });
+
     newSocket.on('processing_complete', (data) => {
       console.log('Processing completed:', data);
       setSessionUpdates(prev => ({
@@ -99,6 +125,7 @@ export function useWebSocket(userId) {
     socket,
     connectionStatus,
     sessionUpdates,
+    pipelineProgress,
     sendMessage,
     isConnected: connectionStatus === 'connected'
   };
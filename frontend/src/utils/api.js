@@ -61,6 +61,16 @@ export const dashboard = {
   getStats: () => api.get('/dashboard/stats'),
   deleteSession: (id) => api.delete(`/dashboard/sessions/${id}`),
   regenerateSession: (id, options) => api.post(`/dashboard/sessions/${id}/regenerate`, options),
+  // file: 'backing-track', 'preview' or a stem name; params: { format, bitrate }
+  downloadFile: (id, file, params) => api.get(`/dashboard/sessions/${id}/download/${file}`, {
+    params,
+    responseType: 'blob',
+    timeout: 120000 // first request for a format transcodes it
+  }),
+  // file: 'backing-track', 'original-hum' or a stem name; audiowaveform JSON at several zoom levels
+  getPeaks: (id, file) => api.get(`/dashboard/sessions/${id}/peaks/${file}`),
+  // Every model call behind a generation, with its repairs and theory-critic corrections
+  getTrace: (id, version) => api.get(`/dashboard/sessions/${id}/generations/${version}/trace`),
 };
 
 export const files = {